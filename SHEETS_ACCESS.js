@@ -0,0 +1,419 @@
+/**
+ * This file contains the access control layer, which decides whether the current user may run an operation through accessDatabase.
+ *
+ * Users and Google groups are given roles, and each role is a list of rules. A rule allows or denies a list of operations, either
+ * everywhere or only in one spreadsheet or sheet, and can limit an allowed operation to the rows the user created. For example:
+ *   defineRole("paralegal", [
+ *     {operations: ["READ"], spreadsheetID: taskSSID},
+ *     {operations: ["CREATE", "UPDATE", "DELETE", "UNDO_DELETE"], spreadsheetID: taskSSID, sheetName: "Task", rows: "own"},
+ *     {effect: "deny", operations: ["READ"], spreadsheetID: taskSSID, sheetName: "Billing"}
+ *   ]);
+ *   grantRole("sam@example.com", "paralegal");
+ *   grantRole("paralegals@example.com", "paralegal", true);  // every member of the group
+ *   grantRole("*", "reader");                                // everyone
+ *
+ * The operations that can be controlled are READ, CREATE, UPDATE, DELETE, UNDO_DELETE, CREATE_SHEET, CLEAN_SHEET, IMPORT, SNAPSHOT and
+ * RESTORE ("*" stands for all of them). QUERY, AGGREGATE, SEARCH, HISTORY and EXPORT need READ, BULK_CREATE needs CREATE and PATCH
+ * needs UPDATE. A deny rule always wins over an allow rule, and an operation that no rule allows is denied. A READ or QUERY that
+ * expands relationships (see SHEETS_RELATIONSHIPS.js) also needs READ on every sheet it expands into. With rows: "own", READ only
+ * returns rows whose CreatedBy is the user (in expanded sheets too), UPDATE, DELETE and UNDO_DELETE are denied if any row they name
+ * was created by someone else (rows reached through a cascade are not checked) and IMPORT is only allowed in the "insert" mode. New rows
+ * always belong to the user who creates them, whatever CreatedBy is passed in. Roles are stored as JSON in the "accessControl" script
+ * property. Until the first role is defined every call is allowed.
+ *
+ * Managing roles, API keys (see SHEETS_API.js) and webhooks (see SHEETS_HOOKS.js) needs the ADMIN permission, which "*" does not include
+ * and which cannot be limited to a spreadsheet or sheet. The first role defined must allow ADMIN and is given to the user who defines it:
+ *   defineRole("admin", [{operations: ["ADMIN"]}, {operations: "*"}]);
+ *
+ * A denied call returns {denied: true, errors: [{field: null, message}]}, and the denial is logged and written to the audit log (see SHEETS_AUDIT.js).
+ */
+
+// Name of the script property that the roles and their members are stored under
+const ACCESS_PROPERTY_ = "accessControl";
+// The permission that each function of accessDatabase needs
+const ACCESS_OPERATIONS_ = {
+  READ: "READ",
+  QUERY: "READ",
+  AGGREGATE: "READ",
+  SEARCH: "READ",
+  HISTORY: "READ",
+  CREATE: "CREATE",
+  BULK_CREATE: "CREATE",
+  UPDATE: "UPDATE",
+  PATCH: "UPDATE",
+  DELETE: "DELETE",
+  UNDO_DELETE: "UNDO_DELETE",
+  CREATE_SHEET: "CREATE_SHEET",
+  CLEAN_SHEET: "CLEAN_SHEET",
+  EXPORT: "READ",
+  IMPORT: "IMPORT",
+  SNAPSHOT: "SNAPSHOT",
+  RESTORE: "RESTORE"
+};
+// List of the valid row rules
+const ACCESS_ROW_RULES_ = ["own"];
+// The permission needed to manage roles, API keys and webhooks - it is not part of "*"
+const ADMIN_PERMISSION_ = "ADMIN";
+
+// Group memberships looked up so far in this execution, by "<group email>/<user email>"
+var groupMemberships_ = {};
+
+// ---------------------------------------- CONFIGURATION ------------------------------------------------
+
+/**
+ * Function to declare (or replace) a role
+ *
+ * @param {string} name: the name of the role
+ * @param {object} rules: a list of rule dictionaries {effect, operations, spreadsheetID, sheetName, rows} (see the top of this file)
+ *                        - null removes the role and every grant of it
+ * @return {object} returns the list of rules that was stored, or null if a rule is badly formed or the user is not an admin
+ */
+function defineRole(name, rules) {
+  if (!name) {
+    Logger.log("A role needs a name");
+    return;
+  }
+  if (!checkAdmin_("defineRole")) {
+    return;
+  }
+  for (var i = 0; rules && i < rules.length; i++) {
+    var ruleError = validateAccessRule_(rules[i]);
+    if (ruleError) {
+      Logger.log("Rule " + i + " of the role " + name + " is invalid: " + ruleError);
+      return;
+    }
+  }
+  return withScriptLock_(function () {
+    var accessControl = getAccessControl_();
+    var email = getUserEmail_();
+    var first = Object.keys(accessControl.roles).length == 0;
+    if (first && (!rules || !email || !allowsAdmin_(rules))) {
+      // otherwise nobody could manage the roles once the first one exists
+      Logger.log("The first role must allow the " + ADMIN_PERMISSION_ + " permission and be defined by a signed-in user, who is given it");
+      return;
+    }
+    if (!rules) {
+      // remove the role and every grant of it
+      delete accessControl.roles[name];
+      [accessControl.members, accessControl.groups].forEach(function (grants) {
+        Object.keys(grants).forEach(function (member) {
+          grants[member] = grants[member].filter(function (role) { return role != name; });
+        });
+      });
+      getStorage_().getProperties().setProperty(ACCESS_PROPERTY_, JSON.stringify(accessControl));
+      return;
+    }
+    accessControl.roles[name] = rules;
+    if (first) {
+      accessControl.members[email] = [name];
+    }
+    getStorage_().getProperties().setProperty(ACCESS_PROPERTY_, JSON.stringify(accessControl));
+    return rules;
+  });
+}
+
+/**
+ * Function to give a role to a user or a Google group
+ *
+ * @param {string} member: the email address of the user or group - "*" gives the role to everyone
+ * @param {string} roleName: the name of a role declared with defineRole
+ * @param {bool} isGroup: true if member is the email address of a Google group
+ * @return {object} returns the list of roles the member now has, or null if the role does not exist or the user is not an admin
+ */
+function grantRole(member, roleName, isGroup) {
+  if (!checkAdmin_("grantRole")) {
+    return;
+  }
+  return withScriptLock_(function () {
+    var accessControl = getAccessControl_();
+    if (!member || !accessControl.roles[roleName]) {
+      Logger.log(roleName + " is not a role - declare it with defineRole first");
+      return;
+    }
+    var grants = isGroup ? accessControl.groups : accessControl.members;
+    grants[member] = grants[member] || [];
+    if (grants[member].indexOf(roleName) == -1) {
+      grants[member].push(roleName);
+    }
+    getStorage_().getProperties().setProperty(ACCESS_PROPERTY_, JSON.stringify(accessControl));
+    return grants[member];
+  });
+}
+
+/**
+ * Function to take a role away from a user or a Google group
+ *
+ * @param {string} member: the email address of the user or group (or "*")
+ * @param {string} roleName: the name of the role
+ * @param {bool} isGroup: true if member is the email address of a Google group
+ * @return {bool} returns true if the member had the role and false otherwise (or if the user is not an admin)
+ */
+function revokeRole(member, roleName, isGroup) {
+  if (!checkAdmin_("revokeRole")) {
+    return false;
+  }
+  return withScriptLock_(function () {
+    var accessControl = getAccessControl_();
+    var grants = isGroup ? accessControl.groups : accessControl.members;
+    var roles = grants[member] || [];
+    if (roles.indexOf(roleName) == -1) {
+      return false;
+    }
+    grants[member] = roles.filter(function (role) { return role != roleName; });
+    getStorage_().getProperties().setProperty(ACCESS_PROPERTY_, JSON.stringify(accessControl));
+    return true;
+  });
+}
+
+/**
+ * Function to return the stored roles and grants
+ *
+ * @return {object} returns a dictionary {roles: {name: [rules]}, members: {email: [roleNames]}, groups: {email: [roleNames]}}
+ */
+function getAccessControl_() {
+  var stored = getStorage_().getProperties().getProperty(ACCESS_PROPERTY_);
+  var accessControl = stored ? JSON.parse(stored) : {};
+  return { roles: accessControl.roles || {}, members: accessControl.members || {}, groups: accessControl.groups || {} };
+}
+
+/**
+ * Function to check that a rule of a role is well formed
+ *
+ * @param {object} rule: the rule dictionary to check
+ * @return {string} returns a description of the first problem found, or null if the rule is valid
+ */
+function validateAccessRule_(rule) {
+  if (!rule || rule.operations == null) {
+    return "every rule needs a list of operations";
+  }
+  var permissions = Object.keys(ACCESS_OPERATIONS_).map(function (name) { return ACCESS_OPERATIONS_[name]; }).concat([ADMIN_PERMISSION_]);
+  var operations = rule.operations == "*" ? [] : rule.operations;
+  if (!Array.isArray(operations)) {
+    return "operations must be a list or \"*\"";
+  }
+  for (var i = 0; i < operations.length; i++) {
+    if (permissions.indexOf(operations[i]) == -1) {
+      return operations[i] + " is not an operation that can be controlled";
+    }
+  }
+  if (rule.effect != null && rule.effect != "allow" && rule.effect != "deny") {
+    return "effect must be \"allow\" or \"deny\"";
+  }
+  if (rule.rows != null && ACCESS_ROW_RULES_.indexOf(rule.rows) == -1) {
+    return rule.rows + " is not a valid row rule. Use one of: " + ACCESS_ROW_RULES_.join(", ");
+  }
+  if (rule.sheetName && !rule.spreadsheetID) {
+    return "a rule for a sheet also needs the spreadsheetID";
+  }
+  if (operations.indexOf(ADMIN_PERMISSION_) != -1 && (rule.spreadsheetID || rule.rows != null)) {
+    return "the " + ADMIN_PERMISSION_ + " permission cannot be limited to a spreadsheet, a sheet or the user's own rows";
+  }
+  return null;
+}
+
+/**
+ * Function to check whether a list of rules allows the ADMIN permission
+ *
+ * @param {object} rules: a list of rule dictionaries
+ * @return {bool} returns true if a rule allows ADMIN and no rule denies it
+ */
+function allowsAdmin_(rules) {
+  var matching = rules.filter(function (rule) { return Array.isArray(rule.operations) && rule.operations.indexOf(ADMIN_PERMISSION_) != -1; });
+  return matching.length > 0 && matching.every(function (rule) { return rule.effect != "deny"; });
+}
+
+// ------------------------------------------- CHECK -----------------------------------------------------
+
+/**
+ * Function to decide whether the current user may run an operation
+ *
+ * @param {string} functionName: the name of the function being run (e.g. "PATCH")
+ * @param {string} spreadsheetID: the id of the spreadsheet being accessed
+ * @param {string} sheetName: the name of the sheet being accessed
+ * @param {object} parameters: the parameters of the operation
+ * @return {object} returns a dictionary {denied: a description of why the call is refused (or null), ownRowsOnly: true if only the
+ *                  rows the user created may be read}
+ */
+function checkAccess_(functionName, spreadsheetID, sheetName, parameters) {
+  var permission = ACCESS_OPERATIONS_[functionName];
+  var accessControl = getAccessControl_();
+  if (!permission || Object.keys(accessControl.roles).length == 0) {
+    // unknown functions are reported by runOperation_, and nothing is controlled until a role exists
+    return { denied: null, ownRowsOnly: false };
+  }
+  var email = getUserEmail_();
+  var matching = getUserRules_(accessControl, email).filter(function (rule) {
+    return (rule.operations == "*" || rule.operations.indexOf(permission) != -1) &&
+      (!rule.spreadsheetID || rule.spreadsheetID == spreadsheetID) && (!rule.sheetName || rule.sheetName == sheetName);
+  });
+  var allowed = matching.filter(function (rule) { return rule.effect != "deny"; });
+  var denied = null;
+  if (matching.some(function (rule) { return rule.effect == "deny"; }) || allowed.length == 0) {
+    denied = (email || "An anonymous user") + " is not allowed to " + permission + " in " + sheetName;
+  }
+  // the row rule only applies if every rule that allows the operation has one
+  var ownRowsOnly = allowed.length > 0 && allowed.every(function (rule) { return rule.rows == "own"; });
+  if (!denied && ownRowsOnly) {
+    denied = checkOwnRows_(functionName, spreadsheetID, sheetName, parameters, email);
+  }
+  if (!denied) {
+    // the sheets a READ or QUERY expands into are checked on their own, which logs and records their denial
+    var expandDenied = checkExpandAccess_(functionName, spreadsheetID, sheetName, parameters);
+    if (expandDenied) {
+      return { denied: expandDenied, ownRowsOnly: ownRowsOnly };
+    }
+  }
+  if (denied) {
+    Logger.log("Permission denied: " + denied);
+    recordDenial_(functionName, spreadsheetID, sheetName, denied);
+  }
+  return { denied: denied, ownRowsOnly: ownRowsOnly };
+}
+
+/**
+ * Function to check that the current user may manage roles, API keys and webhooks - called before the script lock is taken
+ *
+ * @param {string} action: the name of the function being run (e.g. "grantRole")
+ * @return {bool} returns true if the user holds the ADMIN permission or no role has been defined yet, and false otherwise
+ */
+function checkAdmin_(action) {
+  var accessControl = getAccessControl_();
+  if (Object.keys(accessControl.roles).length == 0) {
+    return true;
+  }
+  var email = getUserEmail_();
+  if (allowsAdmin_(getUserRules_(accessControl, email))) {
+    return true;
+  }
+  var denied = (email || "An anonymous user") + " is not allowed to run " + action;
+  Logger.log("Permission denied: " + denied);
+  // the call is not part of an operation, so its denial is written straight away
+  recordDenial_(action, "", "", denied);
+  writeAuditEntries_();
+  return false;
+}
+
+/**
+ * Function to collect the rules of every role the user has, directly or through a group
+ *
+ * @param {object} accessControl: the stored roles and grants
+ * @param {string} email: the email address of the user
+ * @return {object} returns a list of rule dictionaries
+ */
+function getUserRules_(accessControl, email) {
+  var roleNames = (accessControl.members["*"] || []).concat(email ? accessControl.members[email] || [] : []);
+  Object.keys(accessControl.groups).forEach(function (group) {
+    if (email && isGroupMember_(group, email)) {
+      roleNames = roleNames.concat(accessControl.groups[group]);
+    }
+  });
+  var rules = [];
+  roleNames.forEach(function (roleName) {
+    rules = rules.concat(accessControl.roles[roleName] || []);
+  });
+  return rules;
+}
+
+/**
+ * Function to check whether the user is a member of a Google group (looked up once per execution)
+ *
+ * @param {string} group: the email address of the group
+ * @param {string} email: the email address of the user
+ * @return {bool} returns true if the user is a member of the group, and false otherwise or if the group cannot be read
+ */
+function isGroupMember_(group, email) {
+  var key = group + "/" + email;
+  if (!Object.prototype.hasOwnProperty.call(groupMemberships_, key)) {
+    try {
+      groupMemberships_[key] = GroupsApp.getGroupByEmail(group).hasUser(email);
+    } catch (err) {
+      Logger.log("Could not read the members of the group " + group + ": " + err);
+      groupMemberships_[key] = false;
+    }
+  }
+  return groupMemberships_[key];
+}
+
+/**
+ * Function to check that every row an operation names was created by the user
+ *
+ * @param {string} functionName: the name of the function being run
+ * @param {string} spreadsheetID: the id of the spreadsheet being accessed
+ * @param {string} sheetName: the name of the sheet being accessed
+ * @param {object} parameters: the parameters of the operation
+ * @param {string} email: the email address of the user
+ * @return {string} returns a description of why the call is refused, or null if every row belongs to the user
+ */
+function checkOwnRows_(functionName, spreadsheetID, sheetName, parameters, email) {
+  var columnName;
+  var rowValues;
+  if (functionName == "UPDATE" || functionName == "PATCH") {
+    columnName = "ID";
+    rowValues = parameters[0] ? [parameters[0]["ID"]] : [];
+  } else if (functionName == "DELETE" || functionName == "UNDO_DELETE") {
+    columnName = parameters[0];
+    rowValues = parameters[1] || [];
+  } else if (functionName == "HISTORY") {
+    columnName = "ID";
+    rowValues = [parameters[0]];
+  } else if (functionName == "IMPORT") {
+    // the rows an upsert changes are only known once the file is read, so only new rows can be imported
+    var mode = parameters[0] ? parameters[0].mode : null;
+    return mode && mode != "insert" ? (email || "An anonymous user") + " can only IMPORT new rows into " + sheetName : null;
+  } else {
+    // reads are filtered instead, and new rows always belong to the user who creates them
+    return null;
+  }
+  var sheet = getTableSheet_(getStorage_().openSpreadsheet(spreadsheetID), sheetName);
+  if (!sheet || rowValues.length == 0) {
+    return null;
+  }
+  var found = findRows_(sheet, columnName, rowValues);
+  var createdByIndex = found.header.indexOf("CreatedBy");
+  var others = found.rows.filter(function (row) { return row.values[createdByIndex] != email; });
+  if (others.length > 0) {
+    return (email || "An anonymous user") + " can only " + ACCESS_OPERATIONS_[functionName] + " rows they created in " + sheetName;
+  }
+  return null;
+}
+
+/**
+ * Function to check that the user may READ every sheet that a READ or QUERY expands into through relationships
+ *
+ * @param {string} functionName: the name of the function being run
+ * @param {string} spreadsheetID: the id of the spreadsheet being accessed
+ * @param {string} sheetName: the name of the sheet being accessed
+ * @param {object} parameters: the parameters of the operation
+ * @return {string} returns a description of why the call is refused, or null if every expanded sheet may be read
+ */
+function checkExpandAccess_(functionName, spreadsheetID, sheetName, parameters) {
+  if ((functionName != "READ" && functionName != "QUERY") || !parameters) {
+    return null;
+  }
+  var query = parameters[0] != null && typeof parameters[0] == "object" ? parameters[0] : {};
+  var names = query.expand || (functionName == "READ" ? parameters[2] : null) || [];
+  var related = getExpandedSheets_(spreadsheetID, sheetName, names);
+  for (var i = 0; i < related.length; i++) {
+    var access = checkAccess_("READ", related[i].spreadsheetID, related[i].sheetName, []);
+    if (access.denied) {
+      return access.denied;
+    }
+  }
+  return null;
+}
+
+/**
+ * Function to limit a query to the rows the user created
+ *
+ * @param {object} query: the query dictionary (see SHEETS_QUERY.js)
+ * @param {object} access: the output of checkAccess_
+ * @return {object} returns the query unchanged if the user may read every row, or a copy that only matches the user's rows
+ */
+function restrictQuery_(query, access) {
+  if (!access.ownRowsOnly) {
+    return query;
+  }
+  query = query || {};
+  var ownRows = { column: "CreatedBy", op: "=", value: getUserEmail_() };
+  return Object.assign({}, query, { where: query.where ? { and: [query.where, ownRows] } : ownRows });
+}
@@ -0,0 +1,254 @@
+/**
+ * This file contains the AGGREGATE operation, which counts and summarises the valid rows of a sheet in groups without building a row
+ * dictionary for every row.
+ *
+ * An aggregation is a dictionary of the following form (only aggregates is required):
+ *   {
+ *     where: {column: "Status", op: "=", value: "Open"},
+ *     groupBy: ["MatterID", {column: "DateCreated", bucket: "month"}],
+ *     aggregates: [{fn: "COUNT"}, {fn: "SUM", column: "Hours", as: "TotalHours"}, {fn: "MAX", column: "DateModified"}],
+ *     orderBy: [{column: "TotalHours", direction: "desc"}],
+ *     limit: 10
+ *   }
+ * where works as in a query (see SHEETS_QUERY.js) and only valid rows are counted. A group-by column holding dates can be bucketed
+ * by "day", "week" (starting on Monday) or "month" - the group then holds the date the bucket starts on. The functions are:
+ *   COUNT   the number of rows (or, with a column, the number of rows where it is not empty)
+ *   SUM     the total of the numbers in the column (0 if there are none)
+ *   AVG     the average of the numbers in the column (null if there are none)
+ *   MIN/MAX the smallest/largest value in the column, comparing dates as dates (null if the column is always empty)
+ * Each aggregate is named by as, or by default "COUNT" or "FN(column)". The output is a table:
+ *   {columns: ["MatterID", "DateCreated", "COUNT", "TotalHours", "MAX(DateModified)"], rows: [["M-1", date, 3, 12.5, date], ...]}
+ * with one row per group, sorted by orderBy (which names output columns) or else by the group-by columns. Without groupBy the
+ * table has a single row, even if no rows matched.
+ */
+
+// List of the aggregate functions
+const AGGREGATE_FUNCTIONS_ = ["COUNT", "SUM", "AVG", "MIN", "MAX"];
+// List of the buckets a date column can be grouped by
+const AGGREGATE_BUCKETS_ = ["day", "week", "month"];
+
+// ------------------------------------------- AGGREGATE -------------------------------------------------
+
+/**
+ * Function to count and summarise the valid rows of a sheet in groups
+ *
+ * @param {object} sheet: the instance of the sheet we wish to read from
+ * @param {object} aggregation: an aggregation dictionary (see the top of this file)
+ * @return {object} returns a table {columns, rows} with one row per group
+ *                  - returns null if the aggregation is badly formed or names a column that does not exist
+ */
+function aggregate_(sheet, aggregation) {
+  Logger.log("Aggregating the sheet: " + sheet.getName());
+  var data = sheet.getDataRange().getValues();
+  var header = data[0];
+  aggregation = aggregation || {};
+  var aggregationError = validateAggregation_(header, aggregation);
+  if (aggregationError) {
+    fail_("INVALID_INPUT", aggregationError + " in an aggregation on " + sheet.getName());
+    return;
+  }
+  var groupBy = normalizeGroupBy_(aggregation.groupBy);
+  var aggregates = aggregation.aggregates.map(function (aggregate) {
+    var fn = String(aggregate.fn).toUpperCase();
+    return { fn: fn, column: aggregate.column || null, name: aggregate.as || (aggregate.column ? fn + "(" + aggregate.column + ")" : fn) };
+  });
+  // only the columns the aggregation uses are copied out of each row
+  var used = new Set(["ID", "Valid"]);
+  collectConditionColumns_(aggregation.where, used);
+  groupBy.forEach(function (group) { used.add(group.column); });
+  aggregates.forEach(function (aggregate) { if (aggregate.column) used.add(aggregate.column); });
+  var usedIndexes = Array.from(used).map(function (column) { return { column: column, index: header.indexOf(column) }; });
+  var groups = new Map();
+  var row, values, key, group;
+  for (var i = 1; i < data.length; i++) {
+    row = {};
+    usedIndexes.forEach(function (entry) { row[entry.column] = data[i][entry.index]; });
+    if (!row["ID"] || row["Valid"] != true || !matchesCondition_(row, aggregation.where)) {
+      continue;
+    }
+    values = groupBy.map(function (group) { return bucketValue_(row[group.column], group.bucket); });
+    key = values.map(uniqueKey_).join("\u0000");
+    group = groups.get(key);
+    if (!group) {
+      group = { values: values, states: aggregates.map(function () { return { count: 0, sum: 0, numbers: 0, value: null }; }) };
+      groups.set(key, group);
+    }
+    aggregates.forEach(function (aggregate, j) { accumulate_(group.states[j], aggregate, aggregate.column ? row[aggregate.column] : null); });
+  }
+  if (groupBy.length == 0 && groups.size == 0) {
+    groups.set("", { values: [], states: aggregates.map(function () { return { count: 0, sum: 0, numbers: 0, value: null }; }) });
+  }
+  // build the output rows as dictionaries so that they can be sorted like the rows of a query
+  var columns = groupBy.map(function (group) { return group.column; }).concat(aggregates.map(function (aggregate) { return aggregate.name; }));
+  var rows = Array.from(groups.values()).map(function (group) {
+    var outputRow = {};
+    group.values.forEach(function (value, j) { outputRow[columns[j]] = value; });
+    aggregates.forEach(function (aggregate, j) { outputRow[aggregate.name] = finishAggregate_(group.states[j], aggregate.fn); });
+    return outputRow;
+  });
+  sortRows_(rows, aggregation.orderBy || groupBy.map(function (group) { return group.column; }));
+  rows = pageRows_(rows, 0, aggregation.limit);
+  return {
+    columns: columns,
+    rows: rows.map(function (outputRow) { return columns.map(function (column) { return outputRow[column]; }); })
+  };
+}
+
+// ---------------------------------------- AGGREGATE HELPERS --------------------------------------------
+
+/**
+ * Function to check that an aggregation is well formed and only names columns that exist in the sheet
+ *
+ * @param {object} header: the list of field names in the first row of the sheet
+ * @param {object} aggregation: the aggregation dictionary to check
+ * @return {string} returns a description of the first problem found, or null if the aggregation is valid
+ */
+function validateAggregation_(header, aggregation) {
+  var whereError = validateQuery_(header, { where: aggregation.where });
+  if (whereError) {
+    return whereError;
+  }
+  var groupBy = normalizeGroupBy_(aggregation.groupBy);
+  for (var i = 0; i < groupBy.length; i++) {
+    if (header.indexOf(groupBy[i].column) == -1) {
+      return groupBy[i].column + " does not exist as a column name";
+    }
+    if (groupBy[i].bucket && AGGREGATE_BUCKETS_.indexOf(groupBy[i].bucket) == -1) {
+      return groupBy[i].bucket + " is not a bucket - use one of " + AGGREGATE_BUCKETS_.join(", ");
+    }
+  }
+  if (!Array.isArray(aggregation.aggregates) || aggregation.aggregates.length == 0) {
+    return "an aggregation needs a list of aggregates";
+  }
+  var names = groupBy.map(function (group) { return group.column; });
+  for (var i = 0; i < aggregation.aggregates.length; i++) {
+    var aggregate = aggregation.aggregates[i] || {};
+    var fn = String(aggregate.fn).toUpperCase();
+    if (AGGREGATE_FUNCTIONS_.indexOf(fn) == -1) {
+      return aggregate.fn + " is not an aggregate function - use one of " + AGGREGATE_FUNCTIONS_.join(", ");
+    }
+    if (!aggregate.column && fn != "COUNT") {
+      return fn + " needs a column";
+    }
+    if (aggregate.column && header.indexOf(aggregate.column) == -1) {
+      return aggregate.column + " does not exist as a column name";
+    }
+    names.push(aggregate.as || (aggregate.column ? fn + "(" + aggregate.column + ")" : fn));
+  }
+  if (new Set(names).size != names.length) {
+    return "two output columns have the same name - use as to rename an aggregate";
+  }
+  var orderBy = normalizeOrderBy_(aggregation.orderBy);
+  for (var i = 0; i < orderBy.length; i++) {
+    if (names.indexOf(orderBy[i].column) == -1) {
+      return orderBy[i].column + " is not an output column";
+    }
+  }
+  if (aggregation.limit != null && !(aggregation.limit >= 0)) {
+    return "limit must be a non-negative number";
+  }
+  return null;
+}
+
+/**
+ * Function to convert the groupBy value of an aggregation into a list of {column, bucket} dictionaries
+ *
+ * @param {object} groupBy: a column name, a {column, bucket} dictionary or a list of either
+ * @return {object} returns a list of {column, bucket} dictionaries (bucket is null for a column grouped by its value)
+ */
+function normalizeGroupBy_(groupBy) {
+  if (groupBy == null) {
+    return [];
+  }
+  if (!Array.isArray(groupBy)) {
+    groupBy = [groupBy];
+  }
+  return groupBy.map(function (group) {
+    return typeof group == "string" ? { column: group, bucket: null } : { column: group.column, bucket: group.bucket || null };
+  });
+}
+
+/**
+ * Function to add the columns named by a (possibly nested) condition to a set
+ *
+ * @param {object} condition: the condition of a where clause
+ * @param {object} columns: the set to add the column names to
+ */
+function collectConditionColumns_(condition, columns) {
+  if (condition == null) {
+    return;
+  }
+  var children = condition.and || condition.or;
+  if (children) {
+    children.forEach(function (child) { collectConditionColumns_(child, columns); });
+    return;
+  }
+  columns.add(condition.column);
+}
+
+/**
+ * Function to find the group a value belongs to
+ *
+ * @param {object} value: the value of a group-by column
+ * @param {string} bucket: "day", "week", "month" or null to group by the value itself
+ * @return {object} returns the value of the group - the date the bucket starts on for a bucket, and null for an empty cell
+ */
+function bucketValue_(value, bucket) {
+  if (value === "" || value == null) {
+    return null;
+  }
+  if (!bucket) {
+    return value;
+  }
+  var date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  if (bucket == "month") {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+  // weeks start on Monday
+  var offset = bucket == "week" ? (date.getDay() + 6) % 7 : 0;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+}
+
+/**
+ * Function to add a value to the running state of an aggregate
+ *
+ * @param {object} state: the running state {count, sum, numbers, value}
+ * @param {object} aggregate: the aggregate {fn, column, name}
+ * @param {object} value: the value of the aggregate's column in the row (null for COUNT without a column)
+ */
+function accumulate_(state, aggregate, value) {
+  if (aggregate.column && (value === "" || value == null)) {
+    return;
+  }
+  state.count++;
+  if ((aggregate.fn == "SUM" || aggregate.fn == "AVG") && typeof value == "number" && !isNaN(value)) {
+    state.sum += value;
+    state.numbers++;
+  }
+  if ((aggregate.fn == "MIN" && (state.value == null || compareValues_(value, state.value) < 0)) ||
+    (aggregate.fn == "MAX" && (state.value == null || compareValues_(value, state.value) > 0))) {
+    state.value = value;
+  }
+}
+
+/**
+ * Function to turn the running state of an aggregate into its result
+ *
+ * @param {object} state: the running state {count, sum, numbers, value}
+ * @param {string} fn: the aggregate function
+ * @return {object} returns the result of the aggregate for the group
+ */
+function finishAggregate_(state, fn) {
+  switch (fn) {
+    case "COUNT":
+      return state.count;
+    case "SUM":
+      return state.sum;
+    case "AVG":
+      return state.numbers > 0 ? state.sum / state.numbers : null;
+  }
+  return state.value;
+}
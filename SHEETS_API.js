@@ -0,0 +1,394 @@
+/**
+ * This file contains the Web App JSON API, which lets tools outside Apps Script reach accessDatabase over HTTP once the script is
+ * deployed as a Web App. Every route works on one sheet:
+ *   GET    /{spreadsheetID}/{sheetName}        read the rows of the sheet (see below for the query parameters)
+ *   GET    /{spreadsheetID}/{sheetName}/{id}   read one row
+ *   POST   /{spreadsheetID}/{sheetName}        create a row (body is a row dictionary) or several rows (body is a list)
+ *   POST   /{spreadsheetID}/{sheetName}/{id}   replace a row (UPDATE)
+ *   PATCH  /{spreadsheetID}/{sheetName}/{id}   change some fields of a row in place - ?version= or ?dateModified= refuse stale writes
+ *   DELETE /{spreadsheetID}/{sheetName}/{id}   delete a row (and apply the onDelete policy of its relationships)
+ * Apps Script Web Apps only receive GET and POST, so PATCH and DELETE are sent as a POST with ?method=PATCH or ?method=DELETE.
+ *
+ * Reading a sheet accepts the query parameters where and orderBy (JSON, see SHEETS_QUERY.js), columns and expand (comma separated),
+ * limit, offset, pageSize, cursor and includeTotal.
+ *
+ * Every call must carry an API key (?key=...). Keys are made with createApiKey(), which stores a SHA-256 digest of the key in the
+ * "apiKeys" script property - the key itself is only shown once. A call runs as the user the key belongs to, so CreatedBy/ModifiedBy
+ * and the access control layer (see SHEETS_ACCESS.js) see that user. A key always belongs to the user who makes it, and making or
+ * revoking keys needs the ADMIN permission once a role has been defined.
+ *
+ * Every response is JSON of the form {ok: true, status, data} or {ok: false, status, error: {code, message, details}}. Apps Script
+ * always answers with HTTP 200, so the status code is given in the body:
+ *   200 OK, 201 CREATED, 400 BAD_REQUEST, 401 UNAUTHORIZED, 403 FORBIDDEN, 404 NOT_FOUND, 409 CONFLICT, 422 INVALID, 500 INTERNAL,
+ *   503 UNAVAILABLE
+ * Every operation is run through callDatabase, and when it fails the message and details of its database error (see SHEETS_ERRORS.js)
+ * are passed on, and the status is 403 for PERMISSION_DENIED, 404 for SHEET_NOT_FOUND and NOT_FOUND, 409 for CONFLICT and RESTRICTED,
+ * 422 for VALIDATION_FAILED and REJECTED (a before-hook of the sheet rejected the call, see SHEETS_HOOKS.js), 500 for NOT_CONFIGURED
+ * and INTERNAL, 503 for LOCK_TIMEOUT (the request can be sent again later), and 400 otherwise. Changing or deleting a row that does
+ * not exist answers 404 only once the user has been allowed to change the sheet, so the API does not tell others which IDs exist.
+ * Dates are sent as ISO-8601 strings (e.g. "2020-01-31T17:00:00.000Z"). Reading a sheet returns data as a list of rows in order, with
+ * nextCursor (and total) next to it when the request has a pageSize.
+ */
+
+// Name of the script property that the API keys are stored under
+const API_KEYS_PROPERTY_ = "apiKeys";
+// List of the HTTP methods the API understands
+const API_METHODS_ = ["GET", "POST", "PATCH", "DELETE"];
+// Error code for each status code used by the API
+const API_ERROR_CODES_ = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  422: "INVALID",
+  500: "INTERNAL",
+  503: "UNAVAILABLE"
+};
+// Status code for each database error code that is not a bad request (see SHEETS_ERRORS.js)
+const API_ERROR_STATUSES_ = {
+  SHEET_NOT_FOUND: 404,
+  NOT_FOUND: 404,
+  PERMISSION_DENIED: 403,
+  CONFLICT: 409,
+  RESTRICTED: 409,
+  VALIDATION_FAILED: 422,
+  REJECTED: 422,
+  LOCK_TIMEOUT: 503,
+  NOT_CONFIGURED: 500,
+  INTERNAL: 500
+};
+
+// Email of the user the current API call is made for (null outside the API) - used by getUserEmail_
+var apiUser_ = null;
+
+// ------------------------------------------- API KEYS --------------------------------------------------
+
+/**
+ * Function to make a new API key for the current user - calls made with it act as that user
+ *
+ * @return {string} returns the new key - only a digest of it is stored, so it cannot be shown again
+ *                  - returns null if the user is not signed in or is not an admin
+ */
+function createApiKey() {
+  var email = getUserEmail_();
+  if (!email) {
+    Logger.log("An API key must belong to a signed-in user");
+    return;
+  }
+  if (!checkAdmin_("createApiKey")) {
+    return;
+  }
+  var key = Utilities.getUuid().replace(/-/g, "") + Utilities.getUuid().replace(/-/g, "");
+  return withScriptLock_(function () {
+    var keys = getApiKeys_();
+    keys[hashApiKey_(key)] = { email: email, created: getDatetime_().toISOString() };
+    getStorage_().getProperties().setProperty(API_KEYS_PROPERTY_, JSON.stringify(keys));
+    return key;
+  });
+}
+
+/**
+ * Function to stop an API key from working
+ *
+ * @param {string} key: the key returned by createApiKey
+ * @return {bool} returns true if the key existed and false otherwise (or if the user is not an admin)
+ */
+function revokeApiKey(key) {
+  if (!checkAdmin_("revokeApiKey")) {
+    return false;
+  }
+  return withScriptLock_(function () {
+    var keys = getApiKeys_();
+    var digest = hashApiKey_(key);
+    if (!keys[digest]) {
+      return false;
+    }
+    delete keys[digest];
+    getStorage_().getProperties().setProperty(API_KEYS_PROPERTY_, JSON.stringify(keys));
+    return true;
+  });
+}
+
+/**
+ * Function to return the stored API keys
+ *
+ * @return {object} returns a dictionary {digest: {email, created}}
+ */
+function getApiKeys_() {
+  var stored = getStorage_().getProperties().getProperty(API_KEYS_PROPERTY_);
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Function to turn an API key into the digest that is stored
+ *
+ * @param {string} key: the API key
+ * @return {string} returns the SHA-256 digest of the key as hex
+ */
+function hashApiKey_(key) {
+  var bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(key), Utilities.Charset.UTF_8);
+  return bytes.map(function (byte) { return ((byte + 256) % 256).toString(16).padStart(2, "0"); }).join("");
+}
+
+// ------------------------------------------- HANDLERS --------------------------------------------------
+
+/**
+ * Function called by Apps Script for every GET request to the Web App
+ *
+ * @param {object} e: the Apps Script event object {pathInfo, parameter}
+ * @return {object} returns a JSON TextOutput
+ */
+function doGet(e) {
+  return handleApiRequest_("GET", e);
+}
+
+/**
+ * Function called by Apps Script for every POST request to the Web App (including PATCH and DELETE sent with ?method=)
+ *
+ * @param {object} e: the Apps Script event object {pathInfo, parameter, postData}
+ * @return {object} returns a JSON TextOutput
+ */
+function doPost(e) {
+  var method = String((e && e.parameter && e.parameter.method) || "POST").toUpperCase();
+  return handleApiRequest_(method, e);
+}
+
+/**
+ * Function to authenticate a request, run it and turn the outcome into a JSON response
+ *
+ * @param {string} method: the HTTP method of the request ("GET", "POST", "PATCH" or "DELETE")
+ * @param {object} e: the Apps Script event object
+ * @return {object} returns a JSON TextOutput
+ */
+function handleApiRequest_(method, e) {
+  var response;
+  e = e || {};
+  var parameter = e.parameter || {};
+  var account = parameter.key ? getApiKeys_()[hashApiKey_(parameter.key)] : null;
+  if (!account) {
+    response = apiError_(401, "a valid API key must be given with ?key=");
+  } else {
+    apiUser_ = account.email;
+    try {
+      response = routeApiRequest_(method, String(e.pathInfo || "").split("/").filter(String).map(decodeURIComponent), parameter, e.postData);
+    } catch (err) {
+      Logger.log("The API request " + method + " /" + e.pathInfo + " failed with the following error: " + err);
+      response = apiError_(500, "the request could not be completed", String(err));
+    } finally {
+      apiUser_ = null;
+    }
+  }
+  return ContentService.createTextOutput(JSON.stringify(toApiValue_(response))).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Function to run the operation that a route maps to
+ *
+ * @param {string} method: the HTTP method of the request
+ * @param {object} path: the parts of the path [spreadsheetID, sheetName, id]
+ * @param {object} parameter: the query parameters of the request
+ * @param {object} postData: the body of the request (POST only)
+ * @return {object} returns the response dictionary
+ */
+function routeApiRequest_(method, path, parameter, postData) {
+  if (API_METHODS_.indexOf(method) == -1) {
+    return apiError_(400, method + " is not a supported method");
+  }
+  if (path.length < 2 || path.length > 3) {
+    return apiError_(404, "routes have the form /{spreadsheetID}/{sheetName}/{id}");
+  }
+  var spreadsheetID = path[0];
+  var sheetName = path[1];
+  var id = path[2];
+  var spreadsheet;
+  try {
+    spreadsheet = getStorage_().openSpreadsheet(spreadsheetID);
+  } catch (err) {
+    return apiError_(404, "the spreadsheet " + spreadsheetID + " does not exist or cannot be opened");
+  }
+  if (!spreadsheet.getSheetByName(sheetName)) {
+    return apiError_(404, sheetName + " is not a sheet of the spreadsheet");
+  }
+  var body = null;
+  if (method == "POST" || method == "PATCH") {
+    try {
+      body = JSON.parse(postData && postData.contents ? postData.contents : "null");
+    } catch (err) {
+      return apiError_(400, "the body of the request is not valid JSON");
+    }
+    if (body == null || typeof body != "object") {
+      return apiError_(400, "the body of the request must be a JSON object or list");
+    }
+  }
+  if (method == "GET" && id == null) {
+    var query = parseApiQuery_(parameter);
+    if (query.error) {
+      return apiError_(400, query.error);
+    }
+    var response = apiResult_(callDatabase("QUERY", spreadsheetID, sheetName, [query]), 200);
+    var result = response.data;
+    if (response.ok && query.pageSize != null) {
+      response.data = result.rows;
+      response.nextCursor = result.nextCursor;
+      if (query.includeTotal) {
+        response.total = result.total;
+      }
+    }
+    return response;
+  }
+  if (method == "GET") {
+    return apiRowResult_(callDatabase("READ", spreadsheetID, sheetName, ["ID", [id], parseApiList_(parameter.expand)]), id, 200);
+  }
+  if (method == "POST" && id == null) {
+    var rows = Array.isArray(body) ? body : [body];
+    var response = apiResult_(callDatabase("CREATE", spreadsheetID, sheetName, [rows]), 201);
+    if (response.ok) {
+      response.data = Array.isArray(body) ? rowDictToList_(response.data) : rowDictToList_(response.data)[0];
+    }
+    return response;
+  }
+  if (id == null || Array.isArray(body)) {
+    return apiError_(400, method + " needs the ID of one row in the path and a JSON object as the body");
+  }
+  if (method == "POST") {
+    // strict, so that a missing row is NOT_FOUND (once access has been checked) instead of a new row - as for PATCH and DELETE
+    return apiRowResult_(callDatabase("UPDATE", spreadsheetID, sheetName, [Object.assign({}, body, { ID: id })], { strict: true }), id, 200);
+  }
+  if (method == "PATCH") {
+    var expected = {};
+    if (parameter.version != null) {
+      expected["Version"] = Number(parameter.version);
+    }
+    if (parameter.dateModified != null) {
+      expected["DateModified"] = new Date(parameter.dateModified);
+    }
+    return apiRowResult_(callDatabase("PATCH", spreadsheetID, sheetName, [Object.assign({}, body, { ID: id }), expected], { strict: true }), id, 200);
+  }
+  return apiRowResult_(callDatabase("DELETE", spreadsheetID, sheetName, ["ID", [id]], { strict: true }), id, 200);
+}
+
+// ------------------------------------------- API HELPERS -------------------------------------------------
+
+/**
+ * Function to build a query dictionary from the query parameters of a GET request
+ *
+ * @param {object} parameter: the query parameters of the request
+ * @return {object} returns the query dictionary, or {error: a description of the problem}
+ */
+function parseApiQuery_(parameter) {
+  var query = {};
+  try {
+    if (parameter.where) {
+      query.where = JSON.parse(parameter.where);
+    }
+    if (parameter.orderBy) {
+      query.orderBy = /^[\[{]/.test(parameter.orderBy) ? JSON.parse(parameter.orderBy) : parameter.orderBy;
+    }
+  } catch (err) {
+    return { error: "where and orderBy must be valid JSON" };
+  }
+  ["limit", "offset", "pageSize"].forEach(function (name) {
+    if (parameter[name] != null) {
+      query[name] = Number(parameter[name]);
+    }
+  });
+  if (parameter.cursor) {
+    query.cursor = parameter.cursor;
+  }
+  if (parameter.includeTotal == "true") {
+    query.includeTotal = true;
+  }
+  query.columns = parseApiList_(parameter.columns);
+  query.expand = parseApiList_(parameter.expand);
+  // a list keeps the order of orderBy even for IDs that look like numbers (see SHEETS_QUERY.js)
+  query.asList = true;
+  return query;
+}
+
+/**
+ * Function to split a comma separated query parameter into a list
+ *
+ * @param {string} value: the value of the query parameter
+ * @return {object} returns the list of values, or null if the parameter was not given
+ */
+function parseApiList_(value) {
+  return value ? String(value).split(",").map(function (item) { return item.trim(); }).filter(String) : null;
+}
+
+/**
+ * Function to turn the result envelope of callDatabase into a response, leaving data to the caller
+ *
+ * @param {object} result: the result envelope {ok, data, error} (see SHEETS_ERRORS.js)
+ * @param {integer} status: the status code to use if the operation succeeded
+ * @return {object} returns the response dictionary
+ */
+function apiResult_(result, status) {
+  if (!result.ok) {
+    return apiError_(API_ERROR_STATUSES_[result.error.code] || 400, result.error.message, result.error.details);
+  }
+  return { ok: true, status: status, data: result.data };
+}
+
+/**
+ * Function to turn the result of an operation on one row into a response holding that row
+ *
+ * @param {object} result: the result envelope of callDatabase, whose data is a dictionary of dictionaries {ID: {fieldName: data}}
+ * @param {string} id: the ID of the row
+ * @param {integer} status: the status code to use if the operation succeeded
+ * @return {object} returns the response dictionary - 404 if the row is not in the output
+ */
+function apiRowResult_(result, id, status) {
+  var response = apiResult_(result, status);
+  if (response.ok) {
+    if (!response.data[id]) {
+      return apiError_(404, "there is no valid row with the ID " + id);
+    }
+    response.data = response.data[id];
+  }
+  return response;
+}
+
+/**
+ * Function to build an error response
+ *
+ * @param {integer} status: the status code (see API_ERROR_CODES_)
+ * @param {string} message: a description of the problem
+ * @param {object} details: (optional) more information, e.g. the list of field errors
+ * @return {object} returns the response dictionary
+ */
+function apiError_(status, message, details) {
+  return { ok: false, status: status, error: { code: API_ERROR_CODES_[status], message: message, details: details == null ? null : details } };
+}
+
+/**
+ * Function to convert a dictionary of dictionaries {ID: row} into a list of rows, keeping their order - only for the rows made by
+ * CREATE, as a generated ID always holds a dash and so never takes the place of a key that looks like a number (see SHEETS_IDS.js)
+ *
+ * @param {object} rowDict: the dictionary of row dictionaries
+ * @return {object} returns the list of row dictionaries
+ */
+function rowDictToList_(rowDict) {
+  return Object.keys(rowDict).map(function (id) { return rowDict[id]; });
+}
+
+/**
+ * Function to prepare a value to be sent as JSON, turning every date into an ISO-8601 string
+ *
+ * @param {object} value: the value to convert
+ * @return {object} returns a copy of the value that JSON.stringify sends the same way every time
+ */
+function toApiValue_(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toApiValue_);
+  }
+  if (value != null && typeof value == "object") {
+    var copy = {};
+    Object.keys(value).forEach(function (key) { copy[key] = toApiValue_(value[key]); });
+    return copy;
+  }
+  return value;
+}
@@ -0,0 +1,190 @@
+/**
+ * This file contains the audit log, which records every change made through accessDatabase, and the HISTORY operation that reads it back.
+ *
+ * The write helpers (create_, delete_, undoDelete_, patch_ and clearReferences_) call recordChange_ for every row they change. At the end of
+ * each operation the recorded changes are turned into one entry per row, and accessDatabase writes the entries to the audit sheet before
+ * releasing its locks, holding the script lock while it appends them (a BATCH that is rolled back writes none). Each entry holds the timestamp, the user, the operation, the sheet, the
+ * row ID and a field-level diff {fieldName: {before, after}} stored as JSON. Calls refused by the access control layer are written too,
+ * with no row ID and {denied: reason} in place of the diff, even when they are part of a BATCH that is rolled back.
+ *
+ * The audit sheet is configured with the "auditSpreadsheetID" script property (and optionally "auditSheetName", which defaults to "AuditLog").
+ * Nothing is recorded if auditSpreadsheetID is not set. The audit sheet has no Valid column, so cleanDatabase never removes its entries.
+ */
+
+// Default name of the audit sheet
+const AUDIT_SHEET_NAME_ = "AuditLog";
+// Columns of the audit sheet
+const AUDIT_COLUMNS_ = ["Timestamp", "User", "Operation", "SpreadsheetID", "SheetName", "RowID", "Changes"];
+// Fields left out of the diff because every entry already records them
+const AUDIT_IGNORED_FIELDS_ = ["ModifiedBy", "DateModified"];
+
+// Changes recorded by the write helpers during the current operation - list of {sheet, id, before, after}
+var pendingChanges_ = [];
+// Position of each row in pendingChanges_, by "<sheetKey>/<ID>"
+var pendingChangeIndex_ = {};
+// Audit entries waiting to be written to the audit sheet - list of rows matching AUDIT_COLUMNS_
+var pendingAuditEntries_ = [];
+// Entries for calls refused by the access control layer - kept apart so that a BATCH rollback does not discard them
+var pendingDenialEntries_ = [];
+
+// ------------------------------------------- RECORD ----------------------------------------------------
+
+/**
+ * Function to record a change to a row - several changes to the same row in one operation are merged (e.g. the delete and create of update_)
+ *
+ * @param {object} sheet: the instance of the sheet the row belongs to
+ * @param {object} before: the row dictionary before the change (null for a new row)
+ * @param {object} after: the row dictionary after the change
+ */
+function recordChange_(sheet, before, after) {
+  var id = (after || before)["ID"];
+  var key = getSheetKey_(sheet) + "/" + id;
+  if (Object.prototype.hasOwnProperty.call(pendingChangeIndex_, key)) {
+    pendingChanges_[pendingChangeIndex_[key]].after = after;
+    return;
+  }
+  pendingChangeIndex_[key] = pendingChanges_.length;
+  pendingChanges_.push({ sheet: sheet, id: id, before: before, after: after });
+}
+
+/**
+ * Function to turn the changes recorded during an operation into audit entries
+ *
+ * @param {string} operation: the name of the operation that made the changes (e.g. "UPDATE")
+ */
+function queueAuditEntries_(operation) {
+  const timestamp = getDatetime_();
+  const user = getUserEmail_();
+  pendingChanges_.forEach(function (change) {
+    var diff = diffRows_(change.before, change.after);
+    if (Object.keys(diff).length > 0) {
+      pendingAuditEntries_.push([timestamp, user, operation, change.sheet.getParent().getId(), change.sheet.getName(), change.id, JSON.stringify(diff)]);
+    }
+  });
+  pendingChanges_ = [];
+  pendingChangeIndex_ = {};
+}
+
+/**
+ * Function to record a call that was refused by the access control layer (see SHEETS_ACCESS.js)
+ *
+ * @param {string} operation: the name of the operation that was refused
+ * @param {string} spreadsheetID: the id of the spreadsheet the call was for
+ * @param {string} sheetName: the name of the sheet the call was for
+ * @param {string} message: the reason the call was refused
+ */
+function recordDenial_(operation, spreadsheetID, sheetName, message) {
+  pendingDenialEntries_.push([getDatetime_(), getUserEmail_(), operation, spreadsheetID, sheetName, "", JSON.stringify({ denied: message })]);
+}
+
+/**
+ * Function to forget every change and entry that has not been written yet (used when a BATCH is rolled back)
+ */
+function discardAuditEntries_() {
+  pendingChanges_ = [];
+  pendingChangeIndex_ = {};
+  pendingAuditEntries_ = [];
+}
+
+/**
+ * Function to write the queued audit entries to the audit sheet in one range operation
+ *
+ * @return {integer} returns the number of entries written
+ */
+function writeAuditEntries_() {
+  var entries = pendingAuditEntries_.concat(pendingDenialEntries_);
+  pendingAuditEntries_ = [];
+  pendingDenialEntries_ = [];
+  if (entries.length == 0) {
+    return 0;
+  }
+  // calls on different sheets can finish at the same time, so the append is made while holding the script lock
+  var lock = getStorage_().getLock();
+  lock.waitLock(LOCK_TABLE_TIMEOUT_);
+  try {
+    var auditSheet = getAuditSheet_(true);
+    if (!auditSheet) {
+      return 0;
+    }
+    auditSheet.getRange(auditSheet.getLastRow() + 1, 1, entries.length, AUDIT_COLUMNS_.length).setValues(entries);
+    return entries.length;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Function to compare two versions of a row field by field
+ *
+ * @param {object} before: the row dictionary before the change (null for a new row)
+ * @param {object} after: the row dictionary after the change
+ * @return {object} returns a dictionary {fieldName: {before, after}} of the fields that changed
+ */
+function diffRows_(before, after) {
+  before = before || {};
+  after = after || {};
+  var diff = {};
+  var fields = new Set(Object.keys(before).concat(Object.keys(after)));
+  fields.forEach(function (field) {
+    if (AUDIT_IGNORED_FIELDS_.indexOf(field) == -1 && uniqueKey_(before[field] == null ? "" : before[field]) != uniqueKey_(after[field] == null ? "" : after[field])) {
+      diff[field] = { before: before[field] == null ? null : before[field], after: after[field] == null ? null : after[field] };
+    }
+  });
+  return diff;
+}
+
+/**
+ * Function to get the audit sheet
+ *
+ * @param {bool} create: true to create the sheet in the audit spreadsheet if it does not exist
+ * @return {object} returns the audit sheet, or null if auditing is not configured (or the sheet does not exist and create is false)
+ */
+function getAuditSheet_(create) {
+  var properties = getStorage_().getProperties();
+  var auditSSID = properties.getProperty("auditSpreadsheetID");
+  if (!auditSSID) {
+    return null;
+  }
+  var spreadsheet = getStorage_().openSpreadsheet(auditSSID);
+  var sheetName = properties.getProperty("auditSheetName") || AUDIT_SHEET_NAME_;
+  var auditSheet = spreadsheet.getSheetByName(sheetName);
+  if (!auditSheet && create) {
+    auditSheet = spreadsheet.insertSheet(sheetName);
+    auditSheet.getRange(1, 1, 1, AUDIT_COLUMNS_.length).setValues([AUDIT_COLUMNS_]).setFontWeight("bold");
+    auditSheet.setFrozenRows(1);
+  }
+  return auditSheet;
+}
+
+// ------------------------------------------- HISTORY ---------------------------------------------------
+
+/**
+ * Function to return the timeline of changes made to one row
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the row
+ * @param {string} sheetName: the name of the sheet holding the row
+ * @param {string} rowID: the ID of the row
+ * @return {object} returns a list of dictionaries {Timestamp, User, Operation, Changes: {fieldName: {before, after}}}, oldest first
+ *                  - returns null if auditing is not configured
+ */
+function history_(spreadsheetID, sheetName, rowID) {
+  Logger.log("Reading the history of " + rowID + " in " + sheetName);
+  if (!getStorage_().getProperties().getProperty("auditSpreadsheetID")) {
+    fail_("NOT_CONFIGURED", "There is no audit log - set the auditSpreadsheetID script property to start one");
+    return;
+  }
+  var auditSheet = getAuditSheet_(false);
+  if (!auditSheet) {
+    // nothing has been audited yet
+    return [];
+  }
+  var data = auditSheet.getDataRange().getValues();
+  var timeline = [];
+  for (var i = 1; i < data.length; i++) {
+    var entry = getRowAsDict(data[0], data[i]);
+    if (entry["RowID"] == rowID && entry["SheetName"] == sheetName && entry["SpreadsheetID"] == spreadsheetID) {
+      timeline.push({ Timestamp: entry["Timestamp"], User: entry["User"], Operation: entry["Operation"], Changes: JSON.parse(entry["Changes"]) });
+    }
+  }
+  return timeline;
+}
@@ -0,0 +1,249 @@
+/**
+ * This file contains the BATCH operation, which runs an ordered list of operations across sheets and spreadsheets holding the locks of all of them
+ * and rolls back every write that was made if any of them fails.
+ *
+ * Each operation is a dictionary {name, functionName, spreadsheetID, sheetName, parameters}, where functionName is one of the CRUD
+ * functions of accessDatabase and parameters is the list that would be passed to accessDatabase. name is optional - anywhere in the
+ * parameters of a later operation the string "$name" is replaced with the first ID returned by the operation with that name, and
+ * "$name[i]" with its i-th ID (0-indexed). For example:
+ *   accessDatabase("BATCH", null, null, [[
+ *     {name: "matter", functionName: "CREATE", spreadsheetID: matterSSID, sheetName: "Matter", parameters: [[{Name: "Patent 12"}]]},
+ *     {name: "task", functionName: "CREATE", spreadsheetID: taskSSID, sheetName: "Task", parameters: [[{Title: "File", MatterID: "$matter"}]]},
+ *     {functionName: "CREATE", spreadsheetID: noteSSID, sheetName: "Note", parameters: [[{Body: "Opened", TaskID: "$task"}]]}
+ *   ]])
+ *
+ * An operation fails if it throws, returns nothing, or returns errors or a conflict. Rollback works by keeping a copy of the values of
+ * every sheet an operation may write to (including sheets reached through relationships) from the first time the batch touches it, and
+ * writing those values back - removing any rows and columns the batch added - if a later operation fails. For a partitioned table the
+ * copy also holds its entry in the "partitions" script property, so the partitions started by the batch are removed again and the
+ * entry is put back (see SHEETS_PARTITIONS.js). The records of the rows each sheet's deletes cascaded to are copied and put back too
+ * (see SHEETS_RELATIONSHIPS.js).
+ */
+
+// List of the functions that can be used in a batch
+const BATCH_FUNCTIONS_ = ["CREATE", "READ", "QUERY", "UPDATE", "PATCH", "DELETE", "UNDO_DELETE"];
+// List of the batch functions that never write to a sheet
+const BATCH_READ_FUNCTIONS_ = ["READ", "QUERY"];
+// Pattern matching a reference to the IDs returned by an earlier operation, e.g. "$matter" or "$matter[1]"
+const BATCH_REFERENCE_PATTERN_ = /^\$(\w+)(?:\[(\d+)\])?$/;
+
+// ------------------------------------------- BATCH -----------------------------------------------------
+
+/**
+ * Function to run a list of operations in order, rolling back every write if one of them fails - the caller must already hold the locks of every operation
+ *
+ * @param {object} operations: a list of operation dictionaries {name, functionName, spreadsheetID, sheetName, parameters}
+ * @return {object} returns a list holding the output of each operation, in order
+ *                  - returns {errors: [{step, name, message}]} describing the failed operation after rolling back
+ */
+function batch_(operations) {
+  if (!Array.isArray(operations) || operations.length == 0) {
+    fail_("INVALID_INPUT", "No operations were given to batch_");
+    return;
+  }
+  Logger.log("Running a batch of " + operations.length + " operations");
+  var snapshots = {}; // copies of the sheets touched so far, by sheet key
+  var stepIDs = {}; // the IDs returned by each named operation
+  var results = [];
+  for (var i = 0; i < operations.length; i++) {
+    var operation = operations[i];
+    var result;
+    var failure;
+    try {
+      failure = checkBatchOperation_(operation);
+      if (!failure) {
+        var parameters = resolveBatchReferences_(operation.parameters || [], stepIDs);
+        var sheet = getTableSheet_(getStorage_().openSpreadsheet(operation.spreadsheetID), operation.sheetName);
+        if (!sheet) {
+          failure = operation.sheetName + " does not exist";
+        } else {
+          // keep a copy of everything this operation may write to before it runs
+          if (BATCH_READ_FUNCTIONS_.indexOf(operation.functionName) == -1) {
+            snapshotSheets_(getAffectedSheets_(sheet, operation.functionName), snapshots);
+          }
+          result = runOperation_(operation.functionName, operation.spreadsheetID, operation.sheetName, parameters);
+          failure = describeBatchFailure_(result);
+        }
+      }
+    } catch (err) {
+      failure = err instanceof DatabaseError ? err.code + ": " + err.message : String(err);
+    }
+    if (failure) {
+      Logger.log("Step " + i + " of the batch failed so it is being rolled back: " + failure);
+      rollbackBatch_(snapshots);
+      discardAuditEntries_();
+      discardNotifications_();
+      return { errors: [{ step: i, name: operation.name, message: failure }] };
+    }
+    if (operation.name) {
+      stepIDs[operation.name] = getResultIDs_(result);
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+// ------------------------------------------ BATCH HELPERS ------------------------------------------------
+
+/**
+ * Function to check that an operation of a batch is well formed
+ *
+ * @param {object} operation: the operation dictionary
+ * @return {string} returns a description of the problem, or null if the operation is valid
+ */
+function checkBatchOperation_(operation) {
+  if (!operation || BATCH_FUNCTIONS_.indexOf(operation.functionName) == -1) {
+    return (operation ? operation.functionName : operation) + " is not a function that can be used in a batch";
+  }
+  if (!operation.spreadsheetID || !operation.sheetName) {
+    return "every operation needs a spreadsheetID and a sheetName";
+  }
+  return null;
+}
+
+/**
+ * Function to decide whether the output of an operation means that it failed
+ *
+ * @param {object} result: the output of runOperation_
+ * @return {string} returns a description of the failure, or null if the operation succeeded
+ */
+function describeBatchFailure_(result) {
+  if (result == null) {
+    // the operation reported why it failed with fail_ (see SHEETS_ERRORS.js)
+    return lastError_ ? lastError_.code + ": " + lastError_.message : "the operation returned nothing (see the log for details)";
+  }
+  if (result.errors) {
+    return JSON.stringify(result.errors);
+  }
+  if (result.conflict) {
+    return "row " + result.conflict["ID"] + " has changed since it was read";
+  }
+  return null;
+}
+
+/**
+ * Function to list the IDs in the output of an operation
+ *
+ * @param {object} result: a dictionary of dictionaries {ID: {fieldName: data}}, a list of row dictionaries (from UNDO_DELETE or a query
+ *                         with asList) or a page {rows, nextCursor}
+ * @return {object} returns the list of IDs
+ */
+function getResultIDs_(result) {
+  if (Array.isArray(result)) {
+    return result.map(function (row) { return row["ID"]; });
+  }
+  if (Object.prototype.hasOwnProperty.call(result, "nextCursor")) {
+    return getResultIDs_(result.rows);
+  }
+  return Object.keys(result);
+}
+
+/**
+ * Function to replace references to earlier operations ("$name" or "$name[i]") in the parameters of an operation
+ *
+ * @param {object} value: the parameters (or any value inside them)
+ * @param {object} stepIDs: a dictionary {name: [IDs]} of the IDs returned by each named operation so far
+ * @return {object} returns a copy of value with every reference replaced
+ */
+function resolveBatchReferences_(value, stepIDs) {
+  if (typeof value == "string") {
+    var match = BATCH_REFERENCE_PATTERN_.exec(value);
+    if (!match) {
+      return value;
+    }
+    var ids = stepIDs[match[1]];
+    var id = ids ? ids[Number(match[2] || 0)] : null;
+    if (id == null) {
+      throw new DatabaseError("INVALID_INPUT", "the reference " + value + " does not match an ID returned by an earlier operation");
+    }
+    return id;
+  }
+  if (Array.isArray(value)) {
+    return value.map(function (item) { return resolveBatchReferences_(item, stepIDs); });
+  }
+  if (value != null && typeof value == "object" && !(value instanceof Date)) {
+    var copy = {};
+    Object.keys(value).forEach(function (key) { copy[key] = resolveBatchReferences_(value[key], stepIDs); });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Function to list the sheets an operation may write to - DELETE and UNDO_DELETE can reach every sheet connected through relationships
+ *
+ * @param {object} sheet: the instance of the sheet the operation runs on
+ * @param {string} functionName: the name of the function being run
+ * @return {object} returns a list of sheet instances
+ */
+function getAffectedSheets_(sheet, functionName) {
+  var sheets = [sheet];
+  if (functionName != "DELETE" && functionName != "UNDO_DELETE") {
+    return sheets;
+  }
+  // walk the relationships in both directions from the sheet
+  var seen = new Set([getSheetKey_(sheet)]);
+  for (var i = 0; i < sheets.length; i++) {
+    var related = getSheetRelationships_(sheets[i], true).map(function (relationship) {
+      return [relationship.parentSpreadsheetID, relationship.parentSheetName];
+    }).concat(getSheetRelationships_(sheets[i], false).map(function (relationship) {
+      return [relationship.childSpreadsheetID, relationship.childSheetName];
+    }));
+    related.forEach(function (location) {
+      if (!seen.has(location[0] + "/" + location[1])) {
+        seen.add(location[0] + "/" + location[1]);
+        var relatedSheet = getTableSheet_(getStorage_().openSpreadsheet(location[0]), location[1]);
+        if (relatedSheet) {
+          sheets.push(relatedSheet);
+        }
+      }
+    });
+  }
+  return sheets;
+}
+
+/**
+ * Function to keep a copy of the values of each sheet that has not been copied yet in this batch
+ *
+ * @param {object} sheets: a list of sheet instances
+ * @param {object} snapshots: the dictionary {sheetKey: {sheet, values, table, cascades}} of copies taken so far - table is a copy of
+ *                            the partitioned table of the sheet (null if it is not partitioned) and cascades the output of readCascades_
+ */
+function snapshotSheets_(sheets, snapshots) {
+  sheets.forEach(function (sheet) {
+    var key = getSheetKey_(sheet);
+    if (!snapshots[key]) {
+      var table = sheet.getPartitionTable ? JSON.parse(JSON.stringify(sheet.getPartitionTable())) : null;
+      snapshots[key] = { sheet: sheet, values: sheet.getDataRange().getValues(), table: table, cascades: readCascades_(sheet) };
+    }
+  });
+}
+
+/**
+ * Function to write the copied values back into every sheet touched by a batch, removing any rows and columns the batch added
+ *
+ * @param {object} snapshots: the dictionary {sheetKey: {sheet, values, table, cascades}} of copies taken by the batch
+ */
+function rollbackBatch_(snapshots) {
+  Object.keys(snapshots).forEach(function (key) {
+    // a partitioned table first loses the partitions the batch started, so the values are written back to the partitions it had
+    var sheet = snapshots[key].table ? restorePartitionTable_(snapshots[key].sheet.getParent(), snapshots[key].table) : snapshots[key].sheet;
+    var values = snapshots[key].values;
+    var height = values.length;
+    var width = values[0].length;
+    var current = sheet.getDataRange();
+    // remove the columns and clear the rows that were added
+    if (current.getWidth() > width) {
+      sheet.deleteColumns(width + 1, current.getWidth() - width);
+    }
+    if (current.getHeight() > height) {
+      sheet.getRange(height + 1, 1, current.getHeight() - height, width).clearContent();
+    }
+    // put the old values back
+    sheet.getRange(1, 1, height, width).setValues(values);
+    invalidateIndexes_(sheet);
+    if (JSON.stringify(readCascades_(sheet)) != JSON.stringify(snapshots[key].cascades)) {
+      updateCascades_(sheet, snapshots[key].cascades, null);
+    }
+  });
+}
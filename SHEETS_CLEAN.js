@@ -0,0 +1,438 @@
+/**
+ * This file contains cleanDatabase and CLEAN_SHEET, which purge the rows that were deleted (Valid is false) longer ago than the
+ * retention period of their sheet.
+ *
+ * The sheets to clean are listed in a registry kept in the "cleanRegistry" script property, managed with registerManagedSheet and
+ * removeManagedSheet. An entry names a spreadsheet and either one sheet or (with no sheet name) every database sheet in it, along with
+ * the number of days deleted rows are kept for. Sheets without both a Valid and a DateModified column (e.g. "_Schema" or the audit log)
+ * are never cleaned.
+ *
+ * Purged rows are not destroyed: they are appended to a sheet of the same name in the archive spreadsheet (the "archiveSpreadsheetID"
+ * script property, created on first use), with the date they were archived and the spreadsheet they came from, and are then removed
+ * with deleteRows so that the formatting of the remaining rows is kept. A dry run reports what would be removed without changing anything.
+ * Removing rows moves the rows below them, so each sheet counts the times rows were removed from it in a script property of its own,
+ * "rowRemovals:<spreadsheetID>/<sheetName>", and the cursors of paged queries made before the count changed are refused (see SHEETS_QUERY.js).
+ *
+ * cleanDatabase can be run every day with scheduleCleanDatabase(hour). If it gets close to the Apps Script execution time limit it
+ * stores the sheet it got to in the "cleanProgress" script property and sets a one-off trigger to carry on from that sheet a minute later.
+ */
+
+// Name of the script property that the registry of managed sheets is stored under
+const CLEAN_REGISTRY_PROPERTY_ = "cleanRegistry";
+// Name of the script property that the progress of an unfinished cleanDatabase is stored under
+const CLEAN_PROGRESS_PROPERTY_ = "cleanProgress";
+// Name of the script property that the id of the one-off trigger resuming an unfinished cleanDatabase is stored under
+const CLEAN_TRIGGER_PROPERTY_ = "cleanResumeTrigger";
+// Name of the script property that the archive spreadsheet id is stored under
+const ARCHIVE_PROPERTY_ = "archiveSpreadsheetID";
+// Number of days deleted rows are kept for when a sheet does not say
+const DEFAULT_RETENTION_DAYS_ = 1;
+// Number of ms cleanDatabase may run for before it stops and schedules itself to carry on
+const CLEAN_TIME_LIMIT_ = 270000;
+// Largest number of rows archived and removed between two checks of the time limit
+const CLEAN_CHUNK_ROWS_ = 500;
+// Start of the name of the script property that counts the times rows were removed from a sheet (see getRowRemovals_)
+const ROW_REMOVALS_PROPERTY_ = "rowRemovals:";
+// Columns added in front of the archived rows
+const ARCHIVE_COLUMNS_ = ["DateArchived", "SpreadsheetID"];
+// Properties holding the spreadsheet ids that were cleaned before the registry existed
+const LEGACY_SPREADSHEET_PROPERTIES_ = ["clientSpreadsheetID", "memberSpreadsheetID", "matterSpreadsheetID", "taskSpreadsheetID", "noteSpreadsheetID"];
+
+// ------------------------------------------- REGISTRY --------------------------------------------------
+
+/**
+ * Function to add (or change) a sheet in the registry of sheets cleaned by cleanDatabase
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet
+ * @param {string} sheetName: the name of the sheet - null manages every database sheet in the spreadsheet
+ * @param {number} retentionDays: the number of days a deleted row is kept before it is purged (defaults to 1)
+ * @return {object} returns the registry entry {spreadsheetID, sheetName, retentionDays}, or null if the inputs are invalid
+ */
+function registerManagedSheet(spreadsheetID, sheetName, retentionDays) {
+  retentionDays = retentionDays == null ? DEFAULT_RETENTION_DAYS_ : retentionDays;
+  if (!spreadsheetID || !(retentionDays >= 0)) {
+    Logger.log("registerManagedSheet needs a spreadsheetID and a retention period of 0 days or more");
+    return;
+  }
+  var entry = { spreadsheetID: spreadsheetID, sheetName: sheetName || null, retentionDays: retentionDays };
+  return withScriptLock_(function () {
+    var registry = getCleanRegistry_().filter(function (other) {
+      return other.spreadsheetID != entry.spreadsheetID || other.sheetName != entry.sheetName;
+    });
+    registry.push(entry);
+    getStorage_().getProperties().setProperty(CLEAN_REGISTRY_PROPERTY_, JSON.stringify(registry));
+    return entry;
+  });
+}
+
+/**
+ * Function to remove a sheet from the registry of sheets cleaned by cleanDatabase
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet
+ * @param {string} sheetName: the name of the sheet (null for an entry covering the whole spreadsheet)
+ * @return {bool} returns true if an entry was removed and false otherwise
+ */
+function removeManagedSheet(spreadsheetID, sheetName) {
+  return withScriptLock_(function () {
+    var registry = getCleanRegistry_();
+    var remaining = registry.filter(function (entry) { return entry.spreadsheetID != spreadsheetID || entry.sheetName != (sheetName || null); });
+    getStorage_().getProperties().setProperty(CLEAN_REGISTRY_PROPERTY_, JSON.stringify(remaining));
+    return remaining.length != registry.length;
+  });
+}
+
+/**
+ * Function to return the registry of managed sheets
+ * Until the first sheet is registered, the spreadsheets named by the old *SpreadsheetID script properties are cleaned with a 1 day retention.
+ *
+ * @return {object} returns a list of entries {spreadsheetID, sheetName, retentionDays}
+ */
+function getCleanRegistry_() {
+  var properties = getStorage_().getProperties();
+  var stored = properties.getProperty(CLEAN_REGISTRY_PROPERTY_);
+  if (stored) {
+    return JSON.parse(stored);
+  }
+  var registry = [];
+  LEGACY_SPREADSHEET_PROPERTIES_.forEach(function (name) {
+    var spreadsheetID = properties.getProperty(name);
+    // the same spreadsheet can hold several of the old sheets, so only list it once
+    if (spreadsheetID && !registry.some(function (entry) { return entry.spreadsheetID == spreadsheetID; })) {
+      registry.push({ spreadsheetID: spreadsheetID, sheetName: null, retentionDays: DEFAULT_RETENTION_DAYS_ });
+    }
+  });
+  return registry;
+}
+
+/**
+ * Function to list every sheet that cleanDatabase manages, with its retention period
+ * A sheet named by its own entry uses that entry's retention rather than the one of an entry for its whole spreadsheet.
+ *
+ * @return {object} returns a list of {spreadsheetID, sheetName, retentionDays}, in registry order
+ */
+function listManagedSheets_() {
+  var registry = getCleanRegistry_();
+  var named = {};
+  registry.forEach(function (entry) {
+    if (entry.sheetName) {
+      named[entry.spreadsheetID + "/" + entry.sheetName] = entry;
+    }
+  });
+  var sheets = [];
+  var seen = new Set();
+  registry.forEach(function (entry) {
+    var sheetNames = [entry.sheetName];
+    if (!entry.sheetName) {
+      try {
+        sheetNames = getStorage_().openSpreadsheet(entry.spreadsheetID).getSheets().map(function (sheet) { return sheet.getName(); });
+      } catch (err) {
+        Logger.log("Could not open the managed spreadsheet " + entry.spreadsheetID + ": " + err);
+        sheetNames = [];
+      }
+    }
+    sheetNames.forEach(function (sheetName) {
+      var key = entry.spreadsheetID + "/" + sheetName;
+      // the later partitions of a partitioned table are cleaned through its first one (see SHEETS_PARTITIONS.js)
+      if (!seen.has(key) && !isLaterPartition_(entry.spreadsheetID, sheetName)) {
+        seen.add(key);
+        sheets.push({ spreadsheetID: entry.spreadsheetID, sheetName: sheetName, retentionDays: (named[key] || entry).retentionDays });
+      }
+    });
+  });
+  return sheets;
+}
+
+// ---------------------------------------- CLEAN DATABASE -----------------------------------------------
+
+/**
+ * Function to purge the expired deleted rows of every managed sheet, moving them to the archive spreadsheet
+ * An unfinished run (see the top of this file) is carried on from the sheet it stopped at.
+ *
+ * @param {object} options: (optional) {dryRun: true to only report what would be removed} - the event object of a trigger is ignored
+ * @return {object} returns a report {dryRun, complete, removed, sheets: [{spreadsheetID, sheetName, removed, rowIDs}]}
+ *                  - rowIDs is only listed on a dry run
+ *                  - complete is false if the run stopped at the time limit and will be carried on by a trigger
+ *                  - returns null if the database could not be locked (it holds a write lock on every sheet while it runs)
+ */
+function cleanDatabase(options) {
+  // a time-driven trigger passes its event object as the first argument
+  options = options && !options.triggerUid ? options : {};
+  var dryRun = options.dryRun == true;
+  var locks;
+  try {
+    locks = acquireLocks_([{ resource: "*", mode: "write" }], null);
+  } catch (err) {
+    Logger.log("cleanDatabase timed out because the database was in use. This resulted in the following error: " + err.message);
+    return;
+  }
+  var properties = getStorage_().getProperties();
+  var deadline = new Date().getTime() + CLEAN_TIME_LIMIT_;
+  var progress = dryRun ? null : JSON.parse(properties.getProperty(CLEAN_PROGRESS_PROPERTY_) || "null");
+  // the cut-off is fixed when a run starts so that a resumed run purges the same rows
+  var now = progress ? new Date(progress.started) : new Date();
+  var report = { dryRun: dryRun, complete: true, removed: 0, sheets: [] };
+  var managed = listManagedSheets_();
+  var keys = managed.map(function (entry) { return entry.spreadsheetID + "/" + entry.sheetName; });
+  // a resumed run carries on at the sheet it stopped at, found by its key as the registry may have changed since - or starts again
+  // from the first sheet if that sheet is no longer managed (the sheets cleaned already have nothing left to purge)
+  var start = progress ? Math.max(keys.indexOf(progress.next), 0) : 0;
+  try {
+    for (var i = start; i < managed.length; i++) {
+      var sheet = null;
+      try {
+        sheet = getTableSheet_(getStorage_().openSpreadsheet(managed[i].spreadsheetID), managed[i].sheetName);
+      } catch (err) {
+        Logger.log("Could not open " + managed[i].sheetName + " in " + managed[i].spreadsheetID + ": " + err);
+      }
+      if (!sheet) {
+        continue;
+      }
+      var result = cleanSheet_(sheet, { retentionDays: managed[i].retentionDays, dryRun: dryRun, deadline: deadline, now: now });
+      report.removed += result.removed;
+      report.sheets.push(result);
+      if (!result.complete) {
+        report.complete = false;
+        properties.setProperty(CLEAN_PROGRESS_PROPERTY_, JSON.stringify({ next: keys[i], started: now.toISOString() }));
+        scheduleCleanResume_();
+        Logger.log("cleanDatabase reached the time limit at " + managed[i].sheetName + " and will carry on in a minute");
+        return report;
+      }
+    }
+    if (!dryRun) {
+      properties.deleteProperty(CLEAN_PROGRESS_PROPERTY_);
+      deleteCleanResumeTriggers_();
+    }
+    return report;
+  } finally {
+    releaseLocks_(locks);
+  }
+}
+
+/**
+ * Function to purge the expired deleted rows of one sheet, moving them to the archive spreadsheet
+ *
+ * @param {object} sheet: the instance of the sheet to clean
+ * @param {object} options: (optional) a dictionary {retentionDays, dryRun, deadline, now}
+ *                          - retentionDays: the number of days deleted rows are kept (defaults to the sheet's registry entry, or 1)
+ *                          - deadline: the time (in ms) after which no new chunk of rows is removed (defaults to CLEAN_TIME_LIMIT_ from now)
+ *                          - now: the time the retention period is counted back from (defaults to now)
+ * @return {object} returns a dictionary {spreadsheetID, sheetName, removed, rowIDs, complete} - rowIDs is only listed on a dry run
+ */
+function cleanSheet_(sheet, options) {
+  if (!sheet) {
+    Logger.log("The sheet to clean does not exist");
+    return;
+  }
+  options = options || {};
+  var now = options.now || new Date();
+  var deadline = options.deadline || new Date().getTime() + CLEAN_TIME_LIMIT_;
+  var retentionDays = options.retentionDays;
+  if (retentionDays == null) {
+    var entry = listManagedSheets_().filter(function (managed) {
+      return managed.spreadsheetID == sheet.getParent().getId() && managed.sheetName == sheet.getName();
+    })[0];
+    retentionDays = entry ? entry.retentionDays : DEFAULT_RETENTION_DAYS_;
+  }
+  var result = { spreadsheetID: sheet.getParent().getId(), sheetName: sheet.getName(), removed: 0, complete: true };
+  var data = sheet.getDataRange().getValues();
+  var validIndex = getColIndex_(data, "Valid");
+  var dateIndex = getColIndex_(data, "DateModified");
+  var idIndex = getColIndex_(data, "ID");
+  // skip sheets that are not database sheets (e.g. the hidden _Schema sheet)
+  if (validIndex == -1 || dateIndex == -1) {
+    return result;
+  }
+  // find every row that is false and older than the retention period
+  var expired = [];
+  for (var j = 1; j < data.length; j++) {
+    if (data[j][validIndex] != true && !(now - new Date(data[j][dateIndex]) < retentionDays * 86400000)) {
+      expired.push(j + 1);
+    }
+  }
+  Logger.log(expired.length + " expired rows found in " + sheet.getName());
+  if (options.dryRun) {
+    result.removed = expired.length;
+    result.rowIDs = expired.map(function (rowNumber) { return data[rowNumber - 1][idIndex]; });
+    return result;
+  }
+  // archive and remove the rows from the bottom up so that the row numbers above stay correct
+  var runs = groupRowNumbers_(expired);
+  if (runs.length > 0) {
+    countRowRemoval_(sheet);
+  }
+  var archiveSheet = null;
+  var removedIDs = [];
+  while (runs.length > 0) {
+    if (new Date().getTime() > deadline) {
+      result.complete = false;
+      break;
+    }
+    var chunk = [];
+    var chunkRows = 0;
+    while (runs.length > 0 && (chunkRows == 0 || chunkRows + runs[runs.length - 1][1] <= CLEAN_CHUNK_ROWS_)) {
+      chunkRows += runs[runs.length - 1][1];
+      chunk.push(runs.pop());
+    }
+    var archived = [];
+    chunk.slice().reverse().forEach(function (run) {
+      archived = archived.concat(data.slice(run[0] - 1, run[0] - 1 + run[1]));
+    });
+    archiveSheet = archiveSheet || getArchiveSheet_(sheet.getName());
+    archiveRows_(archiveSheet, data[0], archived, result.spreadsheetID);
+    removedIDs = removedIDs.concat(archived.map(function (row) { return row[idIndex]; }));
+    chunk.forEach(function (run) { deleteSheetRows_(sheet, run[0], run[1]); });
+    result.removed += chunkRows;
+  }
+  if (result.removed > 0) {
+    invalidateIndexes_(sheet);
+    // the removed rows can no longer be restored, so neither can the rows their deletes cascaded to
+    updateCascades_(sheet, {}, removedIDs);
+  }
+  return result;
+}
+
+// ---------------------------------------- CLEAN HELPERS ------------------------------------------------
+
+/**
+ * Function to get the number of times rows have been removed from a sheet, which moves the rows below them up
+ * The cursors of paged queries (see SHEETS_QUERY.js) hold row numbers, so they are refused once this number has changed.
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @return {integer} returns the number of times rows have been removed (0 if they never have)
+ */
+function getRowRemovals_(sheet) {
+  return Number(getStorage_().getProperties().getProperty(ROW_REMOVALS_PROPERTY_ + getSheetKey_(sheet)) || 0);
+}
+
+/**
+ * Function to count one more removal of rows from a sheet - only called while holding the write lock on the sheet
+ *
+ * @param {object} sheet: the instance of the sheet
+ */
+function countRowRemoval_(sheet) {
+  getStorage_().getProperties().setProperty(ROW_REMOVALS_PROPERTY_ + getSheetKey_(sheet), String(getRowRemovals_(sheet) + 1));
+}
+
+/**
+ * Function to remove a run of rows from a sheet, clearing the first row instead of removing it if a sheet would be left without
+ * any rows below its frozen rows (which Sheets does not allow)
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {integer} firstRowNumber: the 1-INDEXED number of the first row to remove
+ * @param {integer} numRows: the number of rows to remove
+ */
+function deleteSheetRows_(sheet, firstRowNumber, numRows) {
+  if (sheet.getMaxRows() - sheet.getFrozenRows() <= numRows) {
+    sheet.getRange(firstRowNumber, 1, 1, sheet.getLastColumn()).clearContent();
+    firstRowNumber += 1;
+    numRows -= 1;
+  }
+  if (numRows > 0) {
+    sheet.deleteRows(firstRowNumber, numRows);
+  }
+}
+
+/**
+ * Function to get the sheet of the archive spreadsheet that the rows of a sheet are archived to, creating either if needed
+ *
+ * @param {string} sheetName: the name of the sheet being cleaned
+ * @return {object} returns the archive sheet
+ */
+function getArchiveSheet_(sheetName) {
+  var properties = getStorage_().getProperties();
+  var archiveSSID = properties.getProperty(ARCHIVE_PROPERTY_);
+  var archive;
+  if (archiveSSID) {
+    archive = getStorage_().openSpreadsheet(archiveSSID);
+  } else {
+    archive = getStorage_().createSpreadsheet("Database Archive");
+    properties.setProperty(ARCHIVE_PROPERTY_, archive.getId());
+    Logger.log("Created the archive spreadsheet " + archive.getId());
+  }
+  var archiveSheet = archive.getSheetByName(sheetName);
+  if (!archiveSheet) {
+    archiveSheet = archive.insertSheet(sheetName);
+    archiveSheet.getRange(1, 1, 1, ARCHIVE_COLUMNS_.length).setValues([ARCHIVE_COLUMNS_]);
+    archiveSheet.setFrozenRows(1);
+  }
+  return archiveSheet;
+}
+
+/**
+ * Function to append rows to an archive sheet, matching them to its columns by name and adding any columns it does not have yet
+ *
+ * @param {object} archiveSheet: the instance of the archive sheet
+ * @param {object} header: the list of field names of the sheet the rows come from
+ * @param {object} rows: the rows to archive (lists of values in the order of header)
+ * @param {string} spreadsheetID: the id of the spreadsheet the rows come from
+ */
+function archiveRows_(archiveSheet, header, rows, spreadsheetID) {
+  var archiveHeader = archiveSheet.getRange(1, 1, 1, archiveSheet.getLastColumn()).getValues()[0];
+  var missing = header.filter(function (name) { return name !== "" && archiveHeader.indexOf(name) == -1; });
+  if (missing.length > 0) {
+    archiveSheet.getRange(1, archiveHeader.length + 1, 1, missing.length).setValues([missing]);
+    archiveHeader = archiveHeader.concat(missing);
+  }
+  var dateArchived = getDatetime_();
+  var values = rows.map(function (row) {
+    var archived = archiveHeader.map(function () { return ""; });
+    archived[0] = dateArchived;
+    archived[1] = spreadsheetID;
+    header.forEach(function (name, i) {
+      if (name !== "") {
+        archived[archiveHeader.indexOf(name)] = row[i];
+      }
+    });
+    return archived;
+  });
+  archiveSheet.getRange(archiveSheet.getLastRow() + 1, 1, values.length, archiveHeader.length).setValues(values);
+}
+
+// ------------------------------------------- SCHEDULE --------------------------------------------------
+
+/**
+ * Function to run cleanDatabase every day with a time-driven trigger (replacing any earlier schedule)
+ *
+ * @param {integer} hour: the hour of the day (0-23, in the script's time zone) to run at - defaults to 2
+ */
+function scheduleCleanDatabase(hour) {
+  unscheduleCleanDatabase();
+  ScriptApp.newTrigger("cleanDatabase").timeBased().everyDays(1).atHour(hour == null ? 2 : hour).create();
+}
+
+/**
+ * Function to stop running cleanDatabase on a schedule (including a pending resume of an unfinished run)
+ */
+function unscheduleCleanDatabase() {
+  ScriptApp.getProjectTriggers().forEach(function (trigger) {
+    if (trigger.getHandlerFunction() == "cleanDatabase") {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
+
+/**
+ * Function to set a one-off trigger that carries on an unfinished cleanDatabase in a minute
+ */
+function scheduleCleanResume_() {
+  deleteCleanResumeTriggers_();
+  var trigger = ScriptApp.newTrigger("cleanDatabase").timeBased().after(60 * 1000).create();
+  getStorage_().getProperties().setProperty(CLEAN_TRIGGER_PROPERTY_, trigger.getUniqueId());
+}
+
+/**
+ * Function to remove the one-off trigger set by scheduleCleanResume_ (the daily trigger is left alone)
+ */
+function deleteCleanResumeTriggers_() {
+  var properties = getStorage_().getProperties();
+  var triggerID = properties.getProperty(CLEAN_TRIGGER_PROPERTY_);
+  if (!triggerID) {
+    return;
+  }
+  ScriptApp.getProjectTriggers().forEach(function (trigger) {
+    if (trigger.getUniqueId() == triggerID) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  properties.deleteProperty(CLEAN_TRIGGER_PROPERTY_);
+}
@@ -0,0 +1,331 @@
+/**
+ * This file contains the conformance suite for storage adapters (see SHEETS_STORAGE.js), which checks that create_, read_, update_,
+ * delete_, undoDelete_ and cleanDatabase behave the same on an adapter as they do on Google Sheets.
+ *
+ * The checks run in order through accessDatabase and cleanDatabase against a new sheet, which is deleted at the end:
+ *   createSheet   CREATE_SHEET writes the database columns followed by the given ones
+ *   create        CREATE returns one row per input, with an ID, CreatedBy, DateCreated and Valid filled in
+ *   read          READ returns the rows with strings, numbers, booleans and dates as they were written, and reports a bad column
+ *   update        UPDATE keeps the ID, CreatedBy and DateCreated, and keeps the old version as a deleted row
+ *   delete        DELETE hides a row from READ and returns it as no longer valid
+ *   undoDelete    UNDO_DELETE makes the row valid again
+ *   cleanDatabase a dry run reports the deleted rows, and a real run removes them from the sheet and archives them
+ *   expandAccess  READ and QUERY refuse to expand into a sheet the user may not READ, and only expand the user's own rows with rows: "own"
+ *   query         QUERY and AGGREGATE never match an empty cell or a value of another kind with a comparison, and order values of
+ *                 different kinds in one consistent way
+ * For example, under Node:
+ *   const db = require("./SHEETS_NODE.js")();
+ *   console.log(db.checkStorageConformance(db.memoryStorage({userEmail: "test@example.com"})));
+ * In Apps Script, checkStorageConformance(googleSheetsStorage(), spreadsheetID) runs the same checks against a real spreadsheet. Use a
+ * test project: the cleanDatabase check also cleans every other registered sheet, and starts the archive spreadsheet if there is none
+ * (the test sheets and the archive sheet are deleted at the end), and the expandAccess check defines roles for as long as it runs.
+ */
+
+// List of the checks, run in order - each throws an Error describing the first difference it finds
+const CONFORMANCE_CHECKS_ = [
+  { name: "createSheet", run: checkConformanceCreateSheet_ },
+  { name: "create", run: checkConformanceCreate_ },
+  { name: "read", run: checkConformanceRead_ },
+  { name: "update", run: checkConformanceUpdate_ },
+  { name: "delete", run: checkConformanceDelete_ },
+  { name: "undoDelete", run: checkConformanceUndoDelete_ },
+  { name: "cleanDatabase", run: checkConformanceClean_ },
+  { name: "expandAccess", run: checkConformanceExpandAccess_ },
+  { name: "query", run: checkConformanceQuery_ }
+];
+// The columns of the test sheet
+const CONFORMANCE_COLUMNS_ = ["Title", "Hours", "Done", "Due"];
+
+// ------------------------------------------ CONFORMANCE ------------------------------------------------
+
+/**
+ * Function to check that a storage adapter behaves like Google Sheets - the adapter in use before the call is put back afterwards
+ *
+ * @param {object} adapter: the storage adapter to check
+ * @param {string} spreadsheetID: (optional) the id of the spreadsheet to add the test sheet to - a new spreadsheet is created if not given
+ * @return {object} returns a report {adapter, passed: [the names of the checks that passed], failed: [{check, message}]}
+ *                  - returns null if the adapter is missing one of the functions of an adapter
+ */
+function checkStorageConformance(adapter, spreadsheetID) {
+  var previous = storage_;
+  if (!useStorage(adapter)) {
+    return;
+  }
+  var report = { adapter: adapter.name, passed: [], failed: [] };
+  var test = { spreadsheetID: spreadsheetID, sheetName: "Conformance " + new Date().getTime(), otherSheets: [], relationships: [] };
+  try {
+    test.spreadsheetID = test.spreadsheetID || adapter.createSpreadsheet("Storage Conformance").getId();
+    CONFORMANCE_CHECKS_.forEach(function (check) {
+      try {
+        check.run(test);
+        report.passed.push(check.name);
+      } catch (err) {
+        report.failed.push({ check: check.name, message: err && err.message ? err.message : String(err) });
+      }
+    });
+  } finally {
+    // remove the test sheet before putting the previous adapter back
+    if (test.spreadsheetID) {
+      removeManagedSheet(test.spreadsheetID, test.sheetName);
+      test.relationships.forEach(removeRelationship);
+      var spreadsheet = adapter.openSpreadsheet(test.spreadsheetID);
+      [test.sheetName].concat(test.otherSheets).forEach(function (sheetName) {
+        var sheet = spreadsheet.getSheetByName(sheetName);
+        if (sheet) {
+          spreadsheet.deleteSheet(sheet);
+        }
+      });
+      var archiveSSID = getStorage_().getProperties().getProperty(ARCHIVE_PROPERTY_);
+      var archive = archiveSSID ? adapter.openSpreadsheet(archiveSSID) : null;
+      if (archive && archive.getSheetByName(test.sheetName)) {
+        archive.deleteSheet(archive.getSheetByName(test.sheetName));
+      }
+    }
+    storage_ = previous;
+  }
+  Logger.log("The " + report.adapter + " storage adapter passed " + report.passed.length + " of " + CONFORMANCE_CHECKS_.length + " conformance checks");
+  return report;
+}
+
+// -------------------------------------------- CHECKS ---------------------------------------------------
+
+/**
+ * Function to check CREATE_SHEET
+ *
+ * @param {object} test: the state shared by the checks {spreadsheetID, sheetName, ...}
+ */
+function checkConformanceCreateSheet_(test) {
+  var result = accessDatabase("CREATE_SHEET", test.spreadsheetID, test.sheetName, [CONFORMANCE_COLUMNS_.slice()]);
+  expectConformance_(result == test.sheetName, "CREATE_SHEET returned " + result);
+  var header = getConformanceValues_(test)[0];
+  expectConformance_(header.join() == SYSTEM_COLUMNS_.concat(CONFORMANCE_COLUMNS_).join(), "the header of the new sheet is " + header.join(", "));
+}
+
+/**
+ * Function to check CREATE
+ *
+ * @param {object} test: the state shared by the checks
+ */
+function checkConformanceCreate_(test) {
+  test.due = new Date(2020, 0, 31, 17, 30);
+  var created = accessDatabase("CREATE", test.spreadsheetID, test.sheetName, [[
+    { Title: "First", Hours: 2.5, Done: true, Due: test.due },
+    { Title: "Second", Hours: 3 }
+  ]]);
+  test.ids = created ? Object.keys(created) : [];
+  expectConformance_(test.ids.length == 2, "CREATE returned " + test.ids.length + " rows instead of 2");
+  test.ids.forEach(function (id) {
+    var row = created[id];
+    expectConformance_(row["ID"] == id && row["Valid"] === true, "the new row " + id + " is missing its ID or is not valid");
+    expectConformance_(row["CreatedBy"] == getUserEmail_(), "CreatedBy of the new row is " + row["CreatedBy"]);
+    expectConformance_(row["DateCreated"] instanceof Date, "DateCreated of the new row is not a date");
+  });
+  expectConformance_(getConformanceValues_(test).length == 3, "the sheet does not hold the header and 2 rows");
+}
+
+/**
+ * Function to check READ
+ *
+ * @param {object} test: the state shared by the checks
+ */
+function checkConformanceRead_(test) {
+  var row = accessDatabase("READ", test.spreadsheetID, test.sheetName, ["ID", [test.ids[0]]])[test.ids[0]];
+  expectConformance_(row, "READ did not return the row " + test.ids[0]);
+  expectConformance_(row["Title"] === "First", "Title was read back as " + JSON.stringify(row["Title"]));
+  expectConformance_(row["Hours"] === 2.5, "Hours was read back as " + JSON.stringify(row["Hours"]));
+  expectConformance_(row["Done"] === true, "Done was read back as " + JSON.stringify(row["Done"]));
+  expectConformance_(row["Due"] instanceof Date && row["Due"].getTime() == test.due.getTime(), "Due was read back as " + JSON.stringify(row["Due"]));
+  test.created = row;
+  var all = accessDatabase("READ", test.spreadsheetID, test.sheetName, ["ID", []]);
+  expectConformance_(Object.keys(all).length == 2, "READ of every row returned " + Object.keys(all).length + " rows instead of 2");
+  var missing = accessDatabase("READ", test.spreadsheetID, test.sheetName, ["Nope", []]);
+  expectConformance_(missing == null && getLastError().code == "COLUMN_NOT_FOUND", "READ of a column that does not exist did not fail with COLUMN_NOT_FOUND");
+}
+
+/**
+ * Function to check UPDATE
+ *
+ * @param {object} test: the state shared by the checks
+ */
+function checkConformanceUpdate_(test) {
+  var id = test.ids[0];
+  var updated = accessDatabase("UPDATE", test.spreadsheetID, test.sheetName, [{ ID: id, Title: "First v2", Hours: 4 }]);
+  expectConformance_(updated && updated[id], "UPDATE did not return the row " + id);
+  var row = accessDatabase("READ", test.spreadsheetID, test.sheetName, ["ID", [id]])[id];
+  expectConformance_(row["Title"] == "First v2" && row["Hours"] === 4, "READ after UPDATE returned " + row["Title"] + ", " + row["Hours"]);
+  expectConformance_(row["CreatedBy"] == test.created["CreatedBy"] && row["DateCreated"].getTime() == test.created["DateCreated"].getTime(), "UPDATE changed CreatedBy or DateCreated");
+  var versions = getConformanceValues_(test).filter(function (values) { return values[0] == id; });
+  expectConformance_(versions.length == 2 && versions[0][5] === false && versions[1][5] === true, "UPDATE did not keep the old version as a deleted row");
+}
+
+/**
+ * Function to check DELETE
+ *
+ * @param {object} test: the state shared by the checks
+ */
+function checkConformanceDelete_(test) {
+  var id = test.ids[1];
+  var deleted = accessDatabase("DELETE", test.spreadsheetID, test.sheetName, ["ID", [id]]);
+  expectConformance_(deleted && deleted[id] && deleted[id]["Valid"] !== true, "DELETE did not return the row as no longer valid");
+  var all = accessDatabase("READ", test.spreadsheetID, test.sheetName, ["ID", []]);
+  expectConformance_(!all[id] && Object.keys(all).length == 1, "READ after DELETE still returned the deleted row");
+}
+
+/**
+ * Function to check UNDO_DELETE
+ *
+ * @param {object} test: the state shared by the checks
+ */
+function checkConformanceUndoDelete_(test) {
+  var id = test.ids[1];
+  var restored = accessDatabase("UNDO_DELETE", test.spreadsheetID, test.sheetName, ["ID", [id]]);
+  expectConformance_(restored && restored.length == 1 && restored[0]["ID"] == id, "UNDO_DELETE did not return the restored row");
+  var all = accessDatabase("READ", test.spreadsheetID, test.sheetName, ["ID", []]);
+  expectConformance_(all[id] && Object.keys(all).length == 2, "READ after UNDO_DELETE did not return the restored row");
+}
+
+/**
+ * Function to check cleanDatabase - the old version left by UPDATE and a newly deleted row are both expired with a 0 day retention
+ *
+ * @param {object} test: the state shared by the checks
+ */
+function checkConformanceClean_(test) {
+  var id = test.ids[1];
+  accessDatabase("DELETE", test.spreadsheetID, test.sheetName, ["ID", [id]]);
+  registerManagedSheet(test.spreadsheetID, test.sheetName, 0);
+  var findSheet = function (report) {
+    return report.sheets.filter(function (entry) { return entry.spreadsheetID == test.spreadsheetID && entry.sheetName == test.sheetName; })[0];
+  };
+  var dryRun = findSheet(cleanDatabase({ dryRun: true }));
+  expectConformance_(dryRun && dryRun.removed == 2, "a dry run of cleanDatabase reported " + (dryRun ? dryRun.removed : "nothing") + " rows instead of 2");
+  expectConformance_(getConformanceValues_(test).length == 4, "a dry run of cleanDatabase changed the sheet");
+  var report = cleanDatabase();
+  var cleaned = report ? findSheet(report) : null;
+  expectConformance_(cleaned && cleaned.removed == 2 && report.complete, "cleanDatabase removed " + (cleaned ? cleaned.removed : "nothing") + " rows instead of 2");
+  var values = getConformanceValues_(test);
+  expectConformance_(values.length == 2 && values[1][0] == test.ids[0] && values[1][5] === true, "cleanDatabase did not leave only the valid row");
+  var archive = getArchiveSheet_(test.sheetName).getDataRange().getValues();
+  var idIndex = archive[0].indexOf("ID");
+  var archived = archive.filter(function (row) { return row[idIndex] == id || row[idIndex] == test.ids[0]; });
+  expectConformance_(archived.length == 2, "cleanDatabase archived " + archived.length + " rows instead of 2");
+}
+
+/**
+ * Function to check that access control covers the sheets a READ or QUERY expands into - a parent sheet is added with one row of the
+ * user and one of someone else, and the roles in place before the check are put back at the end
+ *
+ * @param {object} test: the state shared by the checks
+ */
+function checkConformanceExpandAccess_(test) {
+  var parentName = test.sheetName + " Parent";
+  var relationship = "conformanceParent" + new Date().getTime();
+  test.otherSheets.push(parentName);
+  accessDatabase("CREATE_SHEET", test.spreadsheetID, parentName, [["Name", "Secret"]]);
+  var ownID = Object.keys(accessDatabase("CREATE", test.spreadsheetID, parentName, [[{ Name: "Own", Secret: "own secret" }]]))[0];
+  // a row created by someone else is written straight to the sheet
+  var parentSheet = getStorage_().openSpreadsheet(test.spreadsheetID).getSheetByName(parentName);
+  var otherID = "P-conformance" + new Date().getTime();
+  parentSheet.getRange(parentSheet.getLastRow() + 1, 1, 1, 8).setValues([[otherID, "someone@example.com", "someone@example.com", new Date(), new Date(), true, "Other", "other secret"]]);
+  invalidateIndexes_(parentSheet);
+  registerRelationship(relationship, test.spreadsheetID, test.sheetName, "ParentID", test.spreadsheetID, parentName);
+  test.relationships.push(relationship);
+  var children = accessDatabase("CREATE", test.spreadsheetID, test.sheetName, [[{ Title: "Own parent", ParentID: ownID }, { Title: "Other parent", ParentID: otherID }]]);
+  var childIDs = children ? Object.keys(children) : [];
+  expectConformance_(childIDs.length == 2, "CREATE of the child rows failed");
+  var properties = getStorage_().getProperties();
+  var previous = properties.getProperty(ACCESS_PROPERTY_);
+  var roleName = "conformance" + new Date().getTime();
+  try {
+    // the role also lets the user change it below (and is what makes them an admin when no role existed before)
+    defineRole(roleName, [
+      { operations: [ADMIN_PERMISSION_] },
+      { operations: ["READ"], spreadsheetID: test.spreadsheetID, sheetName: test.sheetName },
+      { effect: "deny", operations: ["READ"], spreadsheetID: test.spreadsheetID, sheetName: parentName }
+    ]);
+    grantRole(getUserEmail_(), roleName);
+    var direct = accessDatabase("READ", test.spreadsheetID, parentName, ["ID", [ownID]]);
+    expectConformance_(direct && direct.denied, "READ of a sheet the user may not read was allowed");
+    var expanded = accessDatabase("READ", test.spreadsheetID, test.sheetName, ["ID", childIDs, [relationship]]);
+    expectConformance_(expanded && expanded.denied, "READ expanded into a sheet the user may not read");
+    var queried = accessDatabase("QUERY", test.spreadsheetID, test.sheetName, [{ expand: [relationship] }]);
+    expectConformance_(queried && queried.denied, "QUERY expanded into a sheet the user may not read");
+    defineRole(roleName, [
+      { operations: ["READ"], spreadsheetID: test.spreadsheetID, sheetName: test.sheetName },
+      { operations: ["READ"], spreadsheetID: test.spreadsheetID, sheetName: parentName, rows: "own" }
+    ]);
+    var own = accessDatabase("READ", test.spreadsheetID, test.sheetName, ["ID", childIDs, [relationship]]);
+    expectConformance_(own && !own.denied && own[childIDs[0]], "READ with rows: \"own\" on the related sheet was refused");
+    expectConformance_(own[childIDs[0]][relationship] && own[childIDs[0]][relationship]["ID"] == ownID, "READ did not expand the user's own parent row");
+    expectConformance_(!own[childIDs[1]][relationship], "READ expanded a parent row created by someone else");
+  } finally {
+    if (previous == null) {
+      properties.deleteProperty(ACCESS_PROPERTY_);
+    } else {
+      properties.setProperty(ACCESS_PROPERTY_, previous);
+    }
+  }
+}
+
+/**
+ * Function to check how QUERY and AGGREGATE compare values - a sheet is added whose Hours column holds numbers, an empty cell, a
+ * word and a number written as text
+ *
+ * @param {object} test: the state shared by the checks
+ */
+function checkConformanceQuery_(test) {
+  var sheetName = test.sheetName + " Query";
+  test.otherSheets.push(sheetName);
+  accessDatabase("CREATE_SHEET", test.spreadsheetID, sheetName, [["Title", "Hours"]]);
+  accessDatabase("CREATE", test.spreadsheetID, sheetName, [[
+    { Title: "one", Hours: 1 },
+    { Title: "empty" },
+    { Title: "five", Hours: 5 },
+    { Title: "word", Hours: "n/a" },
+    { Title: "two", Hours: "2" }
+  ]]);
+  var titles = function (query) {
+    var rows = accessDatabase("QUERY", test.spreadsheetID, sheetName, [query]);
+    return rows ? Object.keys(rows).map(function (id) { return rows[id]["Title"]; }).join(",") : "nothing";
+  };
+  var below = titles({ where: { column: "Hours", op: "<", value: 3 }, orderBy: "Title" });
+  expectConformance_(below == "one,two", "Hours < 3 matched " + below + " instead of one,two");
+  var notOne = titles({ where: { column: "Hours", op: "!=", value: 1 }, orderBy: "Title" });
+  expectConformance_(notOne == "five,two", "Hours != 1 matched " + notOne + " instead of five,two");
+  var empty = titles({ where: { column: "Hours", op: "=", value: "" } });
+  expectConformance_(empty == "empty", "Hours = \"\" matched " + empty + " instead of empty");
+  var ascending = titles({ orderBy: "Hours" });
+  expectConformance_(ascending == "one,two,five,word,empty", "sorting by Hours gave " + ascending + " instead of one,two,five,word,empty");
+  var descending = titles({ orderBy: { column: "Hours", direction: "desc" } });
+  expectConformance_(descending == "word,five,two,one,empty", "sorting by Hours descending gave " + descending + " instead of word,five,two,one,empty");
+  var table = accessDatabase("AGGREGATE", test.spreadsheetID, sheetName, [{
+    where: { column: "Hours", op: "<", value: 5 },
+    aggregates: [{ fn: "COUNT" }, { fn: "MIN", column: "Hours" }, { fn: "MAX", column: "Hours" }]
+  }]);
+  var summary = table ? table.rows[0] : [];
+  // "2" may come back as text or as a number, depending on whether the adapter converts it
+  expectConformance_(summary[0] == 2 && summary[1] === 1 && summary[2] == 2, "AGGREGATE of Hours < 5 returned " + JSON.stringify(summary) + " instead of [2,1,2]");
+}
+
+// ------------------------------------------ CHECK HELPERS ----------------------------------------------
+
+/**
+ * Function to read every value of the test sheet
+ *
+ * @param {object} test: the state shared by the checks
+ * @return {object} returns the 2D array of values of the sheet
+ */
+function getConformanceValues_(test) {
+  return getStorage_().openSpreadsheet(test.spreadsheetID).getSheetByName(test.sheetName).getDataRange().getValues();
+}
+
+/**
+ * Function to fail a check
+ *
+ * @param {bool} condition: true if the adapter behaved as expected
+ * @param {string} message: a description of the difference
+ */
+function expectConformance_(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
@@ -1,10 +1,17 @@
 /**
  * This file contains functions that allow the user to read and write from the sheets database.
- * This file also contains the wrapper function for these CRUD operations that manages resource locking.
+ * This file also contains the wrapper function for these CRUD operations that manages resource locking (see SHEETS_LOCKS.js).
  *
  * We are assuming that, for every sheet, the unique ID is in column 1, CreatedBy is in column 2, ModifiedBy is in column 3, DateCreated is in column 4, DateModified is in column 5, Valid is in column 6, all other information follows.
  */
 
+// List of the columns that every database sheet starts with (in order)
+const SYSTEM_COLUMNS_ = ["ID", "CreatedBy", "ModifiedBy", "DateCreated", "DateModified", "Valid"];
+// Largest number of cells written by one range call when appending rows
+const BULK_CHUNK_CELLS_ = 50000;
+// Number of ms a bulk create may spend writing before it stops and reports the remaining rows as pending (Apps Script stops scripts at 6 minutes)
+const BULK_TIME_LIMIT_ = 240000;
+
 /**
  * This is the wrapper function called from the other files that manages resource locking and calls the
  * helper functions to perform the actual CRUD operations.
@@ -13,62 +20,181 @@
  * @param {string} spreadsheetID: the id of the spreadsheet we wish to access
  * @param {string} sheetName: the name of the sheet we wish to access
  * @param {object} parameters: list of input parameters to be passed into the function
+ * @param {object} options: (optional) {strict: true} to make UPDATE fail on a missing ID (see SHEETS_ERRORS.js), {lock: lock options}
+ *                         to change how long the call waits for the sheets it needs (see SHEETS_LOCKS.js)
  * @return {object} returns the output of the function that is called
+ *                  - returns null if the call failed - getLastError() describes why, and callDatabase returns the same as a result envelope
  */
-function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
+function accessDatabase(functionName, spreadsheetID, sheetName, parameters, options) {
     // Variable to store the value to be returned once the code has been unlocked
     var returnValue;
-    // Get a script lock, because we're about to modify a shared resource.
-    var lock = LockService.getScriptLock();
-    try {
-      // Wait for up to 30 seconds for other processes to finish.
-      lock.waitLock(30000);
-    } catch (err) {
-      // Error handling if the lock times out.
-      Logger.log("The call to " + functionName + " timed out because the resource was in use. This resulted in the following error: " + err);
+    lastError_ = null;
+    // Lock the sheets the call reads or writes, waiting for other calls using them to finish - calls on other sheets carry on.
+    var locks = lockOperation_(functionName, spreadsheetID, sheetName, parameters, options);
+    if (!locks) {
+      // the lock options were invalid or the wait timed out, which has been reported by lockOperation_
       return;
     }
   
     // This section of the code is now locked --------------------------------------------
+    strictMode_ = Boolean(options && options.strict);
+    try {
+      if (functionName == "BATCH") {
+        // parameters[0] = an ordered list of operations to run together (see SHEETS_BATCH.js)
+        returnValue = batch_(parameters[0]);
+      } else {
+        returnValue = runOperation_(functionName, spreadsheetID, sheetName, parameters);
+      }
+    } finally {
+      strictMode_ = false;
+      try {
+        // keep any changes made before an error was thrown, then write the changes made by the call to the audit log (see SHEETS_AUDIT.js)
+        queueAuditEntries_(functionName);
+        writeAuditEntries_();
+      } finally {
+        // Release the locks so that other processes can continue - even if the call threw an error.
+        releaseLocks_(locks);
+        // send the notifications queued by the call now that the locks are released (see SHEETS_HOOKS.js)
+        dispatchNotifications_();
+      }
+    }
+    // This section of the code is now unlocked ------------------------------------------
+  
+    // return the return value
+    return returnValue;
+  }
+  
+  /**
+   * Function to call the helper function for a single CRUD operation - the caller must already hold the locks of the operation
+   *
+   * @param {string} functionName: the name of the function that we wish to call (uses string matching to identify)
+   * @param {string} spreadsheetID: the id of the spreadsheet we wish to access
+   * @param {string} sheetName: the name of the sheet we wish to access
+   * @param {object} parameters: list of input parameters to be passed into the function
+   * @return {object} returns the output of the function that is called
+   */
+  function runOperation_(functionName, spreadsheetID, sheetName, parameters) {
+    var returnValue;
+    lastError_ = null;
     // Get the instance of the sheet that we wish to access
     Logger.log(spreadsheetID);
     Logger.log(sheetName);
-    if (functionName == "CREATE_SHEET") {
-      returnValue = createSheet_(spreadsheetID, sheetName, parameters[0]);
-    } else if (functionName == "CLEAN_SHEET") {
-      returnValue = cleanSheet_();
+    // check that the current user is allowed to run this operation (see SHEETS_ACCESS.js)
+    var access = checkAccess_(functionName, spreadsheetID, sheetName, parameters);
+    if (access.denied) {
+      returnValue = { denied: true, errors: [{ field: null, message: access.denied }] };
+    } else if (functionName == "CREATE_SHEET") {
+      // parameters[0] = a list of the column names for the new sheet
+      // parameters[1] = (optional) a schema for the new sheet (see SHEETS_SCHEMA.js)
+      returnValue = createSheet_(spreadsheetID, sheetName, parameters[0], parameters[1]);
+    } else if (functionName == "HISTORY") {
+      // parameters[0] = the ID of the row whose history we wish to read
+      returnValue = history_(spreadsheetID, sheetName, parameters[0]);
     } else {
-      const sheet = SpreadsheetApp.openById(spreadsheetID).getSheetByName(sheetName);
+      const sheet = openSheet_(spreadsheetID, sheetName);
+      // run the before-hooks of the sheet, which may change the rows about to be written or reject the call (see SHEETS_HOOKS.js)
+      var hooked = sheet ? runBeforeHooks_(sheet, functionName, parameters) : { parameters: parameters, rejection: null };
+      parameters = hooked.parameters;
       // Parse the function name to determine which CRUD function to call
-      if (functionName == "CREATE") {
+      if (!sheet) {
+        // the missing spreadsheet or sheet has been reported by openSheet_
+      } else if (hooked.rejection) {
+        returnValue = hooked.rejection;
+      } else if (functionName == "CREATE") {
         // parameters[0] = a list of dictionaries representing the new rows we wish to create
-        returnValue = create_(sheet, parameters[0]);
+        var referenceErrors = checkReferences_(sheet, parameters[0] || []);
+        if (referenceErrors.length > 0) {
+          Logger.log("Could not create rows in " + sheetName + ": " + JSON.stringify(referenceErrors));
+          returnValue = { errors: referenceErrors };
+        } else {
+          returnValue = create_(sheet, parameters[0]);
+        }
+      } else if (functionName == "BULK_CREATE") {
+        // parameters[0] = a list of dictionaries representing the new rows we wish to create - invalid rows are skipped and reported
+        returnValue = bulkCreate_(sheet, parameters[0]);
       } else if (functionName == "READ") {
-        // parameters[0] = the name of the column that we will use to read values
+        // parameters[0] = the name of the column that we will use to read values OR a query dictionary (see SHEETS_QUERY.js)
         // parameters[1] = a list of values to be compared with the specified column to determine which rows are read
-        returnValue = read_(sheet, parameters[0], parameters[1]);
+        // parameters[2] = (optional) a list of relationship names to expand into each row (see SHEETS_RELATIONSHIPS.js)
+        // parameters[3] = (optional) a dictionary {pageSize, cursor, includeTotal} to read one page of rows at a time (see SHEETS_QUERY.js)
+        if (parameters[0] != null && typeof parameters[0] == "object") {
+          returnValue = readQuery_(sheet, restrictQuery_(parameters[0], access));
+        } else if (parameters[3] != null || access.ownRowsOnly) {
+          // a paged READ (or one limited to the user's own rows) is run as a query on the same rows
+          var where = parameters[1] && parameters[1].length > 0 ? { column: parameters[0], op: "in", value: parameters[1] } : null;
+          returnValue = readQuery_(sheet, restrictQuery_(Object.assign({ where: where, expand: parameters[2] }, parameters[3]), access));
+        } else {
+          returnValue = expandRows_(sheet, read_(sheet, parameters[0], parameters[1]), parameters[2]);
+        }
+      } else if (functionName == "QUERY") {
+        // parameters[0] = a query dictionary describing the filter, sort order, paging and columns to return
+        returnValue = readQuery_(sheet, restrictQuery_(parameters[0], access));
+      } else if (functionName == "AGGREGATE") {
+        // parameters[0] = an aggregation dictionary describing the filter, groups and aggregates (see SHEETS_AGGREGATE.js)
+        returnValue = aggregate_(sheet, restrictQuery_(parameters[0], access));
+      } else if (functionName == "SEARCH") {
+        // parameters[0] = a search dictionary holding the text to look for and the columns to search (see SHEETS_SEARCH.js)
+        returnValue = search_(sheet, restrictQuery_(parameters[0], access));
       } else if (functionName == "UPDATE") {
         // parameters[0] = a dictionary of updated information to be placed in the newly created row (contains the ID of the old row to be deleted)
-        returnValue = update_(sheet, parameters[0]);
+        var referenceErrors = checkReferences_(sheet, parameters[0] ? [parameters[0]] : []);
+        if (referenceErrors.length > 0) {
+          Logger.log("Could not update " + sheetName + ": " + JSON.stringify(referenceErrors));
+          returnValue = { errors: referenceErrors };
+        } else {
+          returnValue = update_(sheet, parameters[0]);
+        }
+      } else if (functionName == "PATCH") {
+        // parameters[0] = a dictionary of the fields to change in place (contains the ID of the row to change)
+        // parameters[1] = (optional) the DateModified and/or Version of the row when the caller read it, e.g. {DateModified: date}
+        var referenceErrors = checkReferences_(sheet, parameters[0] ? [parameters[0]] : []);
+        if (referenceErrors.length > 0) {
+          Logger.log("Could not patch " + sheetName + ": " + JSON.stringify(referenceErrors));
+          returnValue = { errors: referenceErrors };
+        } else {
+          returnValue = patch_(sheet, parameters[0], parameters[1]);
+        }
       } else if (functionName == "DELETE") {
         // parameters[0] = the name of the column that we will use to delete values
         // parameters[1] = a list of values to be compared with the specified column to determine which rows are deleted
-        returnValue = delete_(sheet, parameters[0], parameters[1]);
+        // the onDelete policy of every relationship pointing at the deleted rows is applied (see SHEETS_RELATIONSHIPS.js)
+        if (strictMode_ && parameters[1] && parameters[1].length > 0 && !hasValidRows_(sheet, parameters[0], parameters[1])) {
+          // in strict mode deleting rows that are missing or already deleted is an error (see SHEETS_ERRORS.js)
+          fail_("NOT_FOUND", "No valid row with " + parameters[0] + " in " + JSON.stringify(parameters[1]) + " exists so could not delete");
+        } else {
+          returnValue = deleteRelated_(sheet, parameters[0], parameters[1]);
+        }
       } else if (functionName == "UNDO_DELETE") {
         // parameters[0] = the name of the column that we will use to find rows to undo delete
         // parameters[1] = a list of values to be compared with the specified column to determine which rows were deleted to undo
-        returnValue = undoDelete_(sheet, parameters[0], parameters[1]);
+        returnValue = undoDeleteRelated_(sheet, parameters[0], parameters[1]);
+      } else if (functionName == "CLEAN_SHEET") {
+        // parameters[0] = (optional) a dictionary {retentionDays, dryRun} (see SHEETS_CLEAN.js)
+        returnValue = cleanSheet_(sheet, parameters ? parameters[0] : null);
+      } else if (functionName == "EXPORT") {
+        // parameters[0] = (optional) a dictionary {format, fileName, folderID, columns, includeDeleted, where, orderBy} (see SHEETS_TRANSFER.js)
+        returnValue = exportSheet_(sheet, restrictQuery_(parameters ? parameters[0] : null, access));
+      } else if (functionName == "IMPORT") {
+        // parameters[0] = a dictionary {fileID, format, mapping, types, mode, key, dryRun, skipInvalid} (see SHEETS_TRANSFER.js)
+        returnValue = importSheet_(sheet, parameters[0]);
+      } else if (functionName == "SNAPSHOT") {
+        // no parameters - copies the sheet to a new backup spreadsheet (see SHEETS_SNAPSHOTS.js)
+        returnValue = snapshot_(sheet);
+      } else if (functionName == "RESTORE") {
+        // parameters[0] = the id of the snapshot to restore from (see listSnapshots)
+        // parameters[1] = (optional) a list of the IDs of the rows to restore - the whole sheet is restored if missing
+        returnValue = restore_(sheet, parameters[0], parameters[1]);
       } else {
         // An invalid function name was inputted
-        Logger.log(functionName + " is not a valid function name.");
-        return;
+        fail_("INVALID_FUNCTION", functionName + " is not a valid function name.");
+      }
+      if (sheet) {
+        // run the after-hooks of the sheet and queue its webhooks if the call changed rows
+        runAfterHooks_(sheet, functionName, returnValue);
       }
     }
-    // Release the lock so that other processes can continue.
-    lock.releaseLock();
-    // This section of the code is now unlocked ------------------------------------------
-  
-    // return the return value
+    // turn the changes recorded by the helper functions into audit entries for this operation
+    queueAuditEntries_(functionName);
     return returnValue;
   }
   
@@ -79,96 +205,169 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
    *
    * @param {string} sheet: the instance of the sheet we wish to write to
    * @param {object} inputData: a list of dictionaries {fieldName: data} representing the data we wish to create new rows with
+   * @param {bool} keepCreator: (optional) true to keep the CreatedBy of the rows - only update_ passes it, for the row it replaces
    * @return {object} returns a dictionary of dictionaries {ID: {fieldName: data}} corresponding to the inputted rowIDs
+   *                  - returns {errors: [{row, field, message}]} and writes nothing if any row breaks the schema of the sheet
    */
-  function create_(sheet, inputData) {
+  function create_(sheet, inputData, keepCreator) {
     Logger.log("Creating a new row for the sheet: " + sheet.getName());
   
     // check if inputs are valid to function
     if (!validateCreateInputs(sheet, inputData)) {
-      Logger.log("Inputs to create_ are invalid");
+      fail_("INVALID_INPUT", "Inputs to create_ are invalid");
       return;
     }
-    // get general information on creation to be stored in the sheet
-    const dateTime = getDatetime_();
-    const creator = getUserName_();
+    // check the rows against the schema of the sheet (if it has one), filling in defaults
+    var checked = applySchema_(sheet, inputData);
+    if (checked.errors.length > 0) {
+      Logger.log("Inputs to create_ do not match the schema of " + sheet.getName() + ": " + JSON.stringify(checked.errors));
+      return { errors: checked.errors };
+    }
+    // a new row cannot take the ID of a valid row (see SHEETS_IDS.js)
+    var idErrors = checkRowIDs_(sheet, checked.rows);
+    if (idErrors.length > 0) {
+      Logger.log("Inputs to create_ reuse IDs of " + sheet.getName() + ": " + JSON.stringify(idErrors));
+      return { errors: idErrors };
+    }
+    // write every row (all rows are written, however long it takes, so that create_ never leaves a partial result)
+    return appendRows_(sheet, checked.rows, null, keepCreator).rowDict;
+  }
   
-    // get the width of the data range and field values
-    var dataRangeWidth = sheet.getDataRange().getWidth();
-    var fieldValues = sheet.getRange(1, 1, 1, dataRangeWidth).getValues()[0]; // list of field names
-    Logger.log(fieldValues);
-    // create a dictionary to store fieldNames and their locations in the sheet (allows us to format the array correctly)
-    var fieldLocs = {};
-    for (var i = 0; i < fieldValues.length; i++) {
-      fieldLocs[fieldValues[i]] = i;
-    }
-    // instantiate the various variables to be used within the for-loops
-    var fieldKeys; // will hold a list of the keys for each entry of input data
-    var newRow; // will store the row currently being created
-    var fieldLocation; // will store the location of the field (used for inserting data into the new row)
-    var uniqueID; // unique id generated for each row
-    var listIDs = []; // list of ids to be returned by the function
-    var rowDict = {}; // dictionary to hold each row dictionary
-    for (var i = 0; i < inputData.length; i++) {
-      //define the row dictionary as the inputted row dictionary
-      var row = inputData[i];
-      //pull the keys
-      fieldKeys = Object.keys(inputData[i]);
-      newRow = [];
-      // iterate through each field in this row and add its data to the newData array
-      for (var j = 0; j < fieldKeys.length; j++) {
-        // get the index of the array where this specific piece of data should be stored
-        fieldLocation = fieldLocs[fieldKeys[j]];
-        // if this location is not in fieldLocs (not in the sheet), add it as a new column
-        if (fieldLocation == null) {
-          // add a column to the sheet and add the new field
-          sheet.insertColumnAfter(dataRangeWidth);
-          var newFieldRange = sheet.getRange(1, dataRangeWidth + 1);
-          newFieldRange.setValue(fieldKeys[j]);
-          // update fieldLocs and fieldLocation
-          fieldLocs[fieldKeys[j]] = dataRangeWidth;
-          fieldLocation = dataRangeWidth;
-          // update dataRangeWidth
-          dataRangeWidth += 1;
-        }
-        // add the data in the appropriate location in newRow
-        newRow[fieldLocation] = inputData[i][fieldKeys[j]];
+  /**
+   * Function to create a large number of rows, skipping the rows that are invalid instead of rejecting the whole call
+   * Rows are written in chunks, and writing stops before the Apps Script execution time limit is reached - the rows that were
+   * not reached are reported as "pending" so that the caller can send inputData.slice(nextIndex) in another call.
+   *
+   * @param {string} sheet: the instance of the sheet we wish to write to
+   * @param {object} inputData: a list of dictionaries {fieldName: data} representing the data we wish to create new rows with
+   * @return {object} returns a dictionary {created, results, nextIndex}
+   *                  - created: a dictionary of dictionaries {ID: {fieldName: data}} of the rows that were written
+   *                  - results: a list with one entry per input row {index, status: "created"|"rejected"|"pending", ID, errors}
+   *                  - nextIndex: the index of the first pending row, or null if every row was either created or rejected
+   */
+  function bulkCreate_(sheet, inputData) {
+    Logger.log("Bulk creating " + (inputData ? inputData.length : 0) + " rows in the sheet: " + sheet.getName());
+    if (!validateCreateInputs(sheet, inputData)) {
+      fail_("INVALID_INPUT", "Inputs to bulkCreate_ are invalid");
+      return;
+    }
+    var results = inputData.map(function (row, index) { return { index: index, status: "created", errors: [] }; });
+    // reject anything that is not a row dictionary
+    var candidates = [];
+    inputData.forEach(function (row, index) {
+      if (row == null || typeof row != "object" || Array.isArray(row)) {
+        results[index].errors.push({ field: null, message: "the input is not a dictionary of fields" });
+      } else {
+        candidates.push(index);
       }
-  
-      // store genral information at start of each row and in row dict
-      // if we are creating a new row - not updating one - no ID value has been passed in so set it to the current ID
-      if (!newRow[0]) {
-        // generate a new id and insert it into the id list
-        uniqueID = generateUniqueID_(sheet.getName().slice(0, 1));
-        listIDs.push(uniqueID);
-        newRow[0] = uniqueID; // ID
-        row["ID"] = uniqueID; // ID
+    });
+    // reject the rows that break the schema, refer to missing rows in other sheets or take the ID of a valid row
+    var candidateRows = candidates.map(function (index) { return inputData[index]; });
+    var checked = applySchema_(sheet, candidateRows);
+    checked.errors.concat(checkReferences_(sheet, checked.rows), checkRowIDs_(sheet, checked.rows)).forEach(function (error) {
+      results[candidates[error.row]].errors.push({ field: error.field, message: error.message });
+    });
+    var accepted = [];
+    var acceptedRows = [];
+    candidates.forEach(function (index, i) {
+      if (results[index].errors.length == 0) {
+        accepted.push(index);
+        acceptedRows.push(checked.rows[i]);
+      }
+    });
+    // write the accepted rows until the time limit is reached
+    var written = appendRows_(sheet, acceptedRows, new Date().getTime() + BULK_TIME_LIMIT_);
+    var nextIndex = null;
+    results.forEach(function (result) {
+      if (result.errors.length > 0) {
+        result.status = "rejected";
+      }
+    });
+    accepted.forEach(function (index, i) {
+      if (i < written.count) {
+        results[index].ID = acceptedRows[i]["ID"];
       } else {
-        uniqueID = newRow[0];
+        results[index].status = "pending";
+        nextIndex = nextIndex == null ? index : nextIndex;
       }
-      // if we are creating a new row - not updating one - no createdBy value has been passed in so set it to the current user email 
-      if (!newRow[1]) {
-        newRow[1] = creator; // DateCreated
+    });
+    Logger.log("Created " + written.count + " of " + inputData.length + " rows in " + sheet.getName());
+    return { created: written.rowDict, results: results, nextIndex: nextIndex };
+  }
+  
+  /**
+   * Function to append rows to the bottom of a sheet: any new columns are added in one go, then the rows are written as 2D arrays
+   * in chunks of at most BULK_CHUNK_CELLS_ cells - a partitioned sheet also ends a chunk where its newest partition fills up, and
+   * starts a new partition before the next one (see SHEETS_PARTITIONS.js)
+   *
+   * @param {string} sheet: the instance of the sheet we wish to write to
+   * @param {object} rows: a list of dictionaries {fieldName: data} that have already been checked - the database fields are filled in
+   * @param {integer} deadline: (optional) the time (in ms) after which no new chunk is started - null writes every row
+   * @param {bool} keepCreator: (optional) true to keep the CreatedBy of the rows (an updated or restored row) - new rows always get the current user
+   * @return {object} returns a dictionary {rowDict: {ID: {fieldName: data}} of the rows written, count: the number of rows written}
+   */
+  function appendRows_(sheet, rows, deadline, keepCreator) {
+    // get general information on creation to be stored in the sheet
+    const dateTime = getDatetime_();
+    const creator = getUserName_();
+    // work out the final set of columns and add the missing ones in one go
+    var header = sheet.getRange(1, 1, 1, sheet.getDataRange().getWidth()).getValues()[0]; // list of field names
+    var fieldLocs = {}; // dictionary to store fieldNames and their locations in the sheet (allows us to format the array correctly)
+    header.forEach(function (fieldName, i) { fieldLocs[fieldName] = i; });
+    var newFields = [];
+    rows.forEach(function (row) {
+      Object.keys(row).forEach(function (fieldName) {
+        if (fieldLocs[fieldName] == null) {
+          fieldLocs[fieldName] = header.length + newFields.length;
+          newFields.push(fieldName);
+        }
+      });
+    });
+    if (newFields.length > 0) {
+      sheet.insertColumnsAfter(header.length, newFields.length);
+      sheet.getRange(1, header.length + 1, 1, newFields.length).setValues([newFields]);
+      header = header.concat(newFields);
+    }
+    // give the new rows - not the updated ones, which keep their ID - IDs that are not used in the sheet yet (see SHEETS_IDS.js)
+    var unkeyed = rows.filter(function (row) { return !row["ID"]; });
+    var newIDs = generateRowIDs_(sheet, unkeyed.length);
+    unkeyed.forEach(function (row, i) { row["ID"] = newIDs[i]; });
+    // build the 2D array of new rows, filling in the database fields
+    var newRows = [];
+    var rowDict = {};
+    rows.forEach(function (row) {
+      // a new row always belongs to the user creating it, whatever CreatedBy was passed in - an updated or restored row keeps its own
+      if (!keepCreator || !row["CreatedBy"]) {
         row["CreatedBy"] = creator;
       }
-      newRow[2] = creator; //DateModified - updated whenever a row is created - useful for updated rows
-      row["ModifiedBy"] = creator;
-      // if we are creating a new row - not updating one - no date created value has been passed in so set it to the current date/time 
-      if (!newRow[3]) {
-        newRow[3] = dateTime; // DateCreated
+      // if we are creating a new row - not updating one - no DateCreated value has been passed in so set it now
+      if (!row["DateCreated"]) {
         row["DateCreated"] = dateTime;
       }
-      newRow[4] = dateTime; // DateModified - updated whenever a row is created - useful for updated rows
+      // ModifiedBy and DateModified are updated whenever a row is created - useful for updated rows
+      row["ModifiedBy"] = creator;
       row["DateModified"] = dateTime;
-      newRow[5] = true; // valid
       row["Valid"] = true;
-      // add this row to the end of the sheet
-      var newRange = sheet.getRange(sheet.getDataRange().getHeight() + 1, 1, 1, newRow.length);
-      newRange.setValues([newRow]);
-      rowDict[uniqueID] = row;
+      newRows.push(header.map(function (fieldName) { return row[fieldName] == null ? "" : row[fieldName]; }));
+    });
+    // write the rows in chunks, stopping at the deadline
+    var firstRowNumber = sheet.getDataRange().getHeight() + 1; // row number of the first new row
+    var chunkSize = Math.max(1, Math.floor(BULK_CHUNK_CELLS_ / header.length));
+    var count = 0;
+    while (count < newRows.length && (!deadline || new Date().getTime() < deadline)) {
+      // start a new partition if the sheet is partitioned and its newest partition is full, and stop the chunk where it fills up
+      rollOverPartition_(sheet);
+      var chunk = newRows.slice(count, count + Math.min(chunkSize, getPartitionRoom_(sheet)));
+      sheet.getRange(firstRowNumber + count, 1, chunk.length, header.length).setValues(chunk);
+      // add the new rows to the indexes of the sheet (see SHEETS_INDEX.js) and the audit log
+      appendToIndexes_(sheet, firstRowNumber + count, header, chunk);
+      for (var i = count; i < count + chunk.length; i++) {
+        rowDict[rows[i]["ID"]] = rows[i];
+        recordChange_(sheet, null, rows[i]);
+      }
+      count += chunk.length;
     }
-    // return the dictionary of rows
-    return rowDict;
+    return { rowDict: rowDict, count: count };
   }
   
   // -------------------------------------------- READ -----------------------------------------------------
@@ -185,30 +384,22 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
    */
   function read_(sheet, columnName, rowValues) {
     Logger.log("Reading from the sheet: " + sheet.getName());
-    //get 2D array of data from sheet to be searched
-    var data = sheet.getDataRange().getValues();
-    //get index of column with field name "name"
-    var colIndex = getColIndex_(data, columnName);
+    // get the rows whose value under columnName is in rowValues (all rows if rowValues is empty) - uses an index when there is one
+    var found = findRows_(sheet, columnName, rowValues);
     // check to make sure columnName is valid
-    if (colIndex == -1) {
-      Logger.log(columnName + " does not exist as a column name in " + sheet.getName());
+    if (found.header.indexOf(columnName) == -1) {
+      fail_("COLUMN_NOT_FOUND", columnName + " does not exist as a column name in " + sheet.getName());
       return;
     }
-    // convert set for easier search
-    var rowValueSet = new Set(rowValues);
-    // itereate through data adding each row as a dictionary to parent dictionary
+    // itereate through the rows adding each row as a dictionary to parent dictionary
     var rowDict = {};
     var row;
-    for (var i = 1; i < data.length; i++) {
-      //check if the value under columnName for this row is in rowValues 
-      if (rowValueSet.size == 0 || rowValueSet.has(data[i][colIndex])) {
-        // convert row to a dictionary
-        row = getRowAsDict(data[0], data[i]);
-        // store row dictionary in a large dictionary where keys are IDs and values are the row dicts - to be used dealing FKeys
-        if (row["ID"] && row["Valid"]) { // if the row exists, has an ID, and is valid - add to dictionary 
-          rowDict[row["ID"]] = row;
-        }
-  
+    for (var i = 0; i < found.rows.length; i++) {
+      // convert row to a dictionary
+      row = getRowAsDict(found.header, found.rows[i].values);
+      // store row dictionary in a large dictionary where keys are IDs and values are the row dicts - to be used dealing FKeys
+      if (row["ID"] && row["Valid"]) { // if the row exists, has an ID, and is valid - add to dictionary 
+        rowDict[row["ID"]] = row;
       }
     }
     return rowDict;
@@ -222,15 +413,28 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
    * @param {string} sheet: the instance of the sheet we wish to update
    * @param {object} inputDict: a dictionary {fieldName: data} representing the data we wish to create a new row with - to be passed into create_
    * @return {object} returns the output of create_ - dictionary of dictionaries {ID: {fieldName: data}} corresponding to the inputted oldRowID
+   *                  - returns {errors: [{row, field, message}]} and leaves the old row alone if inputDict breaks the schema of the sheet
+   *                  - in strict mode, returns null if there is no valid row with the ID (otherwise a new row is created)
    */
   function update_(sheet, inputDict) {
     Logger.log("Updating: " + sheet.getName());
     // if  you are trying to update a row with no given information retun null
     if (!inputDict) {
-      Logger.log("no input data given so could not update");
+      fail_("INVALID_INPUT", "no input data given so could not update");
       return;
     }
+    // check the schema before the old row is deleted
+    var checked = applySchema_(sheet, [inputDict]);
+    if (checked.errors.length > 0) {
+      Logger.log("Inputs to update_ do not match the schema of " + sheet.getName() + ": " + JSON.stringify(checked.errors));
+      return { errors: checked.errors };
+    }
     var oldRowID = inputDict["ID"];
+    // in strict mode a missing row is an error rather than a new row (see SHEETS_ERRORS.js)
+    if (strictMode_ && (!oldRowID || !hasValidRows_(sheet, "ID", [oldRowID]))) {
+      fail_("NOT_FOUND", "No valid row with ID: " + oldRowID + " exists so could not update");
+      return;
+    }
     // delete the old row - returns nested dictionary so pull row dictionary out and store in deletedRow
     var deletedRow = delete_(sheet, "ID", [oldRowID])[oldRowID]; // note delete_ takes in a list of ID's hence [oldRowID]
     // if the row you are trying to update doesnt exist, log it, then just create the new row
@@ -243,9 +447,102 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
       inputDict["CreatedBy"] = deletedRow["CreatedBy"];
     }
     // create an updated row with up given information in inputDict
-    var newRow = create_(sheet, [inputDict]); // note create_ takes in a list of dictionaries hence [inputDict]
+    var newRow = create_(sheet, [inputDict], !!deletedRow); // note create_ takes in a list of dictionaries hence [inputDict]
     return newRow;
   }
+
+  /**
+   * Function to check whether any valid row of a sheet holds one of a list of values in a column
+   *
+   * @param {string} sheet: the instance of the sheet
+   * @param {string} columnName: the name of the column to compare values in
+   * @param {object} rowValues: the list of values to look for
+   * @return {bool} returns true if a valid row holds one of the values, and also if the column does not exist (which the operation reports)
+   */
+  function hasValidRows_(sheet, columnName, rowValues) {
+    var found = findRows_(sheet, columnName, rowValues);
+    var validIndex = found.header.indexOf("Valid");
+    return found.header.indexOf(columnName) == -1 || found.rows.some(function (row) { return row.values[validIndex] === true; });
+  }
+  
+  // ------------------------------------------- PATCH -----------------------------------------------------
+  
+  /**
+   * Function to update only the given fields of an existing row, in place (unlike update_, no copy of the old row is kept)
+   * The write is refused if the row has changed since the caller read it, according to the expected DateModified or Version.
+   *
+   * @param {object} sheet: the instance of the sheet we wish to update
+   * @param {object} changes: a dictionary {fieldName: data} of the fields to change, including the ID of the row
+   *                          - ID, CreatedBy, ModifiedBy, DateCreated, DateModified and Valid cannot be patched and are ignored
+   * @param {object} expected: (optional) {DateModified: date} and/or {Version: number} as last read by the caller
+   * @return {object} returns a dictionary of dictionaries {ID: {fieldName: data}} holding the patched row
+   *                  - returns {conflict: row} holding the current row if it has changed since the caller read it
+   *                  - returns {errors: [{row, field, message}]} if the patched row breaks the schema of the sheet
+   *                  - returns null if there is no valid row with the given ID
+   */
+  function patch_(sheet, changes, expected) {
+    Logger.log("Patching a row in the sheet: " + sheet.getName());
+    if (!changes || !changes["ID"]) {
+      fail_("INVALID_INPUT", "No ID was given so could not patch");
+      return;
+    }
+    expected = expected || {};
+    var found = findRows_(sheet, "ID", [changes["ID"]]);
+    var validIndex = found.header.indexOf("Valid");
+    // find the current (valid) version of the row, searching from the bottom like undoDelete_
+    var target = null;
+    for (var i = found.rows.length - 1; i > -1; i--) {
+      if (found.rows[i].values[validIndex] == true) {
+        target = found.rows[i];
+        break;
+      }
+    }
+    if (!target) {
+      fail_("NOT_FOUND", "No valid row with ID: " + changes["ID"] + " exists so could not patch");
+      return;
+    }
+    var current = getRowAsDict(found.header, target.values);
+    // refuse the write if someone else has changed the row since the caller read it
+    var currentVersion = Number(current["Version"] || 0);
+    if ((expected["DateModified"] != null && new Date(expected["DateModified"]).getTime() != new Date(current["DateModified"]).getTime()) ||
+      (expected["Version"] != null && Number(expected["Version"]) != currentVersion)) {
+      Logger.log("Row " + changes["ID"] + " in " + sheet.getName() + " has changed since it was read so it was not patched");
+      return { conflict: current };
+    }
+    // merge the changes into the current row and check the result against the schema
+    var patched = Object.assign({}, current);
+    Object.keys(changes).forEach(function (field) {
+      if (SYSTEM_COLUMNS_.indexOf(field) == -1 && field != "Version") {
+        patched[field] = changes[field];
+      }
+    });
+    var checked = applySchema_(sheet, [patched]);
+    if (checked.errors.length > 0) {
+      Logger.log("Inputs to patch_ do not match the schema of " + sheet.getName() + ": " + JSON.stringify(checked.errors));
+      return { errors: checked.errors };
+    }
+    patched = checked.rows[0];
+    patched["ModifiedBy"] = getUserName_();
+    patched["DateModified"] = getDatetime_();
+    patched["Version"] = currentVersion + 1;
+    // add any fields that are not yet columns of the sheet
+    var header = found.header;
+    var newFields = Object.keys(patched).filter(function (field) { return header.indexOf(field) == -1; });
+    if (newFields.length > 0) {
+      sheet.insertColumnsAfter(header.length, newFields.length);
+      sheet.getRange(1, header.length + 1, 1, newFields.length).setValues([newFields]);
+      header = header.concat(newFields);
+    }
+    // write the patched row over the old one
+    var newRow = header.map(function (field) { return patched[field] == null ? "" : patched[field]; });
+    sheet.getRange(target.rowNumber, 1, 1, newRow.length).setValues([newRow]);
+    // the row changed in place so the indexes of the sheet have to be rebuilt
+    invalidateIndexes_(sheet);
+    var rowDict = {};
+    rowDict[patched["ID"]] = getRowAsDict(header, newRow);
+    recordChange_(sheet, current, rowDict[patched["ID"]]);
+    return rowDict;
+  }
   
   // ------------------------------------------- DELETE ----------------------------------------------------
   
@@ -255,60 +552,64 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
    * @param {string} sheet: the instance of the sheet we wish to delete from
    * @param {string} columnName: the name of the column that we are comparing values in for deletion
    * @param {object} rowValues: the values that we use to compare for deletion
+   * @param {object} dateTime: (optional) the date to store as DateModified in the deleted rows - defaults to the current date/time
    * @return {object} returns a dictionary of dictionaries {ID: {fieldName: data}} representing the deleted rows by their IDs
    *                  - returns null if inputs are invalid - bad column name, null rowValues or empty list, sheet missing a valid column 
    */
-  function delete_(sheet, columnName, rowValues) {
+  function delete_(sheet, columnName, rowValues, dateTime) {
     Logger.log("Deleting a row from the sheet: " + sheet.getName());
     // check validity of inputs
-    if (!rowValues || rowValues == []) {
-      Logger.log("Gave a null or empty rowValues in a call to delete_")
+    if (!rowValues || rowValues.length == 0) {
+      fail_("INVALID_INPUT", "Gave a null or empty rowValues in a call to delete_");
       return;
     }
-    // Pull data from sheet
-    var data = sheet.getDataRange().getValues();
+    // Pull the rows whose value under columnName is in rowValues from the sheet - uses an index when there is one
+    var found = findRows_(sheet, columnName, rowValues);
+    var header = found.header;
     //get index of column with field name "name"
-    var colIndex = getColIndex_(data, columnName);
+    var colIndex = header.indexOf(columnName);
     //get index of col with field name valid
-    var validIndex = getColIndex_(data, "Valid");
+    var validIndex = header.indexOf("Valid");
     // get index of col with field name DateModified
-    var modifiedIndex = getColIndex_(data, "DateModified");
+    var modifiedIndex = header.indexOf("DateModified");
     // check to make sure columnName is valid
     if (colIndex == -1) {
-      Logger.log(columnName + " does not exist as a column name in " + sheet.getName());
+      fail_("COLUMN_NOT_FOUND", columnName + " does not exist as a column name in " + sheet.getName());
       return;
     }
     // check to make sure valid is in sheet
     if (validIndex == -1) {
-      Logger.log("Valid does not exist as a column name in " + sheet.getName());
+      fail_("BAD_SHEET_FORMAT", "Valid does not exist as a column name in " + sheet.getName());
       return;
     }
     // check to make sure valid is in sheet
     if (modifiedIndex == -1) {
-      Logger.log("DateModified does not exist as a column name in " + sheet.getName());
+      fail_("BAD_SHEET_FORMAT", "DateModified does not exist as a column name in " + sheet.getName());
       return;
     }
-    // convert set for easier search
-    var rowValueSet = new Set(rowValues);
-    // itereate through data setting valid flags to false for each row that has rowValue at colIndex
+    // itereate through the rows setting valid flags to false (every row found has rowValue at colIndex)
     var rowDict = {};
-    var row;
-    for (var i = 1; i < data.length; i++) {
-      //check if the value under columnName for this row is in rowValues 
-      if (rowValueSet.has(data[i][colIndex])) {
-        // set valid flag to false in data
-        data[i][validIndex] = false;
-        // update date modified
-        data[i][modifiedIndex] = new Date();
-        row = getRowAsDict(data[0], data[i]);
-        // store row dictionary in a large dictionary where keys are IDs and values are the row dicts - to be used dealing FKeys
-        if (row["ID"]) { // if the row exists and has an ID - row is correctly formatted so add to dictionary 
-          rowDict[row["ID"]] = row;
+    var row, values;
+    for (var i = 0; i < found.rows.length; i++) {
+      values = found.rows[i].values;
+      // keep a copy of the row for the audit log if it is being deleted now (rather than already deleted)
+      var before = values[validIndex] == true ? getRowAsDict(header, values) : null;
+      // set valid flag to false in data
+      values[validIndex] = false;
+      // update date modified
+      values[modifiedIndex] = dateTime || new Date();
+      row = getRowAsDict(header, values);
+      // store row dictionary in a large dictionary where keys are IDs and values are the row dicts - to be used dealing FKeys
+      if (row["ID"]) { // if the row exists and has an ID - row is correctly formatted so add to dictionary 
+        rowDict[row["ID"]] = row;
+        if (before) {
+          recordChange_(sheet, before, row);
         }
       }
     }
-    // put updated data in sheet
-    sheet.getDataRange().setValues(data);
+    // put the updated Valid and DateModified cells in sheet
+    writeRowCells_(sheet, found.rows, [validIndex, modifiedIndex]);
+    invalidateIndexes_(sheet, ["Valid", "DateModified"]);
     // return dictionary of deleted rows
     return rowDict;
   }
@@ -316,7 +617,7 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
   // ----------------------------------------- UNDO DELETE --------------------------------------------------
   
   /**
-   * Function to undo a delete operation (does not handle foreign keys)
+   * Function to undo a delete operation (does not handle foreign keys - see undoDeleteRelated_)
    *
    * @param {object} sheet: the sheet that this operation is taking place on
    * @param {string} columnName: the field name for the column that we are using to determine which row to revalidate
@@ -325,20 +626,21 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
    */
   function undoDelete_(sheet, columnName, rowValues) {
     Logger.log("Undoing delete from sheet " + sheet.getName());
-    // Pull data from sheet
-    var data = sheet.getDataRange().getValues();
+    // Pull the rows whose value under columnName is in rowValues from the sheet - uses an index when there is one
+    var found = findRows_(sheet, columnName, rowValues);
+    var header = found.header;
     //get index of column with field name "name"
-    var colIndex = getColIndex_(data, columnName);
+    var colIndex = header.indexOf(columnName);
     //get index of col with field name valid
-    var validIndex = getColIndex_(data, "Valid");
+    var validIndex = header.indexOf("Valid");
     // check to make sure columnName is valid
     if (colIndex == -1) {
-      Logger.log(columnName + " does not exist as a column name in " + sheet.getName());
+      fail_("COLUMN_NOT_FOUND", columnName + " does not exist as a column name in " + sheet.getName());
       return;
     }
     // check to make sure valid is in sheet
     if (validIndex == -1) {
-      Logger.log("Valid does not exist as a column name in " + sheet.getName());
+      fail_("BAD_SHEET_FORMAT", "Valid does not exist as a column name in " + sheet.getName());
       return;
     }
     // convert set for easier search
@@ -346,21 +648,31 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
     // initialize a list to store the rows that were undeleted
     var listDict = [];
     var row;
-    // itereate through data setting valid flags to false for each row that has rowValue at colIndex
+    var changedRows = [];
+    var values;
+    // itereate through the rows setting valid flags to true for each row that has rowValue at colIndex
     // goes from the bottom up only changing the most recent version of a given entry
-    for (var i = data.length - 1; i > -1; i--) {
-      if (rowValueSet.has(data[i][colIndex])) {
+    for (var i = found.rows.length - 1; i > -1; i--) {
+      values = found.rows[i].values;
+      if (rowValueSet.has(values[colIndex])) {
+        // keep a copy of the row for the audit log if it is being restored now (rather than already valid)
+        var before = values[validIndex] != true ? getRowAsDict(header, values) : null;
         // set valid flag to true in data
-        data[i][validIndex] = true;
+        values[validIndex] = true;
         //listIDs.push(data[i][0]);
-        rowValueSet.delete(data[i][colIndex]);
+        rowValueSet.delete(values[colIndex]);
         // get row and store it in listDict
-        row = getRowAsDict(data[0], data[i]);
+        row = getRowAsDict(header, values);
         listDict.push(row);
+        changedRows.unshift(found.rows[i]);
+        if (before) {
+          recordChange_(sheet, before, row);
+        }
       }
     }
-    // put updated data in sheet
-    sheet.getDataRange().setValues(data);
+    // put the updated Valid cells in sheet
+    writeRowCells_(sheet, changedRows, [validIndex]);
+    invalidateIndexes_(sheet, ["Valid"]);
     // return the id list
     // return listIDs;
     return listDict;
@@ -369,7 +681,7 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
   // -------------------------------------- HELPER FUNCTIONS ------------------------------------------------
   
   /**
-   * Function to generate a random primary key for a new row.
+   * Function to generate a random primary key for a new row (the "random" ID strategy - see SHEETS_IDS.js).
    *
    * @parameter {string} prefix: a character to be appended to the front of the key (for identification purposes)
    * @return {string} returns the key that it generated
@@ -396,7 +708,11 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
    * @return {string} returns the email of the current user of the Web App
    */
   function getUserEmail_() {
-    var email = Session.getActiveUser().getEmail()
+    // a call through the Web App API runs as the user its API key belongs to (see SHEETS_API.js)
+    if (apiUser_) {
+      return apiUser_;
+    }
+    var email = getStorage_().getUserEmail()
     return email;
   }
   
@@ -415,6 +731,7 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
    * @parameter {object} sheet: the sheet we wish to write to
    * @parameter {object} inputData: list dictionaries array holding data we wish to write to the sheet
    * @return {bool} returns true if create has been given valid inputs and false otherwise
+   *                - throws a DatabaseError (BAD_SHEET_FORMAT) if the sheet has data but does not start with the database columns
    */
   function validateCreateInputs(sheet, inputData) {
     // Check to see if the sheet is formatted correctly
@@ -422,18 +739,12 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
       // Check to see if whole sheet is null
       if (sheet.getDataRange().getValues().join("") === "") {
         // The sheet is null, so add the common columns and run the rest of the function
-        sheet.getRange(1, 1).setValue("ID");
-        sheet.getRange(1, 2).setValue("CreatedBy");
-        sheet.getRange(1, 3).setValue("ModifiedBy");
-        sheet.getRange(1, 3).setValue("DateCreated");
-        sheet.getRange(1, 4).setValue("DateModified");
-        sheet.getRange(1, 5).setValue("Valid");
+        sheet.getRange(1, 1, 1, SYSTEM_COLUMNS_.length).setValues([SYSTEM_COLUMNS_]);
       } else {
         // The sheet is formatted incorrectly, so log and throw an error and don't add any new rows
-        var errorMsg = "The sheet you are trying to write to is formatted incorrectly. Please ensure that the first column of this sheet is the ID column. Bother Amir if you have any questions.";
+        var errorMsg = "The sheet " + sheet.getName() + " is formatted incorrectly. Please ensure that it starts with the columns " + SYSTEM_COLUMNS_.join(", ") + ".";
         Logger.log(errorMsg);
-        throw errorMsg;
-        return false;
+        throw new DatabaseError("BAD_SHEET_FORMAT", errorMsg);
       }
     }
     if (inputData == null) {
@@ -497,6 +808,28 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
     return -1;
   }
   
+  /**
+   * Helper function that opens a sheet, reporting a SHEET_NOT_FOUND error if the spreadsheet or the sheet does not exist
+   *
+   * @parameter {string} spreadsheetID: the id of the spreadsheet
+   * @parameter {string} sheetName: the name of the sheet
+   * @return {object} returns the instance of the sheet, or null if it does not exist
+   */
+  function openSheet_(spreadsheetID, sheetName) {
+    var spreadsheet;
+    try {
+      spreadsheet = getStorage_().openSpreadsheet(spreadsheetID);
+    } catch (err) {
+      spreadsheet = null;
+    }
+    var sheet = spreadsheet ? getTableSheet_(spreadsheet, sheetName) : null;
+    if (!sheet) {
+      fail_("SHEET_NOT_FOUND", spreadsheet ? sheetName + " does not exist in the spreadsheet " + spreadsheetID : "There is no spreadsheet with the id " + spreadsheetID);
+      return null;
+    }
+    return sheet;
+  }
+  
   // ------------------------------------------ CREATE SHEET ---------------------------------------------------
   
   /**
@@ -504,76 +837,31 @@ function accessDatabase(functionName, spreadsheetID, sheetName, parameters) {
    *
    * @param {string} ssID: the id of the spreadsheet we wish to add the sheet to
    * @param {string} sheetName: the name we would like to give this sheet
-   * @param {object} colNames: a list of the column names we wish to populate the sheet with
+   * @param {object} colNames: a list of the column names we wish to populate the sheet with (defaults to the columns of the schema)
+   * @param {object} schema: (optional) a schema to store for the sheet (see SHEETS_SCHEMA.js)
    * @return {string} returns the sheetName that was passed in
    */
-  function createSheet_(ssID, sheetName, colNames) {
+  function createSheet_(ssID, sheetName, colNames, schema) {
+    // check the schema before anything is created
+    var schemaError = schema ? validateSchemaDefinition_(schema) : null;
+    if (schemaError) {
+      fail_("INVALID_INPUT", "The schema for " + sheetName + " is invalid: " + schemaError);
+      return;
+    }
     // create a sheet in a given spread sheet with a given name
-    var sheet = SpreadsheetApp.openById(ssID).insertSheet(sheetName);
-    var headerRow = colNames;
+    var sheet = getStorage_().openSpreadsheet(ssID).insertSheet(sheetName);
+    var headerRow = colNames || (schema ? Object.keys(schema.columns || {}) : []);
     // add basic database fields
-    headerRow.unshift("ID", "CreatedBy", "ModifiedBy", "DateCreated", "DateModified", "Valid");
+    headerRow.unshift.apply(headerRow, SYSTEM_COLUMNS_);
     var range = sheet.getRange(1, 1, 1, headerRow.length).setValues([headerRow]);
     range.setValues([headerRow]);
     //format header
     sheet.setFrozenRows(1);
     range.setFontWeight("bold");
     //be mindful not to have every row added after to keep the formatting!
+    if (schema) {
+      setSchema(ssID, sheetName, schema);
+    }
   
     return sheetName
-  }
-  
-  
-  // ------------------------------------------ CLEAN DATABASE ---------------------------------------------------
-  
-  /**
-   * Function to remove every false row in the database that is atleast a day old
-   */
-  function cleanDatabase() {
-    // get every SSID
-    const clientSSID = PropertiesService.getScriptProperties().getProperty("clientSpreadsheetID");
-    const memberSSID = PropertiesService.getScriptProperties().getProperty("memberSpreadsheetID");
-    const matterSSID = PropertiesService.getScriptProperties().getProperty("matterSpreadsheetID");
-    const taskSSID = PropertiesService.getScriptProperties().getProperty("taskSpreadsheetID");
-    const noteSSID = PropertiesService.getScriptProperties().getProperty("noteSpreadsheetID");
-    // get every spreadsheet
-    var clientSS = SpreadsheetApp.openById(clientSSID);
-    var memberSS = SpreadsheetApp.openById(memberSSID);
-    var matterSS = SpreadsheetApp.openById(matterSSID);
-    var taskSS = SpreadsheetApp.openById(taskSSID);
-    var noteSS = SpreadsheetApp.openById(noteSSID);
-    // put every sheet in a list
-    var sheetList = clientSS.getSheets();
-    sheetList = sheetList.concat(memberSS.getSheets());
-    sheetList = sheetList.concat(matterSS.getSheets());
-    sheetList = sheetList.concat(taskSS.getSheets());
-    sheetList = sheetList.concat(noteSS.getSheets());
-    var sheetList = sheetList.concat(taskSS.getSheets());
-    // get data range of each sheet
-    var sheet, data, row, validIndex, dateIndex, modifiedDate;
-    var newData;
-    var today = new Date();
-    var numRowsDeleted = 0;
-    for (var i = 0; i < sheetList.length; i++) {
-      newData = [];
-      sheet = sheetList[i];
-      data = sheet.getDataRange().getValues();
-      //get index of col with field name valid
-      validIndex = getColIndex_(data, "Valid");
-      dateIndex = getColIndex_(data, "DateModified");
-      newData.push(data[0]);
-      // remove every row that is false and is a day old
-      for (var j = 1; j < data.length; j++) {
-        row = data[j];
-        modifiedDate = new Date(row[dateIndex])
-        if (row[validIndex] == true || (today - modifiedDate) < 86400000) {
-          newData.push(row);
-        }
-      }
-      // clear the sheet and put updated data back in
-      sheet.clear({ contentsOnly: true });
-      sheet.getRange(1, 1, newData.length, newData[0].length).setValues(newData);
-      numRowsDeleted += (data.length - newData.length);
-    }
-    return numRowsDeleted;
-  }
\ No newline at end of file
+  }
\ No newline at end of file
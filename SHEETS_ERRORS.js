@@ -0,0 +1,164 @@
+/**
+ * This file contains the error model shared by every operation of accessDatabase.
+ *
+ * accessDatabase returns the output of the operation, or null if it failed. callDatabase takes the same arguments and always returns
+ * a result envelope instead:
+ *   {ok: true, data: the output of the operation, error: null}
+ *   {ok: false, data: null, error: {code, message, details}}
+ * The error codes are:
+ *   LOCK_TIMEOUT        a sheet the call needs was locked by another call for longer than the lock timeout (see SHEETS_LOCKS.js) -
+ *                       details is {resources, holders, waitedMillis, attempts}
+ *   INVALID_FUNCTION    functionName is not an operation of accessDatabase
+ *   INVALID_INPUT       a parameter is missing or badly formed (e.g. an empty list of rows or a badly formed query)
+ *   SHEET_NOT_FOUND     the spreadsheet or sheet does not exist
+ *   COLUMN_NOT_FOUND    a column named by the call does not exist in the sheet
+ *   BAD_SHEET_FORMAT    the sheet does not start with the database columns (ID, CreatedBy, ModifiedBy, DateCreated, DateModified, Valid)
+ *   NOT_FOUND           there is no valid row with the given ID (PATCH, and UPDATE and DELETE in strict mode), or no snapshot with the given id (RESTORE)
+ *   VALIDATION_FAILED   the rows break the schema or relationships of the sheet - details is the list of errors {row, field, message}
+ *   CONFLICT            the row has changed since the caller read it (PATCH, details is the current row), or rows have been removed
+ *                       from the sheet since the cursor of a paged READ or QUERY was made
+ *   RESTRICTED          a relationship with onDelete "restrict" (or a deleted parent row) stopped a DELETE or UNDO_DELETE
+ *   PERMISSION_DENIED   the access control layer refused the call - details is the list of errors {field, message}
+ *   REJECTED            a before-hook of the sheet rejected the call (see SHEETS_HOOKS.js) - details is the list of errors {row, field, message}
+ *   BATCH_FAILED        a step of a BATCH failed and the batch was rolled back - details is the list of errors {step, name, message}
+ *   NOT_CONFIGURED      the call needs a script property that has not been set (e.g. HISTORY without an audit log)
+ *   INTERNAL            anything else, including an unexpected exception
+ *
+ * An operation reports a failure with fail_(code, message, details), which logs it and keeps it as the last error of the call, and
+ * then returns null as before. getLastError() returns that error to callers of accessDatabase. A failure that has to stop a call part
+ * way through (e.g. a badly formatted sheet) is thrown as a DatabaseError with the same codes - accessDatabase lets it through and
+ * callDatabase turns it into an envelope. The locks of the call are released on every path.
+ *
+ * Passing {strict: true} as the options of either function makes UPDATE fail with NOT_FOUND when there is no valid row with the given
+ * ID, instead of creating a new row, and DELETE fail with NOT_FOUND when none of the rows it names is valid.
+ */
+
+// List of the error codes (see above)
+const ERROR_CODES_ = ["LOCK_TIMEOUT", "INVALID_FUNCTION", "INVALID_INPUT", "SHEET_NOT_FOUND", "COLUMN_NOT_FOUND", "BAD_SHEET_FORMAT", "NOT_FOUND",
+  "VALIDATION_FAILED", "CONFLICT", "RESTRICTED", "PERMISSION_DENIED", "REJECTED", "BATCH_FAILED", "NOT_CONFIGURED", "INTERNAL"];
+
+// The last error reported by the current call {code, message, details} (null if there was none)
+var lastError_ = null;
+// Whether the current call runs in strict mode - set by accessDatabase
+var strictMode_ = false;
+
+// ------------------------------------------- ERRORS ----------------------------------------------------
+
+/**
+ * Error thrown when an operation cannot carry on
+ *
+ * @param {string} code: one of ERROR_CODES_
+ * @param {string} message: a description of the problem
+ * @param {object} details: (optional) more information, e.g. the list of field errors
+ */
+function DatabaseError(code, message, details) {
+  this.name = "DatabaseError";
+  this.code = code;
+  this.message = message;
+  this.details = details == null ? null : details;
+  this.stack = new Error(message).stack;
+}
+DatabaseError.prototype = Object.create(Error.prototype);
+DatabaseError.prototype.constructor = DatabaseError;
+
+/**
+ * Error thrown by the lock manager when the leases a call needs could not be taken in time (see SHEETS_LOCKS.js) - its code is LOCK_TIMEOUT
+ *
+ * @param {string} message: a description of the problem
+ * @param {object} details: {resources, holders, waitedMillis, attempts}
+ */
+function LockTimeoutError(message, details) {
+  DatabaseError.call(this, "LOCK_TIMEOUT", message, details);
+  this.name = "LockTimeoutError";
+}
+LockTimeoutError.prototype = Object.create(DatabaseError.prototype);
+LockTimeoutError.prototype.constructor = LockTimeoutError;
+
+/**
+ * Function to log a failure and keep it as the last error of the current call - the caller then returns null
+ *
+ * @param {string} code: one of ERROR_CODES_
+ * @param {string} message: a description of the problem
+ * @param {object} details: (optional) more information, e.g. the list of field errors
+ */
+function fail_(code, message, details) {
+  Logger.log(message);
+  lastError_ = { code: ERROR_CODES_.indexOf(code) == -1 ? "INTERNAL" : code, message: message, details: details == null ? null : details };
+}
+
+/**
+ * Function to return the error reported by the last call to accessDatabase
+ *
+ * @return {object} returns a dictionary {code, message, details}, or null if the last call did not report an error
+ */
+function getLastError() {
+  return lastError_;
+}
+
+// ------------------------------------------- RESULTS ---------------------------------------------------
+
+/**
+ * Function to run an operation like accessDatabase, but always return a result envelope
+ *
+ * @param {string} functionName: the name of the function that we wish to call (see accessDatabase)
+ * @param {string} spreadsheetID: the id of the spreadsheet we wish to access
+ * @param {string} sheetName: the name of the sheet we wish to access
+ * @param {object} parameters: list of input parameters to be passed into the function
+ * @param {object} options: (optional) {strict: true to make UPDATE and DELETE fail on a missing ID, lock: lock options for this call (see SHEETS_LOCKS.js)}
+ * @return {object} returns {ok: true, data, error: null} or {ok: false, data: null, error: {code, message, details}}
+ */
+function callDatabase(functionName, spreadsheetID, sheetName, parameters, options) {
+  var returnValue;
+  try {
+    returnValue = accessDatabase(functionName, spreadsheetID, sheetName, parameters, options);
+  } catch (err) {
+    if (err instanceof DatabaseError) {
+      return errorResult_(err.code, err.message, err.details);
+    }
+    Logger.log("The call to " + functionName + " failed with an unexpected error: " + err);
+    return errorResult_("INTERNAL", String(err), null);
+  }
+  return toResult_(returnValue);
+}
+
+/**
+ * Function to turn the output of an operation into a result envelope
+ *
+ * @param {object} returnValue: the output of accessDatabase
+ * @return {object} returns the result envelope (see the top of this file)
+ */
+function toResult_(returnValue) {
+  if (returnValue == null) {
+    var error = lastError_ || { code: "INTERNAL", message: "the operation failed without reporting why (see the log for details)", details: null };
+    return errorResult_(error.code, error.message, error.details);
+  }
+  if (returnValue.denied) {
+    return errorResult_("PERMISSION_DENIED", returnValue.errors[0].message, returnValue.errors);
+  }
+  if (returnValue.rejected) {
+    return errorResult_("REJECTED", returnValue.errors[0].message, returnValue.errors);
+  }
+  if (returnValue.conflict) {
+    return errorResult_("CONFLICT", "row " + returnValue.conflict["ID"] + " has changed since it was read", returnValue.conflict);
+  }
+  if (returnValue.errors) {
+    // only BATCH reports errors with a step
+    if (returnValue.errors.length > 0 && returnValue.errors[0].step != null) {
+      return errorResult_("BATCH_FAILED", "step " + returnValue.errors[0].step + " of the batch failed: " + returnValue.errors[0].message, returnValue.errors);
+    }
+    return errorResult_("VALIDATION_FAILED", "the data is not valid for the sheet", returnValue.errors);
+  }
+  return { ok: true, data: returnValue, error: null };
+}
+
+/**
+ * Function to build a failed result envelope
+ *
+ * @param {string} code: one of ERROR_CODES_
+ * @param {string} message: a description of the problem
+ * @param {object} details: more information, or null
+ * @return {object} returns {ok: false, data: null, error: {code, message, details}}
+ */
+function errorResult_(code, message, details) {
+  return { ok: false, data: null, error: { code: code, message: message, details: details == null ? null : details } };
+}
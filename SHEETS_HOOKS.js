@@ -0,0 +1,542 @@
+/**
+ * This file contains the hooks, which let code run before and after rows are changed through accessDatabase, and the notifications
+ * (webhooks and emails), which are sent once the call has released its locks.
+ *
+ * A hook is a function registered for a sheet with registerHook(spreadsheetID, sheetName, event, handler). The events are:
+ *   beforeCreate / afterCreate           CREATE
+ *   beforeUpdate / afterUpdate           UPDATE and PATCH
+ *   beforeDelete / afterDelete           DELETE
+ *   beforeUndoDelete / afterUndoDelete   UNDO_DELETE
+ * Every handler is called once per row as handler(row, context), where context is {event, operation, spreadsheetID, sheetName, user}.
+ *   - a before-hook gets the row about to be written (for CREATE and UPDATE the input dictionary, for PATCH the changes) and, for
+ *     UPDATE and PATCH, the current row as context.current. It may change the row in place or return a dictionary to use instead, and
+ *     returning a string rejects the whole call with that message. The rows of DELETE and UNDO_DELETE can only be rejected.
+ *   - an after-hook gets the row as it was written, once the operation has succeeded. An error thrown by an after-hook is logged and
+ *     does not undo the change.
+ * Hooks are not stored anywhere, so register them in the global scope of a script file (which runs at the start of every execution).
+ * They run while the call holds the locks on its sheets, so they must not call accessDatabase, and should be quick - anything slow or outbound
+ * belongs in a notification. BULK_CREATE, IMPORT, RESTORE and the rows changed by relationships (see SHEETS_RELATIONSHIPS.js) do not run hooks,
+ * and in a BATCH the after-hooks of the steps that succeeded have already run if a later step fails and the batch is rolled back.
+ *
+ * A notification is either {url, payload, headers} (POSTed as JSON) or {email, subject, body}. queueNotification adds one to the
+ * queue of the current call, e.g. from an after-hook, and a webhook registered with registerWebhook(spreadsheetID, sheetName, url,
+ * changes) queues one for every call that changes rows of the sheet, with the payload {change, operation, spreadsheetID, sheetName,
+ * user, timestamp, rows}. Webhooks are kept in the "webhooks" script property, and registering or removing one needs the ADMIN permission
+ * once a role has been defined (see SHEETS_ACCESS.js), as its payload holds every changed row. The queue is sent after the locks are released (a call
+ * that is rolled back or refused sends nothing), and a notification that cannot be sent is kept in the "FailedNotifications" sheet
+ * of the notifications spreadsheet (created on first use, its id kept in the "notificationSpreadsheetID" script property), one row
+ * per part of its JSON so that a large payload fits - retryNotifications() sends them again (see scheduleRetryNotifications), giving
+ * up after 5 tries. Each one is only removed from the sheet (or has its tries counted) once it has been sent again, so a retry that
+ * stops part way loses nothing. Sending never fails the call that queued the notifications, as its changes have already been written.
+ */
+
+// List of the changes that can be hooked, with the operations that make them
+const HOOK_CHANGES_ = {
+  create: ["CREATE"],
+  update: ["UPDATE", "PATCH"],
+  delete: ["DELETE"],
+  undoDelete: ["UNDO_DELETE"]
+};
+// Name of the script property that the webhooks are stored under
+const WEBHOOK_PROPERTY_ = "webhooks";
+// Name of the script property that the id of the notifications spreadsheet is stored under
+const NOTIFICATION_SPREADSHEET_PROPERTY_ = "notificationSpreadsheetID";
+// Name of the sheet of the notifications spreadsheet holding the notifications waiting to be sent again
+const FAILED_NOTIFICATIONS_SHEET_ = "FailedNotifications";
+// Columns of the failed notifications sheet - a notification is split over as many rows (parts) as its JSON needs
+const FAILED_NOTIFICATION_COLUMNS_ = ["NotificationID", "Part", "Attempts", "LastError", "DateFailed", "Notification"];
+// Number of characters of JSON kept in one part - each part is stored as a quoted JSON string, so that the sheet does not read it
+// as a number, date or formula, which at worst takes 6 characters per character and has to fit the 50000 characters of a cell
+const NOTIFICATION_PART_LENGTH_ = 8000;
+// Number of times a notification is tried before it is dropped
+const NOTIFICATION_MAX_ATTEMPTS_ = 5;
+
+// Hooks registered during this execution - dictionary {sheetKey: {event: [handlers]}}
+var hooks_ = {};
+// Notifications queued by the current call, sent once it has released its locks
+var pendingNotifications_ = [];
+
+// -------------------------------------------- HOOKS ----------------------------------------------------
+
+/**
+ * Function to register a hook for a sheet
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {string} event: the event to run the hook on (e.g. "beforeCreate" or "afterDelete" - see the top of this file)
+ * @param {function} handler: the function to call as handler(row, context)
+ * @return {bool} returns true if the hook was registered, or null if the event or handler is invalid
+ */
+function registerHook(spreadsheetID, sheetName, event, handler) {
+  if (!parseHookEvent_(event) || typeof handler != "function") {
+    Logger.log(event + " is not a hook event, or the hook is not a function");
+    return;
+  }
+  var key = spreadsheetID + "/" + sheetName;
+  hooks_[key] = hooks_[key] || {};
+  hooks_[key][event] = (hooks_[key][event] || []).concat([handler]);
+  return true;
+}
+
+/**
+ * Function to remove the hooks of a sheet
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {string} event: (optional) the event to remove the hooks of - every event if not given
+ */
+function removeHooks(spreadsheetID, sheetName, event) {
+  var key = spreadsheetID + "/" + sheetName;
+  if (!event) {
+    delete hooks_[key];
+  } else if (hooks_[key]) {
+    delete hooks_[key][event];
+  }
+}
+
+/**
+ * Function to run the before-hooks of a sheet for an operation
+ *
+ * @param {object} sheet: the instance of the sheet the operation is run on
+ * @param {string} operation: the name of the operation (e.g. "CREATE")
+ * @param {object} parameters: the parameters of the operation
+ * @return {object} returns a dictionary {parameters, rejection}
+ *                  - parameters: the parameters to run the operation with, holding the rows as changed by the hooks
+ *                  - rejection: {rejected: true, errors: [{row, field, message}]} if a hook rejected the call, otherwise null
+ */
+function runBeforeHooks_(sheet, operation, parameters) {
+  var change = getHookChange_(operation);
+  var handlers = change ? getHooks_(sheet, "before" + change) : [];
+  if (handlers.length == 0 || !parameters) {
+    return { parameters: parameters, rejection: null };
+  }
+  var context = getHookContext_(sheet, "before" + change, operation);
+  var rows;
+  var current = {};
+  if (change == "Create") {
+    rows = (parameters[0] || []).map(function (row) { return Object.assign({}, row); });
+  } else if (change == "Update") {
+    rows = parameters[0] ? [Object.assign({}, parameters[0])] : [];
+    current = rows.length > 0 && rows[0]["ID"] ? read_(sheet, "ID", [rows[0]["ID"]]) || {} : {};
+  } else if (change == "Delete") {
+    var found = read_(sheet, parameters[0], parameters[1] || []);
+    rows = found ? Object.keys(found).map(function (id) { return found[id]; }) : [];
+  } else {
+    rows = (findLatestRows_(sheet, parameters[0], parameters[1] || [], false) || []).filter(function (row) { return !row["Valid"]; });
+  }
+  for (var i = 0; i < rows.length; i++) {
+    context.current = current[rows[i]["ID"]] || null;
+    for (var j = 0; j < handlers.length; j++) {
+      var output = handlers[j](rows[i], context);
+      if (typeof output == "string") {
+        Logger.log("A " + context.event + " hook of " + sheet.getName() + " rejected the call: " + output);
+        return { parameters: parameters, rejection: { rejected: true, errors: [{ row: i, field: null, message: output }] } };
+      }
+      if (output && typeof output == "object") {
+        rows[i] = output;
+      }
+    }
+  }
+  // only the rows of CREATE and UPDATE/PATCH can be changed
+  if (change == "Create" || change == "Update") {
+    parameters = parameters.slice();
+    parameters[0] = change == "Create" ? rows : rows[0];
+  }
+  return { parameters: parameters, rejection: null };
+}
+
+/**
+ * Function to run the after-hooks of a sheet for an operation and queue its webhooks - nothing is run if the operation failed
+ *
+ * @param {object} sheet: the instance of the sheet the operation was run on
+ * @param {string} operation: the name of the operation (e.g. "CREATE")
+ * @param {object} result: the output of the operation
+ */
+function runAfterHooks_(sheet, operation, result) {
+  var change = getHookChange_(operation);
+  if (!change || result == null || result.errors || result.conflict || result.denied || result.rejected) {
+    return;
+  }
+  // UNDO_DELETE returns a list of rows, the others a dictionary of dictionaries {ID: row}
+  var rows = Array.isArray(result) ? result : Object.keys(result).map(function (id) { return result[id]; });
+  if (rows.length == 0) {
+    return;
+  }
+  var context = getHookContext_(sheet, "after" + change, operation);
+  getHooks_(sheet, context.event).forEach(function (handler) {
+    rows.forEach(function (row) {
+      try {
+        handler(row, context);
+      } catch (err) {
+        Logger.log("An " + context.event + " hook of " + sheet.getName() + " failed: " + err);
+      }
+    });
+  });
+  queueWebhooks_(sheet, change.charAt(0).toLowerCase() + change.substring(1), context, rows);
+}
+
+/**
+ * Function to find the change an operation makes
+ *
+ * @param {string} operation: the name of the operation
+ * @return {string} returns the capitalised change, e.g. "Create" or "UndoDelete", or null if the operation cannot be hooked
+ */
+function getHookChange_(operation) {
+  var changes = Object.keys(HOOK_CHANGES_).filter(function (change) { return HOOK_CHANGES_[change].indexOf(operation) != -1; });
+  return changes.length == 0 ? null : changes[0].charAt(0).toUpperCase() + changes[0].substring(1);
+}
+
+/**
+ * Function to check a hook event name
+ *
+ * @param {string} event: the name of the event, e.g. "beforeCreate"
+ * @return {bool} returns true if it is an event that can be hooked
+ */
+function parseHookEvent_(event) {
+  var match = /^(before|after)(\w+)$/.exec(event || "");
+  return Boolean(match && HOOK_CHANGES_[match[2].charAt(0).toLowerCase() + match[2].substring(1)]);
+}
+
+/**
+ * Function to list the hooks of a sheet for an event
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {string} event: the name of the event
+ * @return {object} returns the list of handlers
+ */
+function getHooks_(sheet, event) {
+  var sheetHooks = hooks_[getSheetKey_(sheet)];
+  return sheetHooks && sheetHooks[event] ? sheetHooks[event] : [];
+}
+
+/**
+ * Function to build the context handed to the hooks
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {string} event: the name of the event
+ * @param {string} operation: the name of the operation
+ * @return {object} returns the context {event, operation, spreadsheetID, sheetName, user}
+ */
+function getHookContext_(sheet, event, operation) {
+  return { event: event, operation: operation, spreadsheetID: sheet.getParent().getId(), sheetName: sheet.getName(), user: getUserEmail_() };
+}
+
+// ------------------------------------------- WEBHOOKS --------------------------------------------------
+
+/**
+ * Function to add (or change) a webhook called whenever rows of a sheet change
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {string} url: the URL to POST the changes to
+ * @param {object} changes: (optional) the list of changes to send - "create", "update", "delete" and/or "undoDelete" (defaults to all)
+ * @return {object} returns the webhook {spreadsheetID, sheetName, url, changes}, or null if the inputs are invalid or the user is not an admin
+ */
+function registerWebhook(spreadsheetID, sheetName, url, changes) {
+  changes = changes || Object.keys(HOOK_CHANGES_);
+  var unknown = changes.filter(function (change) { return !HOOK_CHANGES_[change]; });
+  if (!spreadsheetID || !sheetName || !url || unknown.length > 0) {
+    Logger.log("registerWebhook needs a spreadsheetID, a sheetName, a url and changes from " + Object.keys(HOOK_CHANGES_).join(", "));
+    return;
+  }
+  if (!checkAdmin_("registerWebhook")) {
+    return;
+  }
+  var webhook = { spreadsheetID: spreadsheetID, sheetName: sheetName, url: url, changes: changes };
+  return withScriptLock_(function () {
+    var webhooks = getWebhooks_().filter(function (other) {
+      return other.spreadsheetID != spreadsheetID || other.sheetName != sheetName || other.url != url;
+    });
+    webhooks.push(webhook);
+    getStorage_().getProperties().setProperty(WEBHOOK_PROPERTY_, JSON.stringify(webhooks));
+    return webhook;
+  });
+}
+
+/**
+ * Function to remove a webhook
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {string} url: the URL of the webhook
+ * @return {bool} returns true if a webhook was removed and false otherwise (or if the user is not an admin)
+ */
+function removeWebhook(spreadsheetID, sheetName, url) {
+  if (!checkAdmin_("removeWebhook")) {
+    return false;
+  }
+  return withScriptLock_(function () {
+    var webhooks = getWebhooks_();
+    var remaining = webhooks.filter(function (webhook) {
+      return webhook.spreadsheetID != spreadsheetID || webhook.sheetName != sheetName || webhook.url != url;
+    });
+    getStorage_().getProperties().setProperty(WEBHOOK_PROPERTY_, JSON.stringify(remaining));
+    return remaining.length != webhooks.length;
+  });
+}
+
+/**
+ * Function to return the registered webhooks
+ *
+ * @return {object} returns a list of webhooks {spreadsheetID, sheetName, url, changes}
+ */
+function getWebhooks_() {
+  var stored = getStorage_().getProperties().getProperty(WEBHOOK_PROPERTY_);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Function to queue a notification for every webhook of a sheet that listens to a change
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {string} change: the change that was made, e.g. "create"
+ * @param {object} context: the context of the hooks {event, operation, spreadsheetID, sheetName, user}
+ * @param {object} rows: the list of rows that were changed
+ */
+function queueWebhooks_(sheet, change, context, rows) {
+  getWebhooks_().forEach(function (webhook) {
+    if (webhook.spreadsheetID == context.spreadsheetID && webhook.sheetName == context.sheetName && webhook.changes.indexOf(change) != -1) {
+      queueNotification({
+        url: webhook.url,
+        payload: { change: change, operation: context.operation, spreadsheetID: context.spreadsheetID, sheetName: context.sheetName, user: context.user, timestamp: getDatetime_(), rows: rows }
+      });
+    }
+  });
+}
+
+// ----------------------------------------- NOTIFICATIONS -----------------------------------------------
+
+/**
+ * Function to queue a notification, sent once the current call has released its locks
+ *
+ * @param {object} notification: either {url, payload, headers} or {email, subject, body}
+ * @return {bool} returns true if the notification was queued, or null if it is badly formed
+ */
+function queueNotification(notification) {
+  if (!notification || !(notification.url || notification.email)) {
+    Logger.log("A notification needs either a url or an email");
+    return;
+  }
+  pendingNotifications_.push(notification);
+  return true;
+}
+
+/**
+ * Function to forget every notification that has not been sent yet (used when a BATCH is rolled back)
+ */
+function discardNotifications_() {
+  pendingNotifications_ = [];
+}
+
+/**
+ * Function to send the notifications queued by the current call - the caller must not hold any locks
+ * A notification that cannot be sent is kept in the failed notifications sheet to be sent again by retryNotifications. Nothing
+ * is thrown, as the call that queued the notifications has already written its changes.
+ *
+ * @return {integer} returns the number of notifications sent
+ */
+function dispatchNotifications_() {
+  var notifications = pendingNotifications_;
+  pendingNotifications_ = [];
+  try {
+    return sendNotifications_(notifications.map(function (notification) { return { notification: notification, attempts: 0 }; }));
+  } catch (err) {
+    Logger.log("Could not keep " + notifications.length + " notification(s) to send again: " + err);
+    return 0;
+  }
+}
+
+/**
+ * Function to send the notifications that could not be sent before again
+ *
+ * @return {integer} returns the number of notifications sent
+ */
+function retryNotifications() {
+  var waiting = withScriptLock_(function () { return readFailedNotifications_(getFailedNotificationsSheet_()); });
+  var sent = 0;
+  waiting.forEach(function (entry) {
+    var result = attemptNotification_(entry);
+    sent += result.sent ? 1 : 0;
+    // replace the entry only now that it has been tried, leaving the ones not reached yet in the sheet
+    updateFailedNotifications_(function (failed) {
+      return failed.map(function (other) { return other.id == entry.id ? result.retry : other; }).filter(function (other) { return other; });
+    });
+  });
+  return sent;
+}
+
+/**
+ * Function to run retryNotifications every hour with a time-driven trigger
+ */
+function scheduleRetryNotifications() {
+  unscheduleRetryNotifications();
+  ScriptApp.newTrigger("retryNotifications").timeBased().everyHours(1).create();
+}
+
+/**
+ * Function to stop running retryNotifications on a schedule
+ */
+function unscheduleRetryNotifications() {
+  ScriptApp.getProjectTriggers().forEach(function (trigger) {
+    if (trigger.getHandlerFunction() == "retryNotifications") {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
+
+/**
+ * Function to send a list of notifications, keeping the ones that fail for another try
+ *
+ * @param {object} entries: a list of {notification, attempts} that are not in the failed notifications sheet
+ * @return {integer} returns the number of notifications sent
+ */
+function sendNotifications_(entries) {
+  var sent = 0;
+  var failed = [];
+  entries.forEach(function (entry) {
+    var result = attemptNotification_(entry);
+    if (result.sent) {
+      sent++;
+    } else if (result.retry) {
+      failed.push(result.retry);
+    }
+  });
+  if (failed.length > 0) {
+    updateFailedNotifications_(function (waiting) { return waiting.concat(failed); });
+  }
+  return sent;
+}
+
+/**
+ * Function to try to send a notification once
+ *
+ * @param {object} entry: the notification and the number of times it has been tried {id, notification, attempts}
+ * @return {object} returns a dictionary {sent: true if it was sent, retry: the entry to keep for another try (null once it has
+ *                  been sent or given up on)}
+ */
+function attemptNotification_(entry) {
+  try {
+    deliverNotification_(entry.notification);
+    return { sent: true, retry: null };
+  } catch (err) {
+    var attempts = entry.attempts + 1;
+    if (attempts >= NOTIFICATION_MAX_ATTEMPTS_) {
+      Logger.log("Gave up on a notification to " + (entry.notification.url || entry.notification.email) + " after " + attempts + " tries: " + err);
+      return { sent: false, retry: null };
+    }
+    Logger.log("Could not send a notification to " + (entry.notification.url || entry.notification.email) + ": " + err);
+    return { sent: false, retry: { id: entry.id, notification: entry.notification, attempts: attempts, lastError: String(err) } };
+  }
+}
+
+/**
+ * Function to send one notification
+ *
+ * @param {object} notification: either {url, payload, headers} or {email, subject, body}
+ */
+function deliverNotification_(notification) {
+  if (notification.email) {
+    MailApp.sendEmail(notification.email, notification.subject || "", notification.body || "");
+    return;
+  }
+  var response = UrlFetchApp.fetch(notification.url, {
+    method: "post",
+    contentType: "application/json",
+    headers: notification.headers || {},
+    payload: JSON.stringify(notification.payload == null ? null : notification.payload),
+    muteHttpExceptions: true
+  });
+  if (response.getResponseCode() >= 300) {
+    throw new Error("the server answered with HTTP " + response.getResponseCode());
+  }
+}
+
+/**
+ * Function to change the list of notifications waiting to be sent again while holding the script lock
+ *
+ * @param {function} change: called with the current list of {id, notification, attempts, lastError}, returns the new list
+ */
+function updateFailedNotifications_(change) {
+  withScriptLock_(function () {
+    var sheet = getFailedNotificationsSheet_();
+    writeFailedNotifications_(sheet, change(readFailedNotifications_(sheet)));
+  });
+}
+
+/**
+ * Function to get the failed notifications sheet, creating the notifications spreadsheet and the sheet if needed
+ *
+ * @return {object} returns the instance of the sheet
+ */
+function getFailedNotificationsSheet_() {
+  var properties = getStorage_().getProperties();
+  var notificationSSID = properties.getProperty(NOTIFICATION_SPREADSHEET_PROPERTY_);
+  var spreadsheet;
+  if (notificationSSID) {
+    spreadsheet = getStorage_().openSpreadsheet(notificationSSID);
+  } else {
+    spreadsheet = getStorage_().createSpreadsheet("Database Notifications");
+    properties.setProperty(NOTIFICATION_SPREADSHEET_PROPERTY_, spreadsheet.getId());
+    Logger.log("Created the notifications spreadsheet " + spreadsheet.getId());
+  }
+  var sheet = spreadsheet.getSheetByName(FAILED_NOTIFICATIONS_SHEET_);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(FAILED_NOTIFICATIONS_SHEET_);
+    sheet.getRange(1, 1, 1, FAILED_NOTIFICATION_COLUMNS_.length).setValues([FAILED_NOTIFICATION_COLUMNS_]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Function to read the notifications kept in the failed notifications sheet, joining the parts of each
+ *
+ * @param {object} sheet: the instance of the failed notifications sheet
+ * @return {object} returns the list of {id, notification, attempts, lastError} in the order they failed
+ */
+function readFailedNotifications_(sheet) {
+  if (sheet.getLastRow() < 2) {
+    return [];
+  }
+  var values = sheet.getRange(2, 1, sheet.getLastRow() - 1, FAILED_NOTIFICATION_COLUMNS_.length).getValues();
+  var order = [];
+  var parts = {};
+  values.forEach(function (row) {
+    if (row[0] === "") {
+      return;
+    }
+    if (!parts[row[0]]) {
+      order.push(row[0]);
+      parts[row[0]] = { attempts: Number(row[2]), lastError: String(row[3]), json: [] };
+    }
+    parts[row[0]].json[Number(row[1])] = JSON.parse(row[5]);
+  });
+  return order.map(function (id) {
+    return { id: id, notification: JSON.parse(parts[id].json.join("")), attempts: parts[id].attempts, lastError: parts[id].lastError };
+  });
+}
+
+/**
+ * Function to replace the notifications kept in the failed notifications sheet
+ *
+ * @param {object} sheet: the instance of the failed notifications sheet
+ * @param {object} waiting: the list of {id, notification, attempts, lastError} to keep - entries without an id are given one
+ */
+function writeFailedNotifications_(sheet, waiting) {
+  if (sheet.getLastRow() > 1) {
+    deleteSheetRows_(sheet, 2, sheet.getLastRow() - 1);
+  }
+  var dateFailed = getDatetime_();
+  var values = [];
+  waiting.forEach(function (entry) {
+    var id = entry.id || Utilities.getUuid();
+    var json = JSON.stringify(entry.notification);
+    for (var part = 0; part * NOTIFICATION_PART_LENGTH_ < json.length; part++) {
+      var text = json.substring(part * NOTIFICATION_PART_LENGTH_, (part + 1) * NOTIFICATION_PART_LENGTH_);
+      values.push([id, part, entry.attempts, entry.lastError || "", dateFailed, JSON.stringify(text)]);
+    }
+  });
+  if (values.length > 0) {
+    sheet.getRange(2, 1, values.length, FAILED_NOTIFICATION_COLUMNS_.length).setValues(values);
+  }
+}
@@ -0,0 +1,412 @@
+/**
+ * This file contains the ID strategies, which decide how the IDs of new rows are made, and rekeySheet, which gives every row of a sheet
+ * a new ID.
+ *
+ * Each sheet can be given a strategy and a prefix with setIDStrategy(spreadsheetID, sheetName, options). An ID is the prefix, a dash
+ * and a body that depends on the strategy:
+ *   random       16 random base-36 characters, e.g. "T-k3j9x0q2m1zt8c4b" (the default)
+ *   ulid         a ULID - 10 characters of creation time followed by 16 random characters, in Crockford's base 32, e.g.
+ *                "T-01HV8ZQ4XN7M2W3K9P0RSTVYAB" - so the IDs sort in the order the rows were created (IDs made in the same ms count up)
+ *   sequential   a counter for the sheet, padded with zeros to digits characters (6 by default), e.g. "T-000042"
+ * The prefix is made of letters, digits and underscores and defaults to the first letter of the sheet name, which is the same for
+ * sheets such as Matters and Members - giving each sheet a prefix of its own keeps their IDs apart. A sheet cannot be given the
+ * prefix of another sheet, whether it was set or is the first letter of a table of the same spreadsheet or of a sheet managed by the
+ * database (see SHEETS_CLEAN.js). The strategies are kept in the "idStrategies" script property. The counter of a sheet is kept in a script property of
+ * its own, "idCounter:<spreadsheetID>/<sheetName>", which is only changed by a call holding the write lock on the sheet (see
+ * SHEETS_LOCKS.js) - when it is missing it starts from the largest sequential ID with the prefix already in the sheet. The numbers
+ * taken by a BATCH that is rolled back are not given out again.
+ *
+ * Every new ID is checked against the IDs already in the sheet (through the index on ID) and the other new IDs of the call before the
+ * rows are written, and made again if it is taken. An ID given with a new row by CREATE or BULK_CREATE is checked the same way, and
+ * the row is rejected if a valid row already has it. Changing the strategy only changes the IDs of new rows. rekeySheet gives every row
+ * of a sheet a new ID made with its current strategy (a ulid is made from the DateCreated of the row, and sequential IDs are numbered
+ * from 1 in sheet order), and changes the references to the rows in the child sheets of its relationships (see SHEETS_RELATIONSHIPS.js).
+ * The old versions of a row keep sharing its ID. The audit log and anything outside the database keep the old IDs, so the report
+ * maps each old ID to its new one.
+ */
+
+// List of the ID strategies
+const ID_STRATEGIES_ = ["random", "ulid", "sequential"];
+// Name of the script property that the ID strategies are stored under
+const ID_STRATEGY_PROPERTY_ = "idStrategies";
+// Start of the name of the script property that the counter of a sheet is stored under
+const ID_COUNTER_PROPERTY_ = "idCounter:";
+// Number of digits a sequential ID is padded to when the strategy does not say
+const DEFAULT_ID_DIGITS_ = 6;
+// Pattern matching a valid prefix
+const ID_PREFIX_PATTERN_ = /^[A-Za-z0-9_]+$/;
+// The characters of Crockford's base 32, used by ulid
+const ULID_ALPHABET_ = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+// Number of times the new IDs of a call are made again before giving up
+const ID_MAX_ATTEMPTS_ = 10;
+
+// The time and random characters of the last ulid made in this execution, so that the next one made in the same ms counts up from it
+var lastULID_ = { time: null, random: null };
+
+// ---------------------------------------- CONFIGURATION ------------------------------------------------
+
+/**
+ * Function to choose how the IDs of the new rows of a sheet are made
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {object} options: {strategy: "random" (default), "ulid" or "sequential", prefix: (optional) the prefix of the IDs, digits:
+ *                          (optional) the number of digits of a sequential ID}
+ * @return {object} returns the strategy that was stored {strategy, prefix, digits}, or null if the options are invalid or the prefix
+ *                  is used by another sheet
+ */
+function setIDStrategy(spreadsheetID, sheetName, options) {
+  options = options || {};
+  var strategy = options.strategy || "random";
+  var prefix = options.prefix == null ? String(sheetName).slice(0, 1) : options.prefix;
+  if (ID_STRATEGIES_.indexOf(strategy) == -1) {
+    Logger.log(strategy + " is not an ID strategy. Use one of: " + ID_STRATEGIES_.join(", "));
+    return;
+  }
+  if (!ID_PREFIX_PATTERN_.test(prefix)) {
+    Logger.log("The ID prefix " + prefix + " must be made of letters, digits and underscores");
+    return;
+  }
+  if (options.digits != null && !(Number.isInteger(options.digits) && options.digits > 0 && options.digits <= 15)) {
+    Logger.log("digits must be a whole number from 1 to 15");
+    return;
+  }
+  var key = spreadsheetID + "/" + sheetName;
+  return withScriptLock_(function () {
+    var strategies = getIDStrategies_();
+    var prefixes = getIDPrefixes_(strategies, spreadsheetID);
+    var clash = Object.keys(prefixes).filter(function (other) { return other != key && prefixes[other] == prefix; })[0];
+    if (clash) {
+      Logger.log("The ID prefix " + prefix + " is already used by " + clash);
+      return;
+    }
+    var previous = strategies[key];
+    strategies[key] = { strategy: strategy, prefix: prefix, digits: strategy == "sequential" ? options.digits || DEFAULT_ID_DIGITS_ : null };
+    var properties = getStorage_().getProperties();
+    properties.setProperty(ID_STRATEGY_PROPERTY_, JSON.stringify(strategies));
+    if (previous && previous.prefix != prefix) {
+      // the counter is started again from the IDs with the new prefix
+      properties.deleteProperty(ID_COUNTER_PROPERTY_ + key);
+    }
+    return strategies[key];
+  });
+}
+
+/**
+ * Function to return the ID strategies of every sheet that has one
+ *
+ * @return {object} returns a dictionary {"<spreadsheetID>/<sheetName>": {strategy, prefix, digits}}
+ */
+function getIDStrategies_() {
+  var stored = getStorage_().getProperties().getProperty(ID_STRATEGY_PROPERTY_);
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Function to return the prefix used by every sheet that has an ID strategy, is managed by the database (see SHEETS_CLEAN.js) or is
+ * a table of the spreadsheet given
+ *
+ * @param {object} strategies: the stored ID strategies (see getIDStrategies_)
+ * @param {string} spreadsheetID: the id of a spreadsheet whose tables (the sheets with an ID column) are included
+ * @return {object} returns a dictionary {"<spreadsheetID>/<sheetName>": prefix} - the first letter of the sheet name if no strategy was set
+ */
+function getIDPrefixes_(strategies, spreadsheetID) {
+  var prefixes = {};
+  listManagedSheets_().forEach(function (managed) {
+    prefixes[managed.spreadsheetID + "/" + managed.sheetName] = String(managed.sheetName).slice(0, 1);
+  });
+  try {
+    getStorage_().openSpreadsheet(spreadsheetID).getSheets().forEach(function (sheet) {
+      var isTable = sheet.getLastColumn() > 0 && sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].indexOf("ID") != -1;
+      if (isTable && !isLaterPartition_(spreadsheetID, sheet.getName())) {
+        prefixes[spreadsheetID + "/" + sheet.getName()] = sheet.getName().slice(0, 1);
+      }
+    });
+  } catch (err) {
+    Logger.log("Could not open the spreadsheet " + spreadsheetID + " to list the prefixes of its sheets: " + err);
+  }
+  Object.keys(strategies).forEach(function (key) { prefixes[key] = strategies[key].prefix; });
+  return prefixes;
+}
+
+/**
+ * Function to return the ID strategy of a sheet
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @return {object} returns the strategy {strategy, prefix, digits} - random IDs with the first letter of the sheet name if none was set
+ */
+function getIDStrategy_(sheet) {
+  return getIDStrategies_()[getSheetKey_(sheet)] || { strategy: "random", prefix: sheet.getName().slice(0, 1), digits: null };
+}
+
+// ------------------------------------------- NEW IDS ---------------------------------------------------
+
+/**
+ * Function to make the IDs of the new rows of a sheet, none of which is already in the sheet - the caller must hold the write lock on
+ * the sheet
+ *
+ * @param {object} sheet: the instance of the sheet the rows are about to be written to
+ * @param {integer} count: the number of IDs to make
+ * @return {object} returns a list of count IDs
+ *                  - throws a DatabaseError (INTERNAL) if free IDs could not be found
+ */
+function generateRowIDs_(sheet, count) {
+  if (count == 0) {
+    return [];
+  }
+  var config = getIDStrategy_(sheet);
+  var state = { counter: null, time: lastULID_.time, random: lastULID_.random };
+  if (config.strategy == "sequential") {
+    state.counter = getIDCounter_(sheet, config);
+  }
+  var ids = [];
+  var chosen = new Set();
+  for (var attempt = 0; ids.length < count; attempt++) {
+    if (attempt == ID_MAX_ATTEMPTS_) {
+      throw new DatabaseError("INTERNAL", "Could not make " + count + " unused IDs for " + sheet.getName() + " in " + ID_MAX_ATTEMPTS_ + " tries");
+    }
+    var candidates = [];
+    while (ids.length + candidates.length < count) {
+      candidates.push(newRowID_(config, state, new Date().getTime()));
+    }
+    // look the candidates up through the index on ID, and keep those that are not taken
+    var found = findRows_(sheet, "ID", candidates);
+    var idIndex = found.header.indexOf("ID");
+    var taken = new Set(found.rows.map(function (row) { return row.values[idIndex]; }));
+    candidates.forEach(function (id) {
+      if (!taken.has(id) && !chosen.has(id)) {
+        chosen.add(id);
+        ids.push(id);
+      } else {
+        Logger.log("The new ID " + id + " is already used in " + sheet.getName() + " so another one is being made");
+      }
+    });
+  }
+  lastULID_ = { time: state.time, random: state.random };
+  if (config.strategy == "sequential") {
+    getStorage_().getProperties().setProperty(ID_COUNTER_PROPERTY_ + getSheetKey_(sheet), String(state.counter));
+  }
+  return ids;
+}
+
+/**
+ * Function to check the IDs given with new rows, which must not be used by a valid row of the sheet or another new row of the call
+ *
+ * @param {object} sheet: the instance of the sheet the rows are about to be written to
+ * @param {object} rows: the list of new rows - the rows without an ID are given one when they are written
+ * @return {object} returns a list of errors [{row, field, message}] - empty if every ID is free
+ */
+function checkRowIDs_(sheet, rows) {
+  var errors = [];
+  var supplied = rows.map(function (row) { return row && row["ID"] ? row["ID"] : null; });
+  var candidates = supplied.filter(function (id) { return id != null; });
+  if (candidates.length == 0) {
+    return errors;
+  }
+  var found = findRows_(sheet, "ID", candidates);
+  var idIndex = found.header.indexOf("ID");
+  var validIndex = found.header.indexOf("Valid");
+  var taken = new Set(found.rows.filter(function (row) { return row.values[validIndex] === true; }).map(function (row) { return row.values[idIndex]; }));
+  var seen = {};
+  supplied.forEach(function (id, i) {
+    if (id == null) {
+      return;
+    }
+    if (taken.has(id)) {
+      errors.push({ row: i, field: "ID", message: "a row with the ID " + id + " already exists" });
+    } else if (seen[id] != null) {
+      errors.push({ row: i, field: "ID", message: "repeats the ID of row " + seen[id] });
+    } else {
+      seen[id] = i;
+    }
+  });
+  return errors;
+}
+
+/**
+ * Function to make one ID with a strategy
+ *
+ * @param {object} config: the strategy {strategy, prefix, digits}
+ * @param {object} state: {counter, time, random} - the last counter value and ulid made, changed in place
+ * @param {integer} time: the creation time in ms, used by ulid
+ * @return {string} returns the ID
+ */
+function newRowID_(config, state, time) {
+  if (config.strategy == "sequential") {
+    state.counter++;
+    var number = String(state.counter);
+    return config.prefix + "-" + (number.length < config.digits ? "0".repeat(config.digits - number.length) + number : number);
+  }
+  if (config.strategy == "ulid") {
+    return config.prefix + "-" + nextULID_(state, time);
+  }
+  return generateUniqueID_(config.prefix);
+}
+
+/**
+ * Function to make the body of a ulid
+ *
+ * @param {object} state: {time, random} - the time and random characters of the last ulid made, changed in place
+ * @param {integer} time: the creation time in ms
+ * @return {string} returns the 26 characters of the ulid
+ */
+function nextULID_(state, time) {
+  if (time == state.time) {
+    // count up from the last ulid made in the same ms so that the IDs still sort in the order they were made
+    for (var i = state.random.length - 1; i >= 0; i--) {
+      state.random[i] = (state.random[i] + 1) % ULID_ALPHABET_.length;
+      if (state.random[i] != 0) {
+        break;
+      }
+    }
+  } else {
+    state.time = time;
+    state.random = [];
+    for (var i = 0; i < 16; i++) {
+      state.random.push(Math.floor(Math.random() * ULID_ALPHABET_.length));
+    }
+  }
+  var timeChars = "";
+  for (var i = 0; i < 10; i++) {
+    timeChars = ULID_ALPHABET_.charAt(time % ULID_ALPHABET_.length) + timeChars;
+    time = Math.floor(time / ULID_ALPHABET_.length);
+  }
+  return timeChars + state.random.map(function (digit) { return ULID_ALPHABET_.charAt(digit); }).join("");
+}
+
+/**
+ * Function to read the counter of a sheet, starting it from the IDs already in the sheet if it is missing
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} config: the strategy of the sheet {strategy, prefix, digits}
+ * @return {integer} returns the last number used
+ */
+function getIDCounter_(sheet, config) {
+  var stored = getStorage_().getProperties().getProperty(ID_COUNTER_PROPERTY_ + getSheetKey_(sheet));
+  if (stored != null) {
+    return Number(stored);
+  }
+  var data = sheet.getDataRange().getValues();
+  var idIndex = data[0].indexOf("ID");
+  var pattern = new RegExp("^" + config.prefix + "-(\\d+)$");
+  var counter = 0;
+  for (var i = 1; idIndex != -1 && i < data.length; i++) {
+    var match = pattern.exec(String(data[i][idIndex]));
+    if (match) {
+      counter = Math.max(counter, Number(match[1]));
+    }
+  }
+  return counter;
+}
+
+// -------------------------------------------- REKEY ----------------------------------------------------
+
+/**
+ * Function to give every row of a sheet a new ID made with its ID strategy, and change the references to the rows in its child sheets
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {object} options: (optional) {dryRun: true to report the new IDs without writing them}
+ * @return {object} returns a report {dryRun, rows, ids: {oldID: newID}, references: [{relationship, spreadsheetID, sheetName, column, changed}]}
+ *                  - rows is the number of IDs changed, and changed the number of cells of a child sheet changed
+ *                  - returns null if the sheet does not exist or it could not be locked
+ */
+function rekeySheet(spreadsheetID, sheetName, options) {
+  options = options || {};
+  var dryRun = options.dryRun == true;
+  var sheet = getTableSheet_(getStorage_().openSpreadsheet(spreadsheetID), sheetName);
+  if (!sheet) {
+    Logger.log(sheetName + " does not exist so it could not be re-keyed");
+    return;
+  }
+  var key = getSheetKey_(sheet);
+  var relationships = getRelationships_().filter(function (relationship) {
+    return relationship.parentSpreadsheetID + "/" + relationship.parentSheetName == key && relationship.parentColumn == "ID";
+  });
+  // the sheet and every child sheet are written
+  var locks = [{ resource: key, mode: "write" }];
+  relationships.forEach(function (relationship) { addLock_(locks, relationship.childSpreadsheetID + "/" + relationship.childSheetName, "write"); });
+  var held;
+  try {
+    held = acquireLocks_(locks, null);
+  } catch (err) {
+    Logger.log("Re-keying " + sheetName + " timed out because the database was in use. This resulted in the following error: " + err.message);
+    return;
+  }
+  try {
+    var data = sheet.getDataRange().getValues();
+    var idIndex = data[0].indexOf("ID");
+    var createdIndex = data[0].indexOf("DateCreated");
+    var config = getIDStrategy_(sheet);
+    var state = { counter: 0, time: null, random: null };
+    var ids = {};
+    var chosen = new Set();
+    // the versions of a row share its ID, so each old ID is given a new one the first time it is seen
+    for (var i = 1; i < data.length; i++) {
+      var oldID = data[i][idIndex];
+      if (oldID === "" || Object.prototype.hasOwnProperty.call(ids, oldID)) {
+        continue;
+      }
+      var created = data[i][createdIndex] instanceof Date ? data[i][createdIndex].getTime() : new Date().getTime();
+      var newID = newRowID_(config, state, created);
+      while (chosen.has(newID)) {
+        newID = newRowID_(config, state, created);
+      }
+      chosen.add(newID);
+      ids[oldID] = newID;
+    }
+    var report = { dryRun: dryRun, rows: Object.keys(ids).length, ids: ids, references: [] };
+    if (!dryRun && data.length > 1) {
+      sheet.getRange(2, idIndex + 1, data.length - 1, 1).setValues(data.slice(1).map(function (row) {
+        return [row[idIndex] === "" ? "" : ids[row[idIndex]]];
+      }));
+      invalidateIndexes_(sheet);
+      refreshPartitionRanges_(sheet);
+      if (config.strategy == "sequential") {
+        getStorage_().getProperties().setProperty(ID_COUNTER_PROPERTY_ + key, String(state.counter));
+      }
+    }
+    relationships.forEach(function (relationship) {
+      report.references.push(rekeyReferences_(relationship, ids, dryRun));
+    });
+    Logger.log((dryRun ? "Would re-key " : "Re-keyed ") + report.rows + " rows of " + sheetName);
+    return report;
+  } finally {
+    releaseLocks_(held);
+  }
+}
+
+/**
+ * Function to change the references held by the child sheet of a relationship to the new IDs of the parent rows
+ *
+ * @param {object} relationship: the relationship dictionary (see registerRelationship)
+ * @param {object} ids: a dictionary {oldID: newID}
+ * @param {bool} dryRun: true to count the references without changing them
+ * @return {object} returns {relationship, spreadsheetID, sheetName, column, changed}
+ */
+function rekeyReferences_(relationship, ids, dryRun) {
+  var result = { relationship: relationship.name, spreadsheetID: relationship.childSpreadsheetID, sheetName: relationship.childSheetName, column: relationship.childColumn, changed: 0 };
+  var child = getTableSheet_(getStorage_().openSpreadsheet(relationship.childSpreadsheetID), relationship.childSheetName);
+  if (!child) {
+    Logger.log(relationship.childSheetName + " does not exist so its references could not be re-keyed");
+    return result;
+  }
+  var data = child.getDataRange().getValues();
+  var colIndex = data[0].indexOf(relationship.childColumn);
+  if (colIndex == -1 || data.length < 2) {
+    return result;
+  }
+  var column = data.slice(1).map(function (row) {
+    var value = row[colIndex];
+    if (value !== "" && Object.prototype.hasOwnProperty.call(ids, value)) {
+      result.changed++;
+      return [ids[value]];
+    }
+    return [value];
+  });
+  if (!dryRun && result.changed > 0) {
+    child.getRange(2, colIndex + 1, column.length, 1).setValues(column);
+    invalidateIndexes_(child);
+  }
+  return result;
+}
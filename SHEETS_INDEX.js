@@ -0,0 +1,432 @@
+/**
+ * This file contains the index subsystem, which lets read_, delete_ and undoDelete_ read and write only the rows they need
+ * instead of calling getDataRange() on the whole sheet.
+ *
+ * An index maps each value of a column to the (1-INDEXED) row numbers holding it, e.g. {"M-abc123": [2, 57]}. Every sheet has an index
+ * on ID, and secondary indexes can be added on other columns with createIndex. Indexes are kept in the script cache (split into chunks
+ * to stay under the cache's size limit) and rebuilt from a single column read whenever they are missing, expired or out of date.
+ *
+ * Keeping the indexes correct:
+ *   - create_ adds the rows it appends to every cached index of the sheet
+ *   - writes that change values in place (patch_, clearReferences_, a BATCH rollback, cleanDatabase) invalidate the sheet's indexes
+ *   - delete_ and undoDelete_ only change Valid (and DateModified), so they invalidate just the indexes on those columns
+ *   - an index is rebuilt if the sheet's last row no longer matches the one it was built for, or if a row it points to no longer
+ *     holds the indexed value (e.g. after a hand edit in the sheet)
+ * Cached indexes expire after 6 hours, the longest CacheService allows. The search index of a sheet (see SHEETS_SEARCH.js) is kept
+ * up to date in the same way.
+ */
+
+// Number of seconds a cached index lives for
+const INDEX_EXPIRATION_ = 21600;
+// Largest number of characters stored under one cache key (the limit is 100KB per value)
+const INDEX_CHUNK_SIZE_ = 90000;
+// Largest number of separate row ranges read or written in one call before falling back to a single larger range
+const INDEX_MAX_RANGES_ = 50;
+// Name of the script property that the secondary index configuration is stored under
+const INDEXES_PROPERTY_ = "indexedColumns";
+
+// ---------------------------------------- CONFIGURATION ------------------------------------------------
+
+/**
+ * Function to add a secondary index on a column of a sheet
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {string} columnName: the name of the column to index
+ * @return {object} returns the list of columns indexed for the sheet
+ */
+function createIndex(spreadsheetID, sheetName, columnName) {
+  return withScriptLock_(function () {
+    var configuration = getIndexConfiguration_();
+    var key = spreadsheetID + "/" + sheetName;
+    configuration[key] = configuration[key] || [];
+    if (configuration[key].indexOf(columnName) == -1) {
+      configuration[key].push(columnName);
+    }
+    getStorage_().getProperties().setProperty(INDEXES_PROPERTY_, JSON.stringify(configuration));
+    return ["ID"].concat(configuration[key]);
+  });
+}
+
+/**
+ * Function to remove a secondary index from a column of a sheet
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {string} columnName: the name of the indexed column
+ * @return {object} returns the list of columns still indexed for the sheet
+ */
+function dropIndex(spreadsheetID, sheetName, columnName) {
+  return withScriptLock_(function () {
+    var configuration = getIndexConfiguration_();
+    var key = spreadsheetID + "/" + sheetName;
+    configuration[key] = (configuration[key] || []).filter(function (column) { return column != columnName; });
+    getStorage_().getProperties().setProperty(INDEXES_PROPERTY_, JSON.stringify(configuration));
+    removeCachedValue_(getStorage_().getCache(), getIndexCacheKey_(key, columnName));
+    return ["ID"].concat(configuration[key]);
+  });
+}
+
+/**
+ * Function to throw away every cached index of a sheet so that the next lookup rebuilds them
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet
+ */
+function rebuildIndexes(spreadsheetID, sheetName) {
+  invalidateIndexes_(getTableSheet_(getStorage_().openSpreadsheet(spreadsheetID), sheetName));
+}
+
+/**
+ * Function to return the secondary index configuration
+ *
+ * @return {object} returns a dictionary {"<spreadsheetID>/<sheetName>": [columnNames]}
+ */
+function getIndexConfiguration_() {
+  var stored = getStorage_().getProperties().getProperty(INDEXES_PROPERTY_);
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Function to list the indexed columns of a sheet
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @return {object} returns a list of column names, starting with ID
+ */
+function getIndexedColumns_(sheet) {
+  return ["ID"].concat(getIndexConfiguration_()[getSheetKey_(sheet)] || []);
+}
+
+// -------------------------------------------- LOOKUP ---------------------------------------------------
+
+/**
+ * Function to find the rows of a sheet whose value in a column is in a list of values, using an index when one exists for the column
+ *
+ * @param {object} sheet: the instance of the sheet to search
+ * @param {string} columnName: the name of the column to compare values in
+ * @param {object} rowValues: the values to compare against - null or empty returns every row
+ * @return {object} returns a dictionary {header: list of field names, rows: [{rowNumber (1-INDEXED), values}]} in sheet order
+ *                  - rows is empty if columnName is not a column of the sheet
+ */
+function findRows_(sheet, columnName, rowValues) {
+  var rowValueSet = new Set(rowValues || []);
+  if (rowValueSet.size > 0) {
+    var indexed = lookupIndexedRows_(sheet, columnName, rowValueSet, true);
+    if (indexed) {
+      return indexed;
+    }
+    // a partitioned sheet only reads the partitions that can hold the values (see SHEETS_PARTITIONS.js)
+    if (sheet.findPartitionRows) {
+      return sheet.findPartitionRows(columnName, rowValueSet);
+    }
+  }
+  // there is no usable index so scan the whole sheet
+  var data = sheet.getDataRange().getValues();
+  var colIndex = getColIndex_(data, columnName);
+  var found = { header: data[0], rows: [] };
+  for (var i = 1; colIndex != -1 && i < data.length; i++) {
+    if (rowValueSet.size == 0 || rowValueSet.has(data[i][colIndex])) {
+      found.rows.push({ rowNumber: i + 1, values: data[i] });
+    }
+  }
+  return found;
+}
+
+/**
+ * Function to read only the rows that an index says hold the given values
+ *
+ * @param {object} sheet: the instance of the sheet to search
+ * @param {string} columnName: the name of the indexed column
+ * @param {object} rowValueSet: a set of the values to look up
+ * @param {bool} retry: true to rebuild the index and try again once if it turns out to be stale
+ * @return {object} returns a dictionary {header, rows: [{rowNumber, values}]}, or null if the column has no usable index
+ */
+function lookupIndexedRows_(sheet, columnName, rowValueSet, retry) {
+  var index = getIndex_(sheet, columnName);
+  if (!index) {
+    return null;
+  }
+  // collect the row numbers of every requested value
+  var keys = new Set();
+  var rowNumbers = [];
+  rowValueSet.forEach(function (value) {
+    keys.add(String(value));
+    (index.map[String(value)] || []).forEach(function (rowNumber) { rowNumbers.push(rowNumber); });
+  });
+  rowNumbers = Array.from(new Set(rowNumbers)).sort(function (a, b) { return a - b; });
+  var header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var colIndex = header.indexOf(columnName);
+  var rows = readRowNumbers_(sheet, rowNumbers, header.length);
+  if (!rows) {
+    return null;
+  }
+  // check that every row still holds the value the index says it does
+  var stale = rows.some(function (row) { return !keys.has(String(row.values[colIndex])); });
+  if (stale) {
+    invalidateIndexes_(sheet);
+    return retry ? lookupIndexedRows_(sheet, columnName, rowValueSet, false) : null;
+  }
+  return {
+    header: header,
+    rows: rows.filter(function (row) { return rowValueSet.has(row.values[colIndex]); })
+  };
+}
+
+/**
+ * Function to read a set of rows, grouping neighbouring rows into one range read
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} rowNumbers: a sorted list of (1-INDEXED) row numbers
+ * @param {integer} width: the number of columns to read
+ * @return {object} returns a list [{rowNumber, values}], or null if the rows are spread over too many ranges to read them one by one
+ */
+function readRowNumbers_(sheet, rowNumbers, width) {
+  var runs = groupRowNumbers_(rowNumbers);
+  if (runs.length > INDEX_MAX_RANGES_) {
+    return null;
+  }
+  var rows = [];
+  runs.forEach(function (run) {
+    var values = sheet.getRange(run[0], 1, run[1], width).getValues();
+    for (var i = 0; i < values.length; i++) {
+      rows.push({ rowNumber: run[0] + i, values: values[i] });
+    }
+  });
+  return rows;
+}
+
+/**
+ * Function to write some of the columns of a set of rows back to the sheet, grouping neighbouring rows into one range write
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} rows: a list of {rowNumber, values} in sheet order, as returned by findRows_
+ * @param {object} colIndexes: a list of the (0-INDEXED) columns that changed
+ */
+function writeRowCells_(sheet, rows, colIndexes) {
+  if (rows.length == 0) {
+    return;
+  }
+  var firstCol = Math.min.apply(null, colIndexes);
+  var width = Math.max.apply(null, colIndexes) - firstCol + 1;
+  var runs = groupRowNumbers_(rows.map(function (row) { return row.rowNumber; }));
+  var valuesByRow = {};
+  rows.forEach(function (row) { valuesByRow[row.rowNumber] = row.values; });
+  if (runs.length > INDEX_MAX_RANGES_) {
+    // too many separate ranges - read the block covering every row once, change it and write it back once
+    var firstRow = rows[0].rowNumber;
+    var block = sheet.getRange(firstRow, firstCol + 1, rows[rows.length - 1].rowNumber - firstRow + 1, width).getValues();
+    rows.forEach(function (row) {
+      block[row.rowNumber - firstRow] = row.values.slice(firstCol, firstCol + width);
+    });
+    sheet.getRange(firstRow, firstCol + 1, block.length, width).setValues(block);
+    return;
+  }
+  runs.forEach(function (run) {
+    var block = [];
+    for (var i = 0; i < run[1]; i++) {
+      block.push(valuesByRow[run[0] + i].slice(firstCol, firstCol + width));
+    }
+    sheet.getRange(run[0], firstCol + 1, run[1], width).setValues(block);
+  });
+}
+
+/**
+ * Function to group a sorted list of row numbers into runs of neighbouring rows
+ *
+ * @param {object} rowNumbers: a sorted list of row numbers
+ * @return {object} returns a list of [firstRowNumber, numberOfRows]
+ */
+function groupRowNumbers_(rowNumbers) {
+  var runs = [];
+  rowNumbers.forEach(function (rowNumber) {
+    var last = runs[runs.length - 1];
+    if (last && last[0] + last[1] == rowNumber) {
+      last[1] += 1;
+    } else {
+      runs.push([rowNumber, 1]);
+    }
+  });
+  return runs;
+}
+
+// ------------------------------------------ MAINTENANCE ------------------------------------------------
+
+/**
+ * Function to get the index of a column, building it if it is not cached or is out of date
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {string} columnName: the name of the column
+ * @return {object} returns a dictionary {lastRow, map: {value: [rowNumbers]}}, or null if the column is not indexed or does not exist
+ */
+function getIndex_(sheet, columnName) {
+  if (getIndexedColumns_(sheet).indexOf(columnName) == -1) {
+    return null;
+  }
+  var cache = getStorage_().getCache();
+  var cacheKey = getIndexCacheKey_(getSheetKey_(sheet), columnName);
+  var lastRow = sheet.getLastRow();
+  var cached = getCachedValue_(cache, cacheKey);
+  if (cached) {
+    var index = JSON.parse(cached);
+    if (index.lastRow == lastRow) {
+      return index;
+    }
+  }
+  // build the index from a single read of the column
+  var header = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0];
+  var colIndex = header.indexOf(columnName);
+  if (colIndex == -1) {
+    return null;
+  }
+  var index = { lastRow: lastRow, map: {} };
+  var values = lastRow > 1 ? sheet.getRange(2, colIndex + 1, lastRow - 1, 1).getValues() : [];
+  for (var i = 0; i < values.length; i++) {
+    addToIndex_(index, values[i][0], i + 2);
+  }
+  putCachedValue_(cache, cacheKey, JSON.stringify(index));
+  return index;
+}
+
+/**
+ * Function to add rows that were just appended to the bottom of a sheet to every cached index of the sheet
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {integer} firstRowNumber: the (1-INDEXED) row number of the first appended row
+ * @param {object} header: the list of field names of the sheet (after any new columns were added)
+ * @param {object} newRows: the list of appended rows (arrays of values in the order of header)
+ */
+function appendToIndexes_(sheet, firstRowNumber, header, newRows) {
+  var cache = getStorage_().getCache();
+  var sheetKey = getSheetKey_(sheet);
+  getIndexedColumns_(sheet).forEach(function (columnName) {
+    var cacheKey = getIndexCacheKey_(sheetKey, columnName);
+    var cached = getCachedValue_(cache, cacheKey);
+    if (!cached) {
+      return;
+    }
+    var index = JSON.parse(cached);
+    var colIndex = header.indexOf(columnName);
+    // an index that did not end just above the new rows is out of date, so leave it to be rebuilt
+    if (index.lastRow != firstRowNumber - 1 || colIndex == -1) {
+      removeCachedValue_(cache, cacheKey);
+      return;
+    }
+    for (var i = 0; i < newRows.length; i++) {
+      addToIndex_(index, newRows[i][colIndex], firstRowNumber + i);
+    }
+    index.lastRow = firstRowNumber + newRows.length - 1;
+    putCachedValue_(cache, cacheKey, JSON.stringify(index));
+  });
+  appendToSearchIndex_(sheet, firstRowNumber, header, newRows);
+}
+
+/**
+ * Function to throw away the cached indexes of a sheet - to be called by any write that changes values in place
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} columnNames: (optional) the columns that changed - only the indexes (and search index) using them are thrown away.
+ *                              Every index of the sheet is thrown away if missing
+ */
+function invalidateIndexes_(sheet, columnNames) {
+  var cache = getStorage_().getCache();
+  var sheetKey = getSheetKey_(sheet);
+  var changed = function (columnName) { return !columnNames || columnNames.indexOf(columnName) != -1; };
+  getIndexedColumns_(sheet).filter(changed).forEach(function (columnName) {
+    removeCachedValue_(cache, getIndexCacheKey_(sheetKey, columnName));
+  });
+  var searched = getSearchConfiguration_()[sheetKey];
+  if (!columnNames || (searched && Object.keys(searched).some(changed))) {
+    removeCachedValue_(cache, getSearchCacheKey_(sheetKey));
+  }
+}
+
+/**
+ * Function to add one row to an index
+ *
+ * @param {object} index: the index dictionary {lastRow, map}
+ * @param {object} value: the value of the indexed column in the row
+ * @param {integer} rowNumber: the (1-INDEXED) row number
+ */
+function addToIndex_(index, value, rowNumber) {
+  if (value === "" || value == null) {
+    return;
+  }
+  var key = String(value);
+  // use hasOwnProperty so that values such as "constructor" are indexed like any other
+  if (!Object.prototype.hasOwnProperty.call(index.map, key)) {
+    index.map[key] = [];
+  }
+  index.map[key].push(rowNumber);
+}
+
+// --------------------------------------------- CACHE ---------------------------------------------------
+
+/**
+ * Function to build the cache key of an index
+ *
+ * @param {string} sheetKey: the key of the sheet from getSheetKey_
+ * @param {string} columnName: the name of the indexed column
+ * @return {string} returns the cache key
+ */
+function getIndexCacheKey_(sheetKey, columnName) {
+  return "index:" + sheetKey + ":" + columnName;
+}
+
+/**
+ * Function to store a string in the cache, split into chunks if it is too long for one cache value
+ *
+ * @param {object} cache: the cache to use
+ * @param {string} key: the key to store the value under
+ * @param {string} value: the value to store
+ */
+function putCachedValue_(cache, key, value) {
+  var chunks = {};
+  var count = Math.ceil(value.length / INDEX_CHUNK_SIZE_);
+  for (var i = 0; i < count; i++) {
+    chunks[key + ":" + i] = value.substring(i * INDEX_CHUNK_SIZE_, (i + 1) * INDEX_CHUNK_SIZE_);
+  }
+  chunks[key] = String(count);
+  cache.putAll(chunks, INDEX_EXPIRATION_);
+}
+
+/**
+ * Function to read a string stored with putCachedValue_
+ *
+ * @param {object} cache: the cache to use
+ * @param {string} key: the key the value is stored under
+ * @return {string} returns the value, or null if it is missing (or any of its chunks has been evicted)
+ */
+function getCachedValue_(cache, key) {
+  var count = cache.get(key);
+  if (count == null) {
+    return null;
+  }
+  var keys = [];
+  for (var i = 0; i < Number(count); i++) {
+    keys.push(key + ":" + i);
+  }
+  var chunks = cache.getAll(keys);
+  var value = "";
+  for (var i = 0; i < keys.length; i++) {
+    if (chunks[keys[i]] == null) {
+      return null;
+    }
+    value += chunks[keys[i]];
+  }
+  return value;
+}
+
+/**
+ * Function to remove a string stored with putCachedValue_
+ *
+ * @param {object} cache: the cache to use
+ * @param {string} key: the key the value is stored under
+ */
+function removeCachedValue_(cache, key) {
+  var count = Number(cache.get(key) || 0);
+  var keys = [key];
+  for (var i = 0; i < count; i++) {
+    keys.push(key + ":" + i);
+  }
+  cache.removeAll(keys);
+}
@@ -0,0 +1,431 @@
+/**
+ * This file contains the lock manager, which lets calls to accessDatabase that touch different sheets run at the same time instead of
+ * queueing on one script lock.
+ *
+ * A call takes a lease on each resource it needs before it runs, and gives them back when it ends. A resource is the whole database
+ * ("*"), a spreadsheet ("<spreadsheetID>") or a sheet ("<spreadsheetID>/<sheetName>"), and each lease is for reading or writing:
+ *   - any number of calls can read the same resource at once, but a write lease needs the resource to itself
+ *   - a lease on a spreadsheet covers each of its sheets, and a lease on "*" covers everything
+ *   - READ, QUERY, AGGREGATE, SEARCH, HISTORY, EXPORT and SNAPSHOT read the sheet, and the sheets a READ or QUERY expands into
+ *     through relationships (see SHEETS_RELATIONSHIPS.js), CREATE_SHEET writes the spreadsheet, DELETE and UNDO_DELETE write every sheet connected to the sheet
+ *     through relationships, the other operations write the sheet and read its parent sheets, and BATCH takes the leases of all of its
+ *     operations at once
+ *   - migrateSheet writes the spreadsheet of the sheet and cleanDatabase writes "*"
+ * Every lease a call needs is taken in one go or not at all, so two calls can never each hold a lease the other is waiting for. The
+ * leases are kept in the "locks" script property (or in the script cache), which is only ever changed while holding the script lock
+ * for a moment - as is every other script property that calls holding leases on different sheets can change at once, such as the
+ * partitions, relationships, indexes and ID strategies (see withScriptLock_). A lease expires after leaseMillis even if it was never
+ * given back, so a call that crashed cannot block the database for good - the default of 6 minutes is the longest an Apps Script
+ * execution can run. The leases of the current execution never block each other, so code already holding a lease can still call
+ * accessDatabase.
+ *
+ * A call that finds a resource taken tries again after retryDelayMillis, doubling the wait (with some jitter) up to maxRetryDelayMillis,
+ * until timeoutMillis has passed. It then fails with LOCK_TIMEOUT (see SHEETS_ERRORS.js), whose details are {resources, holders,
+ * waitedMillis, attempts} - holders lists the leases {resource, mode, user, expires} that were in the way. The options are:
+ *   {timeoutMillis: 30000, leaseMillis: 360000, retryDelayMillis: 100, maxRetryDelayMillis: 5000, store: "properties" or "cache"}
+ * configureLocks(options) changes the defaults of every call, and a single call can pass its own as accessDatabase(..., {lock: options}).
+ * Only use the "cache" store with the Google Sheets adapter, as the cache of the CSV directory adapter is not shared between processes.
+ */
+
+// Name of the script property (or cache key) that the leases are stored under
+const LOCK_PROPERTY_ = "locks";
+// Name of the script property that the options set by configureLocks are stored under
+const LOCK_OPTIONS_PROPERTY_ = "lockOptions";
+// The options used when neither configureLocks nor the call sets them
+const LOCK_DEFAULTS_ = { timeoutMillis: 30000, leaseMillis: 360000, retryDelayMillis: 100, maxRetryDelayMillis: 5000, store: "properties" };
+// List of the places the leases can be stored
+const LOCK_STORES_ = ["properties", "cache"];
+// Number of ms to wait for the script lock while changing the leases
+const LOCK_TABLE_TIMEOUT_ = 10000;
+// Longest time in seconds a value can be kept in the script cache
+const LOCK_CACHE_EXPIRATION_ = 21600;
+
+// The id of the current execution, given to each of its leases (null until it takes its first lease)
+var lockExecutionID_ = null;
+
+// ---------------------------------------- CONFIGURATION ------------------------------------------------
+
+/**
+ * Function to change the lock options used by every call
+ *
+ * @param {object} options: {timeoutMillis, leaseMillis, retryDelayMillis, maxRetryDelayMillis, store} - the options left out keep their
+ *                          current value, and null puts an option back to its default
+ * @return {object} returns the lock options now in use, or null if an option is invalid
+ */
+function configureLocks(options) {
+  var optionsError = validateLockOptions_(options);
+  if (optionsError) {
+    Logger.log("The lock options are invalid: " + optionsError);
+    return;
+  }
+  withScriptLock_(function () {
+    var properties = getStorage_().getProperties();
+    var stored = JSON.parse(properties.getProperty(LOCK_OPTIONS_PROPERTY_) || "{}");
+    Object.keys(options).forEach(function (name) {
+      if (options[name] == null) {
+        delete stored[name];
+      } else {
+        stored[name] = options[name];
+      }
+    });
+    properties.setProperty(LOCK_OPTIONS_PROPERTY_, JSON.stringify(stored));
+  });
+  return getLockOptions_(null);
+}
+
+/**
+ * Function to list the leases currently held
+ *
+ * @return {object} returns a list of the leases {resource, mode, user, expires} that have not expired
+ */
+function listLocks() {
+  var options = getLockOptions_(null);
+  return loadLeases_(options).map(describeLease_);
+}
+
+/**
+ * Function to check a dictionary of lock options
+ *
+ * @param {object} options: the lock options to check
+ * @return {string} returns a description of the first problem found, or null if the options are valid
+ */
+function validateLockOptions_(options) {
+  if (options == null || typeof options != "object") {
+    return "the lock options must be a dictionary";
+  }
+  var names = Object.keys(options);
+  for (var i = 0; i < names.length; i++) {
+    var value = options[names[i]];
+    if (!Object.prototype.hasOwnProperty.call(LOCK_DEFAULTS_, names[i])) {
+      return names[i] + " is not a lock option - use one of " + Object.keys(LOCK_DEFAULTS_).join(", ");
+    }
+    if (value == null) {
+      continue;
+    }
+    if (names[i] == "store" && LOCK_STORES_.indexOf(value) == -1) {
+      return value + " is not a lock store - use one of " + LOCK_STORES_.join(", ");
+    }
+    if (names[i] != "store" && !(typeof value == "number" && value >= 0)) {
+      return names[i] + " must be a non-negative number of ms";
+    }
+  }
+  return null;
+}
+
+/**
+ * Function to work out the lock options of a call
+ *
+ * @param {object} overrides: (optional) the lock options passed to the call
+ * @return {object} returns the defaults, overridden by the options set by configureLocks and then by those of the call
+ */
+function getLockOptions_(overrides) {
+  var options = Object.assign({}, LOCK_DEFAULTS_, JSON.parse(getStorage_().getProperties().getProperty(LOCK_OPTIONS_PROPERTY_) || "{}"));
+  Object.keys(overrides || {}).forEach(function (name) {
+    if (overrides[name] != null) {
+      options[name] = overrides[name];
+    }
+  });
+  return options;
+}
+
+// --------------------------------------------- LOCKS ---------------------------------------------------
+
+/**
+ * Function to take the leases an accessDatabase call needs, reporting a failure if they could not be taken
+ *
+ * @param {string} functionName: the name of the function being called
+ * @param {string} spreadsheetID: the id of the spreadsheet the call accesses
+ * @param {string} sheetName: the name of the sheet the call accesses
+ * @param {object} parameters: the list of input parameters of the call
+ * @param {object} options: (optional) the options of the call - {lock: lock options} overrides the lock options
+ * @return {object} returns the held locks to give to releaseLocks_
+ *                  - returns null if the lock options are invalid or the leases could not be taken in time (see getLastError())
+ */
+function lockOperation_(functionName, spreadsheetID, sheetName, parameters, options) {
+  var overrides = options && options.lock;
+  var optionsError = overrides ? validateLockOptions_(overrides) : null;
+  if (optionsError) {
+    fail_("INVALID_INPUT", "The call to " + functionName + " has invalid lock options: " + optionsError);
+    return;
+  }
+  try {
+    return acquireLocks_(getOperationLocks_(functionName, spreadsheetID, sheetName, parameters), overrides);
+  } catch (err) {
+    if (!(err instanceof LockTimeoutError)) {
+      throw err;
+    }
+    fail_("LOCK_TIMEOUT", "The call to " + functionName + " timed out because the resource was in use. This resulted in the following error: " + err.message, err.details);
+    return;
+  }
+}
+
+/**
+ * Function to take a set of leases, waiting with backoff while any of them is held by another execution
+ *
+ * @param {object} locks: a list of the leases to take {resource, mode: "read" or "write"}
+ * @param {object} overrides: (optional) lock options for this call
+ * @return {object} returns the held locks {token, locks, options} to give to releaseLocks_
+ *                  - throws a LockTimeoutError if the leases could not all be taken within timeoutMillis
+ */
+function acquireLocks_(locks, overrides) {
+  var options = getLockOptions_(overrides);
+  if (!lockExecutionID_) {
+    lockExecutionID_ = Utilities.getUuid();
+  }
+  var held = { token: Utilities.getUuid(), locks: locks, options: options };
+  var started = new Date().getTime();
+  var delay = options.retryDelayMillis;
+  var attempts = 0;
+  var holders;
+  while (true) {
+    attempts++;
+    try {
+      holders = updateLeases_(options, function (leases) {
+        var blocking = leases.filter(function (lease) {
+          return lease.execution != lockExecutionID_ && locks.some(function (lock) { return locksConflict_(lock, lease); });
+        });
+        if (blocking.length == 0) {
+          var expires = new Date().getTime() + options.leaseMillis;
+          locks.forEach(function (lock) {
+            leases.push({ token: held.token, execution: lockExecutionID_, resource: lock.resource, mode: lock.mode, user: getUserEmail_(), expires: expires });
+          });
+        }
+        return blocking;
+      });
+    } catch (err) {
+      // the script lock was busy for too long - this counts as a failed try
+      Logger.log("Could not read the leases: " + err);
+      holders = null;
+    }
+    if (holders && holders.length == 0) {
+      return held;
+    }
+    var waited = new Date().getTime() - started;
+    if (waited + delay > options.timeoutMillis) {
+      throw new LockTimeoutError("the leases on " + locks.map(function (lock) { return lock.resource; }).join(", ") + " could not be taken within " +
+        options.timeoutMillis + " ms", { resources: locks, holders: (holders || []).map(describeLease_), waitedMillis: waited, attempts: attempts });
+    }
+    // wait between half and all of the delay, so that calls that collided do not try again at the same moment
+    Utilities.sleep(Math.round(delay / 2 + Math.random() * delay / 2));
+    delay = Math.min(delay * 2, options.maxRetryDelayMillis);
+  }
+}
+
+/**
+ * Function to give back the leases taken by acquireLocks_ - a lease that cannot be given back is left to expire
+ *
+ * @param {object} held: the held locks returned by acquireLocks_ (nothing is done for null)
+ */
+function releaseLocks_(held) {
+  if (!held) {
+    return;
+  }
+  try {
+    updateLeases_(held.options, function (leases) {
+      for (var i = leases.length - 1; i >= 0; i--) {
+        if (leases[i].token == held.token) {
+          leases.splice(i, 1);
+        }
+      }
+    });
+  } catch (err) {
+    Logger.log("Could not give back the leases on " + held.locks.map(function (lock) { return lock.resource; }).join(", ") +
+      ", which will expire on their own: " + err);
+  }
+}
+
+/**
+ * Function to list the leases an accessDatabase call needs (see the top of this file)
+ *
+ * @param {string} functionName: the name of the function being called
+ * @param {string} spreadsheetID: the id of the spreadsheet the call accesses
+ * @param {string} sheetName: the name of the sheet the call accesses
+ * @param {object} parameters: the list of input parameters of the call
+ * @return {object} returns a list of {resource, mode}, with one entry per resource
+ */
+function getOperationLocks_(functionName, spreadsheetID, sheetName, parameters) {
+  var locks = [];
+  if (functionName == "BATCH") {
+    var operations = parameters && Array.isArray(parameters[0]) ? parameters[0] : [];
+    operations.forEach(function (operation) {
+      if (operation) {
+        getOperationLocks_(operation.functionName, operation.spreadsheetID, operation.sheetName, operation.parameters).forEach(function (lock) {
+          addLock_(locks, lock.resource, lock.mode);
+        });
+      }
+    });
+    return locks;
+  }
+  if (functionName == "CREATE_SHEET") {
+    addLock_(locks, String(spreadsheetID), "write");
+    return locks;
+  }
+  // a snapshot only reads the sheet it copies (see SHEETS_SNAPSHOTS.js)
+  var reading = ACCESS_OPERATIONS_[functionName] == "READ" || functionName == "SNAPSHOT";
+  var relationships = getRelationships_();
+  addLock_(locks, spreadsheetID + "/" + sheetName, reading ? "read" : "write");
+  if (functionName == "DELETE" || functionName == "UNDO_DELETE") {
+    // a cascade can reach every sheet connected through relationships, as in getAffectedSheets_
+    for (var i = 0; i < locks.length; i++) {
+      getRelatedSheetKeys_(relationships, locks[i].resource, true, true).forEach(function (key) { addLock_(locks, key, "write"); });
+    }
+    return locks;
+  }
+  // a write reads the parent sheets to check its references, and an expanded read reads the sheets on both sides
+  var query = parameters && parameters[0] != null && typeof parameters[0] == "object" ? parameters[0] : {};
+  var expands = reading && ((query.expand && query.expand.length > 0) || (parameters && parameters[2] && parameters[2].length > 0));
+  if (!reading || expands) {
+    getRelatedSheetKeys_(relationships, locks[0].resource, true, expands).forEach(function (key) { addLock_(locks, key, "read"); });
+  }
+  return locks;
+}
+
+/**
+ * Function to run a change to the leases while holding the script lock
+ *
+ * @param {object} options: the lock options, which say where the leases are stored
+ * @param {function} change: called with the list of leases that have not expired, which it changes in place - its return value is passed on
+ * @return {object} returns what change returned
+ */
+function updateLeases_(options, change) {
+  var lock = getStorage_().getLock();
+  lock.waitLock(LOCK_TABLE_TIMEOUT_);
+  try {
+    var leases = loadLeases_(options);
+    var count = leases.length;
+    var result = change(leases);
+    if (leases.length != count || leases.removed) {
+      saveLeases_(options, leases);
+    }
+    return result;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Function to run code while holding the script lock - used to read, change and write back a script property that calls holding
+ * leases on different sheets can change at the same time (e.g. the partitions or the relationships)
+ *
+ * @param {function} callback: the code to run
+ * @return {object} returns what callback returned
+ */
+function withScriptLock_(callback) {
+  var lock = getStorage_().getLock();
+  lock.waitLock(LOCK_TABLE_TIMEOUT_);
+  try {
+    return callback();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ----------------------------------------- LOCK HELPERS ------------------------------------------------
+
+/**
+ * Function to read the leases that have not expired
+ *
+ * @param {object} options: the lock options, which say where the leases are stored
+ * @return {object} returns the list of leases {token, execution, resource, mode, user, expires} - removed is set on the list if
+ *                  expired leases were left out
+ */
+function loadLeases_(options) {
+  var stored = options.store == "cache" ? getStorage_().getCache().get(LOCK_PROPERTY_) : getStorage_().getProperties().getProperty(LOCK_PROPERTY_);
+  var all = stored ? JSON.parse(stored) : [];
+  var now = new Date().getTime();
+  var leases = all.filter(function (lease) { return lease.expires > now; });
+  leases.removed = leases.length != all.length;
+  return leases;
+}
+
+/**
+ * Function to write the leases back to where they are stored
+ *
+ * @param {object} options: the lock options, which say where the leases are stored
+ * @param {object} leases: the list of leases
+ */
+function saveLeases_(options, leases) {
+  var stored = JSON.stringify(leases);
+  if (options.store == "cache") {
+    var cache = getStorage_().getCache();
+    if (leases.length > 0) {
+      cache.put(LOCK_PROPERTY_, stored, Math.min(LOCK_CACHE_EXPIRATION_, Math.ceil(options.leaseMillis / 1000)));
+    } else {
+      cache.remove(LOCK_PROPERTY_);
+    }
+    return;
+  }
+  var properties = getStorage_().getProperties();
+  if (leases.length > 0) {
+    properties.setProperty(LOCK_PROPERTY_, stored);
+  } else {
+    properties.deleteProperty(LOCK_PROPERTY_);
+  }
+}
+
+/**
+ * Function to add a lease to a list, keeping one entry per resource (a write covers a read)
+ *
+ * @param {object} locks: the list of {resource, mode} to add to
+ * @param {string} resource: the resource to lock
+ * @param {string} mode: "read" or "write"
+ */
+function addLock_(locks, resource, mode) {
+  var existing = locks.filter(function (lock) { return lock.resource == resource; })[0];
+  if (!existing) {
+    locks.push({ resource: resource, mode: mode });
+  } else if (mode == "write") {
+    existing.mode = "write";
+  }
+}
+
+/**
+ * Function to check whether a lease stops another one from being taken
+ *
+ * @param {object} a: a lease {resource, mode}
+ * @param {object} b: another lease {resource, mode}
+ * @return {bool} returns true if the resources overlap and at least one of the leases is for writing
+ */
+function locksConflict_(a, b) {
+  if (a.mode != "write" && b.mode != "write") {
+    return false;
+  }
+  var x = a.resource;
+  var y = b.resource;
+  // a spreadsheet id never holds "/", so a resource without one is "*" or a whole spreadsheet
+  return x == y || x == "*" || y == "*" || (x.indexOf("/") == -1 && y.indexOf(x + "/") == 0) || (y.indexOf("/") == -1 && x.indexOf(y + "/") == 0);
+}
+
+/**
+ * Function to list the sheets directly connected to a sheet through relationships
+ *
+ * @param {object} relationships: the list of relationship dictionaries
+ * @param {string} key: the "<spreadsheetID>/<sheetName>" of the sheet
+ * @param {bool} parents: true to include the parent sheets of the sheet
+ * @param {bool} children: true to include the child sheets of the sheet
+ * @return {object} returns a list of "<spreadsheetID>/<sheetName>" keys
+ */
+function getRelatedSheetKeys_(relationships, key, parents, children) {
+  var keys = [];
+  relationships.forEach(function (relationship) {
+    var parentKey = relationship.parentSpreadsheetID + "/" + relationship.parentSheetName;
+    var childKey = relationship.childSpreadsheetID + "/" + relationship.childSheetName;
+    if (parents && childKey == key) {
+      keys.push(parentKey);
+    }
+    if (children && parentKey == key) {
+      keys.push(childKey);
+    }
+  });
+  return keys;
+}
+
+/**
+ * Function to describe a lease to a caller
+ *
+ * @param {object} lease: the stored lease
+ * @return {object} returns {resource, mode, user, expires} with expires as a Date
+ */
+function describeLease_(lease) {
+  return { resource: lease.resource, mode: lease.mode, user: lease.user, expires: new Date(lease.expires) };
+}
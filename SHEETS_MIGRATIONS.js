@@ -0,0 +1,449 @@
+/**
+ * This file contains the migration runner, which changes the shape of a sheet through ordered, versioned steps instead of hand edits.
+ *
+ * A migration is a dictionary {version, description, steps}, and migrateSheet applies, in order, every migration whose version is
+ * higher than the version the sheet is at. For example:
+ *   migrateSheet(taskSSID, "Task", [
+ *     {version: 1, description: "Add a status", steps: [{op: "addColumn", column: "Status", default: "Open"}]},
+ *     {version: 2, description: "Tidy up", steps: [
+ *       {op: "renameColumn", from: "Due", to: "DueDate"},
+ *       {op: "changeType", column: "Budget", type: "number"},
+ *       {op: "dropColumn", column: "OldNotes"},
+ *       {op: "backfill", column: "Owner", fn: function (row) { return row["CreatedBy"]; }}
+ *     ]}
+ *   ]);
+ *
+ * The version of each sheet is recorded in a hidden "_Migrations" sheet in the same spreadsheet (one row per migration applied).
+ * Every step checks the sheet before it changes anything, so running a step again does nothing (e.g. a rename whose old column is gone
+ * and whose new column exists is skipped, and backfill only fills empty cells unless overwrite is true). If a step fails, the version of
+ * its migration is not recorded and the whole migration can be run again once the problem is fixed. A schema, secondary indexes, search
+ * index and relationships that name a renamed, dropped or retyped column are kept up to date. The rows are changed directly, so the audit log
+ * does not record migrations.
+ */
+
+// Name of the hidden sheet that applied migrations are recorded in
+const MIGRATION_SHEET_NAME_ = "_Migrations";
+// Columns of the migration sheet
+const MIGRATION_COLUMNS_ = ["SheetName", "Version", "Description", "DateApplied", "AppliedBy"];
+// List of the valid migration steps
+const MIGRATION_STEPS_ = ["addColumn", "renameColumn", "dropColumn", "changeType", "backfill"];
+
+// ------------------------------------------- MIGRATE ---------------------------------------------------
+
+/**
+ * Function to bring a sheet up to the latest version of a list of migrations
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet to migrate
+ * @param {object} migrations: a list of migration dictionaries {version, description, steps} (see the top of this file)
+ * @param {object} options: (optional) {dryRun: true to report the changes without making them, toVersion: the version to stop at}
+ * @return {object} returns a report {dryRun, fromVersion, toVersion, applied: [{version, description, steps: [{op, column, changed, message}]}]}
+ *                  - if a step fails the report also holds error: {version, step, message} and toVersion is the last version completed
+ *                  - returns null if the migrations are badly formed, the sheet does not exist or the lock could not be taken
+ */
+function migrateSheet(spreadsheetID, sheetName, migrations, options) {
+  options = options || {};
+  var migrationError = validateMigrations_(migrations);
+  if (migrationError) {
+    Logger.log("The migrations for " + sheetName + " are invalid: " + migrationError);
+    return;
+  }
+  var spreadsheet = getStorage_().openSpreadsheet(spreadsheetID);
+  var sheet = getTableSheet_(spreadsheet, sheetName);
+  if (!sheet) {
+    Logger.log(sheetName + " does not exist so it could not be migrated");
+    return;
+  }
+  // a migration can change the relationships and indexes of the sheet, so the whole spreadsheet is locked
+  var locks;
+  try {
+    locks = acquireLocks_([{ resource: spreadsheetID, mode: "write" }], null);
+  } catch (err) {
+    Logger.log("The migration of " + sheetName + " timed out because the database was in use. This resulted in the following error: " + err.message);
+    return;
+  }
+  try {
+    var currentVersion = getMigrationVersion_(spreadsheet, sheetName);
+    var report = { dryRun: options.dryRun == true, fromVersion: currentVersion, toVersion: currentVersion, applied: [] };
+    var pending = migrations.filter(function (migration) {
+      return migration.version > currentVersion && (options.toVersion == null || migration.version <= options.toVersion);
+    }).sort(function (a, b) { return a.version - b.version; });
+    // the steps work on a copy of the sheet's values, and write each change to the sheet unless this is a dry run
+    var data = sheet.getDataRange().getValues();
+    for (var i = 0; i < pending.length; i++) {
+      var applied = { version: pending[i].version, description: pending[i].description || "", steps: [] };
+      for (var j = 0; j < pending[i].steps.length; j++) {
+        var step = pending[i].steps[j];
+        var result = runMigrationStep_(sheet, data, step, report.dryRun);
+        if (result.error) {
+          Logger.log("Step " + j + " of migration " + pending[i].version + " on " + sheetName + " failed: " + result.error);
+          report.error = { version: pending[i].version, step: j, message: result.error };
+          report.applied.push(applied);
+          return report;
+        }
+        applied.steps.push({ op: step.op, column: step.column || step.to, changed: result.changed, message: result.message });
+      }
+      if (!report.dryRun) {
+        recordMigration_(spreadsheet, sheetName, pending[i]);
+      }
+      report.applied.push(applied);
+      report.toVersion = pending[i].version;
+    }
+    return report;
+  } finally {
+    if (!options.dryRun) {
+      invalidateIndexes_(sheet);
+    }
+    releaseLocks_(locks);
+  }
+}
+
+/**
+ * Function to return the version a sheet has been migrated to
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet
+ * @return {integer} returns the highest version applied to the sheet, or 0 if it has never been migrated
+ */
+function getSheetVersion(spreadsheetID, sheetName) {
+  return getMigrationVersion_(getStorage_().openSpreadsheet(spreadsheetID), sheetName);
+}
+
+// ------------------------------------------- STEPS -----------------------------------------------------
+
+/**
+ * Function to run one step of a migration
+ *
+ * @param {object} sheet: the instance of the sheet being migrated
+ * @param {object} data: the 2D array of the sheet's values - changed in place to match the sheet after the step
+ * @param {object} step: the step dictionary {op, ...}
+ * @param {bool} dryRun: true to only change data and leave the sheet alone
+ * @return {object} returns a dictionary {changed: the number of cells (or columns) changed, message} or {error: a description of the problem}
+ */
+function runMigrationStep_(sheet, data, step, dryRun) {
+  var header = data[0];
+  switch (step.op) {
+    case "addColumn":
+      if (header.indexOf(step.column) != -1) {
+        return { changed: 0, message: step.column + " already exists" };
+      }
+      addMigrationColumn_(sheet, data, step.column, step.default == null ? "" : step.default, dryRun);
+      return { changed: 1, message: "added " + step.column };
+    case "renameColumn":
+      var from = header.indexOf(step.from);
+      if (from == -1) {
+        return header.indexOf(step.to) != -1 ? { changed: 0, message: step.from + " has already been renamed" } : { error: step.from + " does not exist" };
+      }
+      if (header.indexOf(step.to) != -1) {
+        return { error: "both " + step.from + " and " + step.to + " exist" };
+      }
+      header[from] = step.to;
+      if (!dryRun) {
+        sheet.getRange(1, from + 1).setValue(step.to);
+        renameColumnReferences_(sheet, step.from, step.to);
+      }
+      return { changed: 1, message: "renamed " + step.from + " to " + step.to };
+    case "dropColumn":
+      var colIndex = header.indexOf(step.column);
+      if (colIndex == -1) {
+        return { changed: 0, message: step.column + " has already been dropped" };
+      }
+      var relationship = findColumnRelationship_(sheet, step.column);
+      if (relationship) {
+        return { error: step.column + " is used by the relationship " + relationship.name };
+      }
+      data.forEach(function (row) { row.splice(colIndex, 1); });
+      if (!dryRun) {
+        sheet.deleteColumn(colIndex + 1);
+        renameColumnReferences_(sheet, step.column, null);
+      }
+      return { changed: 1, message: "dropped " + step.column };
+    case "changeType":
+      return changeColumnType_(sheet, data, step, dryRun);
+    case "backfill":
+      if (header.indexOf(step.column) == -1) {
+        addMigrationColumn_(sheet, data, step.column, "", dryRun);
+      }
+      return backfillColumn_(sheet, data, step, dryRun);
+  }
+  return { error: step.op + " is not a migration step" };
+}
+
+/**
+ * Function to add a column to the end of a sheet, filling every row with a default value
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} data: the 2D array of the sheet's values - changed in place
+ * @param {string} column: the name of the new column
+ * @param {object} defaultValue: the value every row gets
+ * @param {bool} dryRun: true to only change data
+ */
+function addMigrationColumn_(sheet, data, column, defaultValue, dryRun) {
+  var values = data.map(function (row, i) { return [i == 0 ? column : defaultValue]; });
+  data.forEach(function (row, i) { row.push(values[i][0]); });
+  if (!dryRun) {
+    var width = data[0].length - 1;
+    sheet.insertColumnsAfter(width, 1);
+    sheet.getRange(1, width + 1, values.length, 1).setValues(values);
+  }
+}
+
+/**
+ * Function to convert every value of a column to a new type (rows that cannot be converted stop the step before anything is written)
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} data: the 2D array of the sheet's values - changed in place
+ * @param {object} step: the step dictionary {column, type, values (for an enum)}
+ * @param {bool} dryRun: true to only change data
+ * @return {object} returns a dictionary {changed, message} or {error}
+ */
+function changeColumnType_(sheet, data, step, dryRun) {
+  var colIndex = data[0].indexOf(step.column);
+  if (colIndex == -1) {
+    return { error: step.column + " does not exist" };
+  }
+  var definition = { type: step.type, values: step.values };
+  var columns = {};
+  columns[step.column] = definition;
+  var definitionError = validateSchemaDefinition_({ columns: columns });
+  if (definitionError) {
+    return { error: definitionError };
+  }
+  var converted = [];
+  var failures = [];
+  var changed = 0;
+  for (var i = 1; i < data.length; i++) {
+    var value = data[i][colIndex];
+    var checked = value === "" ? { value: "" } : checkFieldValue_(definition, value);
+    if (checked.error) {
+      failures.push("row " + (i + 1) + " (" + value + ")");
+      continue;
+    }
+    if (uniqueKey_(checked.value) != uniqueKey_(value) || typeof checked.value != typeof value) {
+      changed++;
+    }
+    converted.push([checked.value]);
+  }
+  if (failures.length > 0) {
+    return { error: "these values of " + step.column + " cannot be converted to " + step.type + ": " + failures.slice(0, 20).join(", ") };
+  }
+  converted.forEach(function (value, i) { data[i + 1][colIndex] = value[0]; });
+  if (!dryRun) {
+    if (converted.length > 0) {
+      sheet.getRange(2, colIndex + 1, converted.length, 1).setValues(converted);
+    }
+    // keep the type in the schema of the sheet (if it has one)
+    var schema = getSchema_(sheet);
+    if (schema) {
+      schema.columns = schema.columns || {};
+      schema.columns[step.column] = Object.assign({}, schema.columns[step.column], definition);
+      setSchema(sheet.getParent().getId(), sheet.getName(), schema);
+    }
+  }
+  return { changed: changed, message: "converted " + changed + " values of " + step.column + " to " + step.type };
+}
+
+/**
+ * Function to fill in a column using a function of each row
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} data: the 2D array of the sheet's values - changed in place
+ * @param {object} step: the step dictionary {column, fn: function(rowDict) returning the value, overwrite: true to replace existing values}
+ * @param {bool} dryRun: true to only change data
+ * @return {object} returns a dictionary {changed, message} or {error}
+ */
+function backfillColumn_(sheet, data, step, dryRun) {
+  if (typeof step.fn != "function") {
+    return { error: "backfill needs a function fn(row)" };
+  }
+  var colIndex = data[0].indexOf(step.column);
+  var values = [];
+  var changed = 0;
+  try {
+    for (var i = 1; i < data.length; i++) {
+      var value = data[i][colIndex];
+      if (value === "" || step.overwrite) {
+        var filled = step.fn(getRowAsDict(data[0], data[i]));
+        value = filled == null ? "" : filled;
+        if (uniqueKey_(value) != uniqueKey_(data[i][colIndex])) {
+          changed++;
+        }
+      }
+      values.push([value]);
+    }
+  } catch (err) {
+    return { error: "the backfill function failed on row " + (i + 1) + ": " + err };
+  }
+  values.forEach(function (value, i) { data[i + 1][colIndex] = value[0]; });
+  if (!dryRun && values.length > 0) {
+    sheet.getRange(2, colIndex + 1, values.length, 1).setValues(values);
+  }
+  return { changed: changed, message: "filled " + changed + " values of " + step.column };
+}
+
+// ---------------------------------------- MIGRATION HELPERS ----------------------------------------------
+
+/**
+ * Function to check that a list of migrations is well formed
+ *
+ * @param {object} migrations: the list of migration dictionaries
+ * @return {string} returns a description of the first problem found, or null if the migrations are valid
+ */
+function validateMigrations_(migrations) {
+  if (!Array.isArray(migrations)) {
+    return "migrations must be a list";
+  }
+  var versions = new Set();
+  for (var i = 0; i < migrations.length; i++) {
+    var migration = migrations[i] || {};
+    if (!(Number.isInteger(migration.version) && migration.version > 0) || versions.has(migration.version)) {
+      return "every migration needs a different whole number version above 0";
+    }
+    versions.add(migration.version);
+    if (!Array.isArray(migration.steps)) {
+      return "migration " + migration.version + " needs a list of steps";
+    }
+    for (var j = 0; j < migration.steps.length; j++) {
+      var step = migration.steps[j] || {};
+      if (MIGRATION_STEPS_.indexOf(step.op) == -1) {
+        return step.op + " is not a migration step. Use one of: " + MIGRATION_STEPS_.join(", ");
+      }
+      var columns = step.op == "renameColumn" ? [step.from, step.to] : [step.column];
+      if (columns.some(function (column) { return !column; })) {
+        return "step " + j + " of migration " + migration.version + " does not name its column";
+      }
+      if (columns.some(function (column) { return SYSTEM_COLUMNS_.indexOf(column) != -1; })) {
+        return "step " + j + " of migration " + migration.version + " changes a column managed by the database";
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Function to rename (or remove) a column in the schema, secondary indexes, search index and relationships of a sheet
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {string} from: the old name of the column
+ * @param {string} to: the new name of the column, or null if the column was dropped
+ */
+function renameColumnReferences_(sheet, from, to) {
+  var spreadsheetID = sheet.getParent().getId();
+  var sheetName = sheet.getName();
+  var properties = getStorage_().getProperties();
+  // schema
+  var schema = getSchema_(sheet);
+  if (schema && schema.columns && schema.columns[from]) {
+    if (to) {
+      schema.columns[to] = schema.columns[from];
+    }
+    delete schema.columns[from];
+    setSchema(spreadsheetID, sheetName, schema);
+  }
+  // secondary indexes
+  withScriptLock_(function () {
+    var configuration = getIndexConfiguration_();
+    var key = spreadsheetID + "/" + sheetName;
+    if (configuration[key] && configuration[key].indexOf(from) != -1) {
+      configuration[key] = configuration[key].filter(function (column) { return column != from; }).concat(to ? [to] : []);
+      properties.setProperty(INDEXES_PROPERTY_, JSON.stringify(configuration));
+    }
+  });
+  // search index (one left without columns is dropped, as SEARCH needs at least one)
+  withScriptLock_(function () {
+    var configuration = getSearchConfiguration_();
+    var key = spreadsheetID + "/" + sheetName;
+    if (configuration[key] && from in configuration[key]) {
+      if (to) {
+        configuration[key][to] = configuration[key][from];
+      }
+      delete configuration[key][from];
+      if (Object.keys(configuration[key]).length == 0) {
+        delete configuration[key];
+      }
+      properties.setProperty(SEARCH_PROPERTY_, JSON.stringify(configuration));
+      removeCachedValue_(getStorage_().getCache(), getSearchCacheKey_(key));
+    }
+  });
+  // relationships (a dropped column in use is refused before this is reached)
+  if (to) {
+    withScriptLock_(function () {
+      var relationships = getRelationships_();
+      relationships.forEach(function (relationship) {
+        if (relationship.childSpreadsheetID == spreadsheetID && relationship.childSheetName == sheetName && relationship.childColumn == from) {
+          relationship.childColumn = to;
+        }
+        if (relationship.parentSpreadsheetID == spreadsheetID && relationship.parentSheetName == sheetName && relationship.parentColumn == from) {
+          relationship.parentColumn = to;
+        }
+      });
+      properties.setProperty(RELATIONSHIPS_PROPERTY_, JSON.stringify(relationships));
+    });
+  }
+}
+
+/**
+ * Function to find a relationship that uses a column of a sheet
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {string} column: the name of the column
+ * @return {object} returns the first relationship using the column, or null if there is none
+ */
+function findColumnRelationship_(sheet, column) {
+  var asChild = getSheetRelationships_(sheet, true).filter(function (relationship) { return relationship.childColumn == column; });
+  var asParent = getSheetRelationships_(sheet, false).filter(function (relationship) { return relationship.parentColumn == column; });
+  return asChild.concat(asParent)[0] || null;
+}
+
+/**
+ * Function to get the hidden sheet that applied migrations are recorded in
+ *
+ * @param {object} spreadsheet: the instance of the spreadsheet
+ * @param {bool} create: true to create the sheet if it does not exist
+ * @return {object} returns the migration sheet, or null if it does not exist and create is false
+ */
+function getMigrationSheet_(spreadsheet, create) {
+  var migrationSheet = spreadsheet.getSheetByName(MIGRATION_SHEET_NAME_);
+  if (!migrationSheet && create) {
+    migrationSheet = spreadsheet.insertSheet(MIGRATION_SHEET_NAME_);
+    migrationSheet.getRange(1, 1, 1, MIGRATION_COLUMNS_.length).setValues([MIGRATION_COLUMNS_]);
+    migrationSheet.setFrozenRows(1);
+    migrationSheet.hideSheet();
+  }
+  return migrationSheet;
+}
+
+/**
+ * Function to return the highest migration version recorded for a sheet
+ *
+ * @param {object} spreadsheet: the instance of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet
+ * @return {integer} returns the version, or 0 if the sheet has never been migrated
+ */
+function getMigrationVersion_(spreadsheet, sheetName) {
+  var migrationSheet = getMigrationSheet_(spreadsheet, false);
+  if (!migrationSheet) {
+    return 0;
+  }
+  var data = migrationSheet.getDataRange().getValues();
+  var version = 0;
+  for (var i = 1; i < data.length; i++) {
+    if (data[i][0] == sheetName && Number(data[i][1]) > version) {
+      version = Number(data[i][1]);
+    }
+  }
+  return version;
+}
+
+/**
+ * Function to record that a migration has been applied to a sheet
+ *
+ * @param {object} spreadsheet: the instance of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {object} migration: the migration dictionary that was applied
+ */
+function recordMigration_(spreadsheet, sheetName, migration) {
+  var migrationSheet = getMigrationSheet_(spreadsheet, true);
+  var newRow = [sheetName, migration.version, migration.description || "", getDatetime_(), getUserEmail_()];
+  migrationSheet.getRange(migrationSheet.getLastRow() + 1, 1, 1, newRow.length).setValues([newRow]);
+}
@@ -0,0 +1,61 @@
+/**
+ * This file lets the database run under Node, outside Apps Script, with the memory or CSV directory storage adapters (see SHEETS_STORAGE.js).
+ * In Apps Script it only defines loadDatabase, which is never called.
+ *
+ * Under Node:
+ *   const loadDatabase = require("./SHEETS_NODE.js");
+ *   const db = loadDatabase({storage: "csv", directory: "./data", userEmail: "sam@example.com"});
+ *   var spreadsheetID = db.getStorage_().createSpreadsheet("Tasks").getId();
+ *   db.accessDatabase("CREATE_SHEET", spreadsheetID, "Task", [["Title"]]);
+ *   db.accessDatabase("CREATE", spreadsheetID, "Task", [[{Title: "File"}]]);
+ * Every SHEETS_*.js file next to this one is run in a new context, which is returned so that its functions can be called. The context
+ * shares Date with the caller (so dates passed in are still Dates) and is given a Logger (silent unless options.log is true) and the
+ * parts of Utilities the database needs. The services that only exist in Apps Script (triggers, Drive, Google groups, email and URL fetch for notifications, the Web App) are
+ * not available.
+ */
+
+/**
+ * Function to load the database into a new Node context
+ *
+ * @param {object} options: (optional) {storage: "memory" (default) or "csv", directory: the directory for "csv", userEmail, log,
+ *                          adapter: a storage adapter to use instead}
+ * @return {object} returns the context holding every function of the database
+ */
+function loadDatabase(options) {
+  options = options || {};
+  const fs = require("fs");
+  const path = require("path");
+  const vm = require("vm");
+  const crypto = require("crypto");
+  var context = vm.createContext({
+    Date: Date,
+    console: console,
+    require: require,
+    Logger: {
+      log: function (message) {
+        if (options.log) {
+          console.log(String(message));
+        }
+      }
+    },
+    Utilities: {
+      base64EncodeWebSafe: function (text) { return Buffer.from(String(text), "utf8").toString("base64url"); },
+      base64DecodeWebSafe: function (text) { return Array.from(Buffer.from(String(text), "base64url")); },
+      newBlob: function (bytes) {
+        return { getDataAsString: function () { return Buffer.from(bytes).toString("utf8"); } };
+      },
+      getUuid: function () { return crypto.randomUUID(); },
+      sleep: function (milliseconds) { Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, milliseconds); }
+    }
+  });
+  fs.readdirSync(__dirname).filter(function (name) { return /^SHEETS_.*\.js$/.test(name); }).sort().forEach(function (name) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, name), "utf8"), context, { filename: name });
+  });
+  var adapter = options.adapter || (options.storage == "csv" ? context.csvDirectoryStorage(options.directory, options) : context.memoryStorage(options));
+  context.useStorage(adapter);
+  return context;
+}
+
+if (typeof module != "undefined") {
+  module.exports = loadDatabase;
+}
@@ -0,0 +1,471 @@
+/**
+ * This file contains partitioning, which splits a table that has outgrown one sheet across several partition sheets (in the same
+ * spreadsheet or in spreadsheets of their own) while callers keep using the sheet name of the table.
+ *
+ * partitionSheet(spreadsheetID, sheetName, options) turns an existing sheet into a partitioned table, and the sheet becomes its first
+ * partition. New rows are always written to the newest partition, which is closed and replaced by a new one (a copy of the header)
+ * when it reaches a threshold - the rows of one call are split where a partition fills up:
+ *   strategy "id"     when the partition holds maxRows rows (50000 by default) - each partition holds a range of IDs, which is
+ *                     contiguous with sequential IDs
+ *   strategy "time"   when the period (day, week or month - by default month) it was started in is over, or when it holds maxRows rows
+ *                     if maxRows is given
+ * With newSpreadsheet: true every new partition is put in a spreadsheet of its own, which keeps the table clear of the cell limit of
+ * a spreadsheet. The partitions are listed in the "partitions" script property.
+ *
+ * Wherever the database opens the sheet of a table (see getTableSheet_), a partitioned table is given a partitioned sheet - an object
+ * with the methods of a sheet that the database uses (see SHEETS_STORAGE.js) whose rows are the rows of every partition in order,
+ * below the header of the newest one. So READ, QUERY, DELETE, UNDO_DELETE, cleanDatabase, indexes and every other operation see
+ * one table. Columns added, removed or renamed are changed in every partition. When a partition is closed the smallest and largest
+ * ID and DateCreated it holds are kept, and a READ, DELETE or UNDO_DELETE on ID or DateCreated without an index skips the closed
+ * partitions that cannot hold the values (an updated row is written to the newest partition, which is always read).
+ */
+
+// Name of the script property that the partitioned tables are stored under
+const PARTITION_PROPERTY_ = "partitions";
+// List of the partitioning strategies
+const PARTITION_STRATEGIES_ = ["id", "time"];
+// Number of rows a partition holds before it is closed when the table does not say
+const DEFAULT_PARTITION_ROWS_ = 50000;
+// Columns whose range is kept for each closed partition
+const PARTITION_RANGE_COLUMNS_ = ["ID", "DateCreated"];
+
+// ------------------------------------------ PARTITIONS -------------------------------------------------
+
+/**
+ * Function to partition a sheet - the sheet becomes the first partition of the table
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {object} options: (optional) {strategy: "id" (default) or "time", maxRows, period: "day", "week" or "month", newSpreadsheet}
+ * @return {object} returns the table {spreadsheetID, sheetName, strategy, maxRows, period, newSpreadsheet, partitions}, or null if
+ *                  the sheet does not exist, is already partitioned or the options are invalid
+ */
+function partitionSheet(spreadsheetID, sheetName, options) {
+  options = options || {};
+  var strategy = options.strategy || "id";
+  if (PARTITION_STRATEGIES_.indexOf(strategy) == -1 || (options.maxRows != null && !(options.maxRows >= 1)) ||
+    (options.period && AGGREGATE_BUCKETS_.indexOf(options.period) == -1)) {
+    Logger.log("partitionSheet needs a strategy from " + PARTITION_STRATEGIES_.join(", ") + ", a positive maxRows and a period from " + AGGREGATE_BUCKETS_.join(", "));
+    return;
+  }
+  return withScriptLock_(function () {
+    var tables = getPartitionedTables_();
+    var key = spreadsheetID + "/" + sheetName;
+    if (tables[key]) {
+      Logger.log(sheetName + " is already partitioned");
+      return;
+    }
+    var sheet = getStorage_().openSpreadsheet(spreadsheetID).getSheetByName(sheetName);
+    if (!sheet) {
+      Logger.log(sheetName + " does not exist in the spreadsheet " + spreadsheetID);
+      return;
+    }
+    var table = {
+      spreadsheetID: spreadsheetID,
+      sheetName: sheetName,
+      strategy: strategy,
+      maxRows: options.maxRows || (strategy == "id" ? DEFAULT_PARTITION_ROWS_ : null),
+      period: strategy == "time" ? options.period || "month" : null,
+      newSpreadsheet: options.newSpreadsheet == true,
+      partitions: [{ spreadsheetID: spreadsheetID, sheetName: sheetName, started: getPartitionStart_(strategy, options.period || "month", new Date()) }]
+    };
+    tables[key] = table;
+    getStorage_().getProperties().setProperty(PARTITION_PROPERTY_, JSON.stringify(tables));
+    return table;
+  });
+}
+
+/**
+ * Function to list the partitions of a table
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet
+ * @param {string} sheetName: the name of the table
+ * @return {object} returns the list of partitions {spreadsheetID, sheetName, started, closed, ranges, rows} from oldest to newest,
+ *                  or null if the table is not partitioned
+ */
+function listPartitions(spreadsheetID, sheetName) {
+  var table = getPartitionedTables_()[spreadsheetID + "/" + sheetName];
+  if (!table) {
+    return;
+  }
+  return table.partitions.map(function (partition) {
+    var sheet = getStorage_().openSpreadsheet(partition.spreadsheetID).getSheetByName(partition.sheetName);
+    return Object.assign({}, partition, { rows: sheet ? Math.max(0, sheet.getLastRow() - 1) : 0 });
+  });
+}
+
+/**
+ * Function to get the sheet of a table - a partitioned sheet if the table is partitioned
+ *
+ * @param {object} spreadsheet: the instance of the spreadsheet
+ * @param {string} sheetName: the name of the table
+ * @return {object} returns the sheet, or null if it does not exist
+ */
+function getTableSheet_(spreadsheet, sheetName) {
+  var table = getPartitionedTables_()[spreadsheet.getId() + "/" + sheetName];
+  if (!table) {
+    return spreadsheet.getSheetByName(sheetName);
+  }
+  var sheets = table.partitions.map(function (partition) {
+    return partition.spreadsheetID == spreadsheet.getId() ? spreadsheet.getSheetByName(partition.sheetName) : getStorage_().openSpreadsheet(partition.spreadsheetID).getSheetByName(partition.sheetName);
+  });
+  if (sheets.some(function (sheet) { return !sheet; })) {
+    throw new DatabaseError("SHEET_NOT_FOUND", "A partition of " + sheetName + " is missing");
+  }
+  return partitionedSheet_(spreadsheet, table, sheets);
+}
+
+/**
+ * Function to check whether a sheet is a partition of a table other than its first one (which carries the name of the table)
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet the sheet is in
+ * @param {string} sheetName: the name of the sheet
+ * @return {bool} returns true if the sheet is a later partition of a table
+ */
+function isLaterPartition_(spreadsheetID, sheetName) {
+  var tables = getPartitionedTables_();
+  return Object.keys(tables).some(function (key) {
+    return tables[key].partitions.slice(1).some(function (partition) { return partition.spreadsheetID == spreadsheetID && partition.sheetName == sheetName; });
+  });
+}
+
+/**
+ * Function to return the partitioned tables
+ *
+ * @return {object} returns a dictionary {"<spreadsheetID>/<sheetName>": table}
+ */
+function getPartitionedTables_() {
+  var stored = getStorage_().getProperties().getProperty(PARTITION_PROPERTY_);
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Function to store a partitioned table, leaving the other tables as they are - the caller must hold the write lock on the table
+ *
+ * @param {object} table: the table {spreadsheetID, sheetName, strategy, maxRows, period, newSpreadsheet, partitions}
+ */
+function savePartitionTable_(table) {
+  // calls holding the leases of different tables can change the property at the same time, so it is read again under the script lock
+  withScriptLock_(function () {
+    var tables = getPartitionedTables_();
+    tables[table.spreadsheetID + "/" + table.sheetName] = table;
+    getStorage_().getProperties().setProperty(PARTITION_PROPERTY_, JSON.stringify(tables));
+  });
+}
+
+// ------------------------------------------- ROLLOVER --------------------------------------------------
+
+/**
+ * Function to close the newest partition of a table and start a new one if the newest one has reached its threshold - called
+ * before each chunk of rows is appended (does nothing for a sheet that is not partitioned)
+ *
+ * @param {object} sheet: the instance of the sheet rows are about to be appended to
+ */
+function rollOverPartition_(sheet) {
+  if (!sheet.getPartitionTable) {
+    return;
+  }
+  var table = sheet.getPartitionTable();
+  var active = sheet.getPartitionSheets()[table.partitions.length - 1];
+  var current = table.partitions[table.partitions.length - 1];
+  var rows = Math.max(0, active.getLastRow() - 1);
+  var full = table.maxRows != null && rows >= table.maxRows;
+  var expired = table.strategy == "time" && getPartitionStart_(table.strategy, table.period, new Date()) > current.started;
+  if (!(full || expired)) {
+    return;
+  }
+  if (rows == 0) {
+    // an empty partition is kept and moved on to the current period
+    current.started = getPartitionStart_(table.strategy, table.period, new Date());
+    savePartitionTable_(table);
+    return;
+  }
+  // keep the range of the closed partition so that lookups can skip it
+  var data = active.getDataRange().getValues();
+  current.closed = new Date().getTime();
+  current.ranges = getPartitionRanges_(data);
+  // start the new partition with a copy of the header
+  var number = table.partitions.length + 1;
+  var spreadsheet = table.newSpreadsheet ? getStorage_().createSpreadsheet(table.sheetName + " " + number) : sheet.getParent();
+  var name = table.newSpreadsheet ? table.sheetName : table.sheetName + "_" + number;
+  var partitionSheet = spreadsheet.getSheetByName(name) ? spreadsheet.getSheetByName(name) : spreadsheet.insertSheet(name);
+  partitionSheet.getRange(1, 1, 1, data[0].length).setValues([data[0]]).setFontWeight("bold");
+  partitionSheet.setFrozenRows(1);
+  table.partitions.push({ spreadsheetID: spreadsheet.getId(), sheetName: name, started: getPartitionStart_(table.strategy, table.period, new Date()) });
+  savePartitionTable_(table);
+  sheet.addPartitionSheet(partitionSheet);
+  Logger.log("Started partition " + number + " of " + table.sheetName + " in " + spreadsheet.getId());
+}
+
+/**
+ * Function to put a table back the way it was before a BATCH that is being rolled back, removing the partitions it started (see
+ * SHEETS_BATCH.js) - the caller must hold the write lock on the table
+ *
+ * @param {object} spreadsheet: the instance of the spreadsheet of the table
+ * @param {object} table: a copy of the table taken before the batch changed it
+ * @return {object} returns a partitioned sheet of the table as it is now
+ */
+function restorePartitionTable_(spreadsheet, table) {
+  // a later operation of the batch may have started partitions through another partitioned sheet, so the table is read again
+  var current = getTableSheet_(spreadsheet, table.sheetName);
+  var sheets = current.getPartitionSheets();
+  current.getPartitionTable().partitions.slice(table.partitions.length).forEach(function (partition, i) {
+    var partitionSheet = sheets[table.partitions.length + i];
+    var parent = partitionSheet.getParent();
+    // a partition in a spreadsheet of its own takes the spreadsheet with it, if the storage adapter can trash it
+    if (partition.spreadsheetID != table.spreadsheetID && getStorage_().trashSpreadsheet) {
+      getStorage_().trashSpreadsheet(partition.spreadsheetID);
+    } else if (parent.getSheets().length > 1) {
+      parent.deleteSheet(partitionSheet);
+    }
+    Logger.log("Removed partition " + (table.partitions.length + i + 1) + " of " + table.sheetName + " started by a batch that was rolled back");
+  });
+  savePartitionTable_(table);
+  return getTableSheet_(spreadsheet, table.sheetName);
+}
+
+/**
+ * Function to find how many more rows the newest partition of a table can take before it has to be closed
+ *
+ * @param {object} sheet: the instance of the sheet rows are about to be appended to
+ * @return {integer} returns the number of rows, or Infinity if the sheet is not partitioned or its table has no maxRows
+ */
+function getPartitionRoom_(sheet) {
+  if (!sheet.getPartitionTable || sheet.getPartitionTable().maxRows == null) {
+    return Infinity;
+  }
+  var sheets = sheet.getPartitionSheets();
+  return Math.max(0, sheet.getPartitionTable().maxRows - Math.max(0, sheets[sheets.length - 1].getLastRow() - 1));
+}
+
+/**
+ * Function to work out the ranges kept for a closed partition
+ *
+ * @param {object} data: the 2D array of values of the partition, starting with its header
+ * @return {object} returns a dictionary {column: [smallest, largest]} for each of PARTITION_RANGE_COLUMNS_ that holds values (dates
+ *                  are stored as {date: ms})
+ */
+function getPartitionRanges_(data) {
+  var ranges = {};
+  PARTITION_RANGE_COLUMNS_.forEach(function (column) {
+    var colIndex = data[0].indexOf(column);
+    var values = data.slice(1).map(function (row) { return row[colIndex]; }).filter(function (value) { return colIndex != -1 && value !== ""; });
+    if (values.length > 0) {
+      values.sort(compareValues_);
+      ranges[column] = [values[0], values[values.length - 1]].map(function (value) { return value instanceof Date ? { date: value.getTime() } : value; });
+    }
+  });
+  return ranges;
+}
+
+/**
+ * Function to work out the ranges of every closed partition of a table again, after the values they cover were changed in place
+ * (e.g. by rekeySheet) - does nothing for a sheet that is not partitioned
+ *
+ * @param {object} sheet: the instance of the sheet of the table
+ */
+function refreshPartitionRanges_(sheet) {
+  if (!sheet.getPartitionTable) {
+    return;
+  }
+  var table = sheet.getPartitionTable();
+  var sheets = sheet.getPartitionSheets();
+  table.partitions.forEach(function (partition, i) {
+    if (partition.closed) {
+      partition.ranges = getPartitionRanges_(sheets[i].getDataRange().getValues());
+    }
+  });
+  savePartitionTable_(table);
+}
+
+/**
+ * Function to find when the partition started at a given time begins
+ *
+ * @param {string} strategy: the strategy of the table
+ * @param {string} period: the period of a "time" table
+ * @param {object} date: the time the partition is started
+ * @return {integer} returns the start of the period in ms for a "time" table, and the time itself otherwise
+ */
+function getPartitionStart_(strategy, period, date) {
+  return strategy == "time" ? bucketValue_(date, period).getTime() : date.getTime();
+}
+
+// --------------------------------------- PARTITIONED SHEET ---------------------------------------------
+
+/**
+ * Function to build a sheet that reads and writes the rows of every partition of a table
+ * Row 1 is the header of the newest partition, followed by the rows of each partition from oldest to newest. Rows written past the
+ * last row go to the newest partition.
+ *
+ * @param {object} spreadsheet: the instance of the spreadsheet holding the table
+ * @param {object} table: the table {spreadsheetID, sheetName, strategy, maxRows, period, newSpreadsheet, partitions}
+ * @param {object} sheets: the list of the sheets of the partitions, from oldest to newest
+ * @return {object} returns the partitioned sheet
+ */
+function partitionedSheet_(spreadsheet, table, sheets) {
+  var active = function () { return sheets[sheets.length - 1]; };
+  // the number of rows of each partition and the row of the partitioned sheet its first row is at
+  var layout = function () {
+    var next = 2;
+    return sheets.map(function (partitionSheet) {
+      var count = Math.max(0, partitionSheet.getLastRow() - 1);
+      var entry = { sheet: partitionSheet, first: next, count: count };
+      next += count;
+      return entry;
+    });
+  };
+  // split a run of rows of the partitioned sheet into runs of the partitions {sheet, row, offset, count, header}
+  var split = function (firstRow, numRows) {
+    var pieces = [];
+    var offset = 0;
+    if (firstRow == 1 && numRows > 0) {
+      pieces.push({ header: true, row: 1, offset: 0, count: 1 });
+      firstRow++;
+      numRows--;
+      offset = 1;
+    }
+    var entries = layout();
+    var last = firstRow + numRows - 1;
+    entries.forEach(function (entry) {
+      var from = Math.max(firstRow, entry.first);
+      var to = Math.min(last, entry.first + entry.count - 1);
+      if (from <= to) {
+        pieces.push({ sheet: entry.sheet, row: from - entry.first + 2, offset: offset + from - firstRow, count: to - from + 1 });
+      }
+    });
+    var end = entries[entries.length - 1];
+    var lastRow = end.first + end.count - 1;
+    if (last > lastRow) {
+      var from = Math.max(firstRow, lastRow + 1);
+      pieces.push({ sheet: end.sheet, row: end.count + 2 + from - lastRow - 1, offset: offset + from - firstRow, count: last - from + 1 });
+    }
+    return pieces;
+  };
+  var range = function (row, column, numRows, numColumns) {
+    var partitionRange = {
+      getValues: function () {
+        var values = [];
+        split(row, numRows).forEach(function (piece) {
+          var source = piece.header ? active() : piece.sheet;
+          source.getRange(piece.row, column, piece.count, numColumns).getValues().forEach(function (rowValues) { values.push(rowValues); });
+        });
+        return values;
+      },
+      setValues: function (values) {
+        split(row, numRows).forEach(function (piece) {
+          var block = values.slice(piece.offset, piece.offset + piece.count);
+          (piece.header ? sheets : [piece.sheet]).forEach(function (target) { target.getRange(piece.row, column, piece.count, numColumns).setValues(block); });
+        });
+        return partitionRange;
+      },
+      getValue: function () { return partitionRange.getValues()[0][0]; },
+      setValue: function (value) { return partitionRange.setValues([[value]]); },
+      clearContent: function () {
+        split(row, numRows).forEach(function (piece) {
+          (piece.header ? sheets : [piece.sheet]).forEach(function (target) { target.getRange(piece.row, column, piece.count, numColumns).clearContent(); });
+        });
+        return partitionRange;
+      },
+      setFontWeight: function (weight) {
+        split(row, numRows).forEach(function (piece) {
+          (piece.header ? sheets : [piece.sheet]).forEach(function (target) { target.getRange(piece.row, column, piece.count, numColumns).setFontWeight(weight); });
+        });
+        return partitionRange;
+      },
+      getHeight: function () { return numRows; },
+      getWidth: function () { return numColumns; }
+    };
+    return partitionRange;
+  };
+  var sheet = {
+    getName: function () { return table.sheetName; },
+    getParent: function () { return spreadsheet; },
+    getRange: function (row, column, numRows, numColumns) { return range(row, column, numRows || 1, numColumns || 1); },
+    getDataRange: function () { return range(1, 1, sheet.getLastRow(), sheet.getLastColumn()); },
+    getLastRow: function () {
+      var entries = layout();
+      var end = entries[entries.length - 1];
+      return end.first + end.count - 1;
+    },
+    getLastColumn: function () { return active().getLastColumn(); },
+    getMaxRows: function () {
+      return sheets.reduce(function (total, partitionSheet) { return total + partitionSheet.getMaxRows() - 1; }, 1);
+    },
+    getFrozenRows: function () { return 1; },
+    setFrozenRows: function (rows) { sheets.forEach(function (partitionSheet) { partitionSheet.setFrozenRows(rows); }); return sheet; },
+    insertColumnsAfter: function (column, howMany) {
+      sheets.forEach(function (partitionSheet) { partitionSheet.insertColumnsAfter(column, howMany); });
+      return sheet;
+    },
+    deleteColumn: function (column) { return sheet.deleteColumns(column, 1); },
+    deleteColumns: function (column, howMany) {
+      sheets.forEach(function (partitionSheet) { partitionSheet.deleteColumns(column, howMany); });
+    },
+    deleteRow: function (row) { return sheet.deleteRows(row, 1); },
+    deleteRows: function (row, howMany) {
+      // remove the rows from the last partition back so that the row numbers of the earlier pieces stay correct
+      split(row, howMany).reverse().forEach(function (piece) {
+        if (piece.header) {
+          throw new Error("The header of a partitioned sheet cannot be deleted");
+        }
+        deleteSheetRows_(piece.sheet, piece.row, piece.count);
+      });
+    },
+    hideSheet: function () { sheets.forEach(function (partitionSheet) { partitionSheet.hideSheet(); }); return sheet; },
+    // the functions below only exist on a partitioned sheet
+    getPartitionTable: function () { return table; },
+    getPartitionSheets: function () { return sheets; },
+    addPartitionSheet: function (partitionSheet) { sheets.push(partitionSheet); },
+    findPartitionRows: function (columnName, rowValueSet) { return findPartitionRows_(sheet, layout(), columnName, rowValueSet); }
+  };
+  return sheet;
+}
+
+/**
+ * Function to find the rows of a partitioned sheet whose value in a column is in a set of values, skipping the closed partitions
+ * whose range of the column cannot hold any of them
+ *
+ * @param {object} sheet: the partitioned sheet
+ * @param {object} layout: the list of {sheet, first, count} of each partition
+ * @param {string} columnName: the name of the column to compare values in
+ * @param {object} rowValueSet: a set of the values to look up
+ * @return {object} returns a dictionary {header, rows: [{rowNumber (1-INDEXED in the partitioned sheet), values}]} in sheet order
+ */
+function findPartitionRows_(sheet, layout, columnName, rowValueSet) {
+  var partitions = sheet.getPartitionTable().partitions;
+  var header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var colIndex = header.indexOf(columnName);
+  var found = { header: header, rows: [] };
+  if (colIndex == -1) {
+    return found;
+  }
+  var values = Array.from(rowValueSet);
+  layout.forEach(function (entry, p) {
+    var range = partitions[p].ranges ? partitions[p].ranges[columnName] : null;
+    if (entry.count == 0 || (range && !values.some(function (value) { return isInPartitionRange_(value, range); }))) {
+      return;
+    }
+    var data = entry.sheet.getRange(2, 1, entry.count, header.length).getValues();
+    data.forEach(function (rowValues, i) {
+      if (rowValueSet.has(rowValues[colIndex])) {
+        found.rows.push({ rowNumber: entry.first + i, values: rowValues });
+      }
+    });
+  });
+  return found;
+}
+
+/**
+ * Function to check whether a value lies within the range of a column kept for a closed partition
+ *
+ * @param {object} value: the value looked up
+ * @param {object} range: the [smallest, largest] values of the column in the partition (dates are stored as {date: ms})
+ * @return {bool} returns true if the partition may hold the value
+ */
+function isInPartitionRange_(value, range) {
+  var bounds = range.map(function (bound) { return bound != null && bound.date != null ? new Date(bound.date) : bound; });
+  // a value that cannot be compared with the bounds (see compareCondition_) may be anywhere
+  var low = compareCondition_(value, bounds[0]);
+  var high = compareCondition_(value, bounds[1]);
+  return !(low != null && low < 0) && !(high != null && high > 0);
+}
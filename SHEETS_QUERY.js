@@ -0,0 +1,577 @@
+/**
+ * This file contains the query language used by READ and QUERY to filter, sort, page and project rows.
+ *
+ * A query is a dictionary of the following form (every key is optional):
+ *   {
+ *     where: {and: [{column: "Status", op: "=", value: "Open"},
+ *                   {or: [{column: "DateModified", op: ">", value: new Date(2020, 0, 1)},
+ *                         {column: "Name", op: "startsWith", value: "Ad"}]}]},
+ *     orderBy: [{column: "DateModified", direction: "desc"}, "Name"],
+ *     limit: 50,
+ *     offset: 0,
+ *     columns: ["ID", "Name", "DateModified"],
+ *     includeInvalid: false,
+ *     asList: false
+ *   }
+ *
+ * The rows are returned as a dictionary {ID: row} in the order of the query. JavaScript always puts the keys that look like whole
+ * numbers (e.g. an imported ID "42") first and in ascending order, and a dictionary holds one version of each ID, so asList: true returns
+ * the rows as a list instead, which keeps the order of orderBy for every ID and every version of a row with includeInvalid.
+ *
+ * Instead of limit and offset, a query can ask for one page at a time with {pageSize: 50, cursor, includeTotal}. The result is then a
+ * dictionary {rows, nextCursor, total}, where nextCursor is an opaque string to pass as cursor to get the next page (null on the last
+ * page) and total is the number of matching rows (only counted when includeTotal is true). The cursor remembers the sort values and
+ * the position of the last row returned rather than a count of rows, so rows that are appended or soft-deleted between calls do not
+ * make a page repeat or skip a row that was already there. Removing rows does move the rows below them, so a cursor made before
+ * cleanDatabase purged rows from the sheet (or a snapshot was restored into it) is refused with CONFLICT and the pages have to be read
+ * again from the start. As every version of a row shares its ID, includeInvalid cannot be combined with pageSize.
+ *
+ * Supported operators: =, !=, <, <=, >, >=, between (value is [low, high], inclusive), contains, startsWith (both case insensitive),
+ * in (value is a list). If either side of a comparison is a date (e.g. DateCreated/DateModified) both sides are compared as dates, and
+ * a string holding a number is always compared as that number, as Sheets (and the csv adapter) store "2" as the number 2 anyway. An
+ * empty cell never matches =, !=, <, <=, >, >=, between or in, and neither do values of different kinds (e.g. a number and a word) -
+ * except that "=" with the value "" or null finds the empty cells and "!=" the cells that are not empty. orderBy sorts values of
+ * different kinds as booleans < numbers (including numbers written as text) < dates < strings, and empty cells last.
+ */
+
+// List of the operators that can be used in a condition
+const QUERY_OPERATORS_ = ["=", "!=", "<", "<=", ">", ">=", "between", "contains", "startsWith", "in"];
+
+// ------------------------------------------- QUERY -----------------------------------------------------
+
+/**
+ * Function to return the rows of a sheet that match a structured query
+ *
+ * @param {object} sheet: the instance of the sheet we wish to read from
+ * @param {object} query: a query dictionary (see the top of this file)
+ * @return {object} returns a dictionary of dictionaries {ID: {fieldName: data}} in the order requested by the query
+ *                  - returns a list of row dictionaries in that order instead if the query has asList: true
+ *                  - returns a dictionary {rows, nextCursor, total} instead if the query has a pageSize (rows is a list with asList)
+ *                  - returns null if the query is badly formed, names a column that does not exist or has an invalid cursor
+ */
+function query_(sheet, query) {
+  Logger.log("Querying the sheet: " + sheet.getName());
+  query = query || {};
+  // get 2D array of data from sheet to be searched
+  var data = sheet.getDataRange().getValues();
+  // check the query before scanning the sheet
+  var queryError = validateQuery_(data[0], query);
+  if (queryError) {
+    fail_("INVALID_INPUT", queryError + " in a query on " + sheet.getName());
+    return;
+  }
+  var rowNumbers = new Map(); // the 1-INDEXED row number of each matching row, used by cursors
+  var rows = matchRows_(data, query, rowNumbers);
+  if (query.pageSize != null) {
+    return pageRowsByCursor_(sheet, rows, rowNumbers, query);
+  }
+  // page and project the matching rows
+  rows = pageRows_(rows, query.offset, query.limit);
+  return query.asList ? projectRows_(rows, query.columns) : rowListToDict_(rows, query.columns);
+}
+
+/**
+ * Function to collect and sort the rows of a sheet that match the where clause of an already validated query
+ *
+ * @param {object} data: the 2D array of values of the sheet
+ * @param {object} query: a query dictionary (see the top of this file) - only where, orderBy and includeInvalid are used
+ * @param {object} rowNumbers: (optional) a Map to fill with the 1-INDEXED row number of each matching row
+ * @return {object} returns the sorted list of matching row dictionaries (every version of a row if includeInvalid is true)
+ */
+function matchRows_(data, query, rowNumbers) {
+  var rows = [];
+  var row;
+  for (var i = 1; i < data.length; i++) {
+    row = getRowAsDict(data[0], data[i]);
+    // skip rows without an ID and (unless asked for) rows that have been deleted
+    if (!row["ID"] || (!row["Valid"] && !query.includeInvalid)) {
+      continue;
+    }
+    if (matchesCondition_(row, query.where)) {
+      rows.push(row);
+      if (rowNumbers) {
+        rowNumbers.set(row, i + 1);
+      }
+    }
+  }
+  sortRows_(rows, query.orderBy);
+  return rows;
+}
+
+/**
+ * Function to run a query for READ or QUERY, expanding the relationships listed in query.expand into the rows that are returned
+ *
+ * @param {object} sheet: the instance of the sheet we wish to read from
+ * @param {object} query: a query dictionary (see the top of this file)
+ * @return {object} returns the output of query_ with the related rows expanded
+ */
+function readQuery_(sheet, query) {
+  query = query || {};
+  var result = query_(sheet, query);
+  if (result && query.pageSize != null) {
+    result.rows = expandRows_(sheet, result.rows, query.expand);
+    return result;
+  }
+  return expandRows_(sheet, result, query.expand);
+}
+
+// ------------------------------------------ PAGINATION -------------------------------------------------
+
+/**
+ * Function to return the page of sorted rows that follows the cursor of a query
+ *
+ * @param {object} sheet: the instance of the sheet the rows were read from
+ * @param {object} rows: the sorted list of every row dictionary that matches the query
+ * @param {object} rowNumbers: a map from each row dictionary to its 1-INDEXED row number
+ * @param {object} query: the query dictionary, holding pageSize, cursor and includeTotal
+ * @return {object} returns a dictionary {rows: {ID: {fieldName: data}}, nextCursor, total}, or null if the cursor is invalid or out of date
+ *                  - rows is a list of row dictionaries if the query has asList: true
+ */
+function pageRowsByCursor_(sheet, rows, rowNumbers, query) {
+  var keys = normalizeOrderBy_(query.orderBy);
+  var removals = getRowRemovals_(sheet);
+  var start = 0;
+  if (query.cursor) {
+    var position = decodeCursor_(query.cursor, keys);
+    if (!position) {
+      fail_("INVALID_INPUT", "The cursor given to the query is invalid or belongs to a query with a different orderBy");
+      return;
+    }
+    // the row numbers held by the cursor are only right while no rows have been removed from the sheet
+    if (position.removals != removals) {
+      fail_("CONFLICT", "Rows have been removed from " + sheet.getName() + " since the cursor was made, so the pages have to be read again from the start");
+      return;
+    }
+    // skip every row that sorts before or at the last row of the previous page
+    while (start < rows.length && compareToCursor_(rows[start], rowNumbers.get(rows[start]), position, keys) <= 0) {
+      start++;
+    }
+  }
+  var page = rows.slice(start, start + query.pageSize);
+  var last = page[page.length - 1];
+  var result = {
+    rows: query.asList ? projectRows_(page, query.columns) : rowListToDict_(page, query.columns),
+    nextCursor: start + page.length < rows.length && last ? encodeCursor_(last, rowNumbers.get(last), keys, removals) : null
+  };
+  if (query.includeTotal) {
+    result.total = rows.length;
+  }
+  return result;
+}
+
+/**
+ * Function to compare a row with the position held by a cursor, in the order of the query (ties are broken by row number)
+ *
+ * @param {object} row: the row dictionary
+ * @param {integer} rowNumber: the 1-INDEXED row number of the row
+ * @param {object} position: the decoded cursor {values, rowNumber, id}
+ * @param {object} keys: the list of {column, direction} dictionaries the rows are sorted by
+ * @return {integer} returns a negative number if the row comes before the cursor, 0 if it is the cursor row and a positive number if it comes after
+ */
+function compareToCursor_(row, rowNumber, position, keys) {
+  var cursorRow = {};
+  keys.forEach(function (key, i) {
+    if (position.values[i] != null) {
+      cursorRow[key.column] = position.values[i];
+    }
+  });
+  return compareSortKeys_(row, cursorRow, keys) || rowNumber - position.rowNumber;
+}
+
+/**
+ * Function to turn the position of the last row of a page into an opaque cursor string
+ *
+ * @param {object} row: the row dictionary of the last row of the page
+ * @param {integer} rowNumber: the 1-INDEXED row number of the row
+ * @param {object} keys: the list of {column, direction} dictionaries the rows are sorted by
+ * @param {integer} removals: the number of times rows have been removed from the sheet (see getRowRemovals_)
+ * @return {string} returns the cursor
+ */
+function encodeCursor_(row, rowNumber, keys, removals) {
+  var position = {
+    o: JSON.stringify(keys),
+    v: keys.map(function (key) {
+      var value = row[key.column];
+      return value instanceof Date ? { date: value.getTime() } : (value == null ? null : value);
+    }),
+    r: rowNumber,
+    id: row["ID"],
+    x: removals
+  };
+  return Utilities.base64EncodeWebSafe(JSON.stringify(position));
+}
+
+/**
+ * Function to read a cursor string back into the position it holds
+ *
+ * @param {string} cursor: the cursor returned with the previous page
+ * @param {object} keys: the list of {column, direction} dictionaries the rows are sorted by
+ * @return {object} returns a dictionary {values, rowNumber, id, removals}, or null if the cursor is invalid or was made with a different orderBy
+ */
+function decodeCursor_(cursor, keys) {
+  try {
+    var position = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(String(cursor))).getDataAsString());
+  } catch (err) {
+    return null;
+  }
+  if (!position || position.o != JSON.stringify(keys) || !Array.isArray(position.v) || !(position.r > 0)) {
+    return null;
+  }
+  return {
+    values: position.v.map(function (value) { return value != null && value.date != null ? new Date(value.date) : value; }),
+    rowNumber: position.r,
+    id: position.id,
+    removals: position.x || 0
+  };
+}
+
+// ------------------------------------------ QUERY HELPERS -----------------------------------------------
+
+/**
+ * Function to check that a query is well formed and only names columns that exist in the sheet
+ *
+ * @param {object} header: the list of field names in the first row of the sheet
+ * @param {object} query: the query dictionary to check
+ * @return {string} returns a description of the first problem found, or null if the query is valid
+ */
+function validateQuery_(header, query) {
+  var columns = new Set(header);
+  // check the where clause recursively
+  var whereError = validateCondition_(columns, query.where);
+  if (whereError) {
+    return whereError;
+  }
+  // check the sort columns
+  var orderBy = normalizeOrderBy_(query.orderBy);
+  for (var i = 0; i < orderBy.length; i++) {
+    if (!columns.has(orderBy[i].column)) {
+      return orderBy[i].column + " does not exist as a column name";
+    }
+  }
+  // check the projected columns
+  var projection = query.columns || [];
+  for (var i = 0; i < projection.length; i++) {
+    if (!columns.has(projection[i])) {
+      return projection[i] + " does not exist as a column name";
+    }
+  }
+  // check the paging values
+  if ((query.limit != null && !(query.limit >= 0)) || (query.offset != null && !(query.offset >= 0))) {
+    return "limit and offset must be non-negative numbers";
+  }
+  if (query.pageSize != null && !(query.pageSize >= 1)) {
+    return "pageSize must be a positive number";
+  }
+  if (query.pageSize == null && query.cursor) {
+    return "a cursor can only be used with a pageSize";
+  }
+  if (query.pageSize != null && (query.limit != null || query.offset != null)) {
+    return "pageSize cannot be combined with limit and offset";
+  }
+  if (query.pageSize != null && query.includeInvalid) {
+    return "pageSize cannot be combined with includeInvalid, as the versions of a row share its ID";
+  }
+  return null;
+}
+
+/**
+ * Function to check a (possibly nested) condition of a where clause
+ *
+ * @param {object} columns: a set of the field names in the sheet
+ * @param {object} condition: the condition to check - {and: [...]}, {or: [...]} or {column, op, value}
+ * @return {string} returns a description of the first problem found, or null if the condition is valid
+ */
+function validateCondition_(columns, condition) {
+  if (condition == null) {
+    return null;
+  }
+  var children = condition.and || condition.or;
+  if (children) {
+    for (var i = 0; i < children.length; i++) {
+      var childError = validateCondition_(columns, children[i]);
+      if (childError) {
+        return childError;
+      }
+    }
+    return null;
+  }
+  if (!columns.has(condition.column)) {
+    return condition.column + " does not exist as a column name";
+  }
+  var op = condition.op || "=";
+  if (QUERY_OPERATORS_.indexOf(op) == -1) {
+    return op + " is not a valid operator";
+  }
+  if ((op == "between" || op == "in") && !Array.isArray(condition.value)) {
+    return "the " + op + " operator requires a list value";
+  }
+  return null;
+}
+
+/**
+ * Function to test a row dictionary against a (possibly nested) condition
+ *
+ * @param {object} row: the row dictionary {fieldName: data} to test
+ * @param {object} condition: the condition to test the row against - a null condition matches every row
+ * @return {bool} returns true if the row satisfies the condition and false otherwise
+ */
+function matchesCondition_(row, condition) {
+  if (condition == null) {
+    return true;
+  }
+  if (condition.and) {
+    return condition.and.every(function (child) { return matchesCondition_(row, child); });
+  }
+  if (condition.or) {
+    return condition.or.some(function (child) { return matchesCondition_(row, child); });
+  }
+  // getRowAsDict drops empty cells so treat a missing field as an empty string
+  var cell = row[condition.column] == null ? "" : row[condition.column];
+  var value = condition.value;
+  // the comparison operators never match an empty cell or a value of another kind (see compareCondition_)
+  var compared = function (other, test) {
+    var order = compareCondition_(cell, other);
+    return order != null && test(order);
+  };
+  switch (condition.op || "=") {
+    case "=":
+      return isEmptyValue_(value) ? cell === "" : compared(value, function (order) { return order == 0; });
+    case "!=":
+      return isEmptyValue_(value) ? cell !== "" : compared(value, function (order) { return order != 0; });
+    case "<":
+      return compared(value, function (order) { return order < 0; });
+    case "<=":
+      return compared(value, function (order) { return order <= 0; });
+    case ">":
+      return compared(value, function (order) { return order > 0; });
+    case ">=":
+      return compared(value, function (order) { return order >= 0; });
+    case "between":
+      return compared(value[0], function (order) { return order >= 0; }) && compared(value[1], function (order) { return order <= 0; });
+    case "contains":
+      return String(cell).toLowerCase().indexOf(String(value).toLowerCase()) != -1;
+    case "startsWith":
+      return String(cell).toLowerCase().indexOf(String(value).toLowerCase()) == 0;
+    case "in":
+      return value.some(function (option) { return isEmptyValue_(option) ? cell === "" : compared(option, function (order) { return order == 0; }); });
+  }
+  return false;
+}
+
+/**
+ * Function to compare a cell with the value of a condition - a date is compared as a date with a string or number that can be read
+ * as one (a string that holds a number is a number, see getValueRank_). An empty cell or value, or two values that are still of different
+ * kinds, cannot be compared, so they match none of =, !=, <, <=, >, >=, between and in.
+ *
+ * @param {object} cell: the value of the cell ("" if it is empty)
+ * @param {object} value: the value of the condition
+ * @return {integer} returns the result of compareValues_, or null if the values cannot be compared
+ */
+function compareCondition_(cell, value) {
+  var pair = coerceValues_(cell, value);
+  var rank = getValueRank_(pair[0]);
+  if (rank == 0 || rank != getValueRank_(pair[1])) {
+    return null;
+  }
+  return compareValues_(pair[0], pair[1]);
+}
+
+/**
+ * Function to compare two values from a sheet or query - the values are put in a total order, so that sorting is consistent: values
+ * of different kinds are ordered empty ("" or null) < boolean < number < date < string, whatever they hold (see compareCondition_
+ * for comparing a cell with the value of a condition)
+ *
+ * @param {object} a: the first value
+ * @param {object} b: the second value
+ * @return {integer} returns a negative number if a < b, 0 if they are equal and a positive number if a > b
+ */
+function compareValues_(a, b) {
+  var rankA = getValueRank_(a);
+  var rankB = getValueRank_(b);
+  if (rankA != rankB) {
+    return rankA - rankB;
+  }
+  if (rankA == 0) {
+    return 0;
+  }
+  if (rankA == 3) {
+    a = a.getTime();
+    b = b.getTime();
+  } else if (rankA == 1 || rankA == 2) {
+    a = Number(a);
+    b = Number(b);
+  } else if (rankA == 4) {
+    a = String(a);
+    b = String(b);
+  }
+  // an invalid date or NaN sorts before every other value of its kind
+  if (a !== a || b !== b) {
+    return (a !== a ? 0 : 1) - (b !== b ? 0 : 1);
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Function to convert one of two values to the kind of the other where a condition compares them as the same kind
+ *
+ * @param {object} a: the first value
+ * @param {object} b: the second value
+ * @return {object} returns the list [a, b] after the conversion
+ */
+function coerceValues_(a, b) {
+  var asDate = function (value) {
+    var date = typeof value == "number" || (typeof value == "string" && value.trim() !== "") ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : value;
+  };
+  if (a instanceof Date && !(b instanceof Date)) {
+    return [a, asDate(b)];
+  }
+  if (b instanceof Date && !(a instanceof Date)) {
+    return [asDate(a), b];
+  }
+  return [a, b];
+}
+
+/**
+ * Function to find the kind of a value, in the order compareValues_ puts values of different kinds in
+ *
+ * @param {object} value: the value
+ * @return {integer} returns 0 for an empty value ("" or null), 1 for a boolean, 2 for a number or a string that holds one (e.g. "2"),
+ *                   3 for a date and 4 for anything else
+ */
+function getValueRank_(value) {
+  if (isEmptyValue_(value)) {
+    return 0;
+  }
+  if (typeof value == "boolean") {
+    return 1;
+  }
+  if (typeof value == "number" || (typeof value == "string" && value.trim() !== "" && isFinite(Number(value)))) {
+    return 2;
+  }
+  return value instanceof Date ? 3 : 4;
+}
+
+/**
+ * Function to check whether a value is empty - an empty cell reads as "", and getRowAsDict leaves it out of the row
+ *
+ * @param {object} value: the value
+ * @return {bool} returns true for "", null and undefined
+ */
+function isEmptyValue_(value) {
+  return value === "" || value == null;
+}
+
+/**
+ * Function to convert the orderBy value of a query into a list of {column, direction} dictionaries
+ *
+ * @param {object} orderBy: a column name, a {column, direction} dictionary or a list of either
+ * @return {object} returns a list of {column, direction} dictionaries (direction is "asc" or "desc")
+ */
+function normalizeOrderBy_(orderBy) {
+  if (orderBy == null) {
+    return [];
+  }
+  if (!Array.isArray(orderBy)) {
+    orderBy = [orderBy];
+  }
+  return orderBy.map(function (key) {
+    if (typeof key == "string") {
+      return { column: key, direction: "asc" };
+    }
+    return { column: key.column, direction: String(key.direction || "asc").toLowerCase() };
+  });
+}
+
+/**
+ * Function to sort a list of row dictionaries in place (rows that compare equal keep their sheet order)
+ *
+ * @param {object} rows: the list of row dictionaries to sort
+ * @param {object} orderBy: the orderBy value of the query
+ */
+function sortRows_(rows, orderBy) {
+  var keys = normalizeOrderBy_(orderBy);
+  if (keys.length == 0) {
+    return;
+  }
+  rows.sort(function (rowA, rowB) { return compareSortKeys_(rowA, rowB, keys); });
+}
+
+/**
+ * Function to compare two rows by the sort keys of a query
+ *
+ * @param {object} rowA: the first row dictionary
+ * @param {object} rowB: the second row dictionary
+ * @param {object} keys: the list of {column, direction} dictionaries to sort by
+ * @return {integer} returns a negative number if rowA sorts first, 0 if they sort together and a positive number if rowB sorts first
+ */
+function compareSortKeys_(rowA, rowB, keys) {
+  for (var i = 0; i < keys.length; i++) {
+    var a = rowA[keys[i].column];
+    var b = rowB[keys[i].column];
+    // empty values always sort last
+    if (a == null || b == null) {
+      if (a == null && b == null) {
+        continue;
+      }
+      return a == null ? 1 : -1;
+    }
+    var result = compareValues_(a, b) || 0;
+    if (result != 0) {
+      return keys[i].direction == "desc" ? -result : result;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Function to apply the offset and limit of a query to a list of rows
+ *
+ * @param {object} rows: the sorted list of row dictionaries
+ * @param {integer} offset: the number of rows to skip (defaults to 0)
+ * @param {integer} limit: the maximum number of rows to return (defaults to all of them)
+ * @return {object} returns the requested slice of rows
+ */
+function pageRows_(rows, offset, limit) {
+  var start = offset || 0;
+  var end = limit == null ? rows.length : start + limit;
+  return rows.slice(start, end);
+}
+
+/**
+ * Function to convert a list of rows into a dictionary {ID: row}, keeping only the requested columns
+ *
+ * @param {object} rows: the list of row dictionaries
+ * @param {object} columns: the list of field names to keep (null or empty keeps every field)
+ * @return {object} returns a dictionary of dictionaries {ID: {fieldName: data}} in the order of rows (see asList at the top of this file)
+ */
+function rowListToDict_(rows, columns) {
+  var rowDict = {};
+  var projected = projectRows_(rows, columns);
+  for (var i = 0; i < rows.length; i++) {
+    rowDict[rows[i]["ID"]] = projected[i];
+  }
+  return rowDict;
+}
+
+/**
+ * Function to keep only the requested columns of a list of rows
+ *
+ * @param {object} rows: the list of row dictionaries
+ * @param {object} columns: the list of field names to keep (null or empty keeps every field)
+ * @return {object} returns the list of row dictionaries, in the same order
+ */
+function projectRows_(rows, columns) {
+  if (!columns || columns.length == 0) {
+    return rows;
+  }
+  return rows.map(function (row) {
+    var projected = {};
+    for (var j = 0; j < columns.length; j++) {
+      if (row[columns[j]] != null) {
+        projected[columns[j]] = row[columns[j]];
+      }
+    }
+    return projected;
+  });
+}
@@ -0,0 +1,627 @@
+/**
+ * This file contains functions to declare foreign key relationships between sheets (possibly in different spreadsheets)
+ * and to enforce them when rows are read, created, updated, deleted and undeleted through accessDatabase.
+ *
+ * A relationship says that the values in a column of a child sheet refer to the values of a column (normally ID) in a parent sheet,
+ * e.g. Task.MatterID -> Matter.ID. Relationships are stored as JSON in the "relationships" script property so that every caller sees them.
+ *
+ * Every relationship has an onDelete policy that is applied when parent rows are deleted:
+ *   - "restrict": refuse to delete a parent row while valid child rows still refer to it
+ *   - "cascade":  delete the child rows as well (and undo their deletion when the parent's deletion is undone)
+ *   - "setNull":  clear the reference in the child rows
+ *
+ * The child rows a delete cascades to are recorded, before anything is deleted, in a hidden "_Cascades" sheet of the parent's spreadsheet
+ * (one row per child row), so that undoing the delete restores exactly those rows. The records of a row are dropped when it is restored
+ * or purged, and a BATCH that is rolled back puts back the records it changed.
+ */
+
+// Name of the script property that the list of relationships is stored under
+const RELATIONSHIPS_PROPERTY_ = "relationships";
+// List of the valid onDelete policies
+const DELETE_POLICIES_ = ["restrict", "cascade", "setNull"];
+// Name of the hidden sheet that records the child rows each deleted row cascaded to (see readCascades_)
+const CASCADE_SHEET_NAME_ = "_Cascades";
+// Columns of the cascade sheet - one row for each child row that the delete of a row of SheetName cascaded to
+const CASCADE_COLUMNS_ = ["SheetName", "RowID", "ChildSpreadsheetID", "ChildSheetName", "ChildID"];
+
+// ---------------------------------------- REGISTRATION -------------------------------------------------
+
+/**
+ * Function to declare (or replace) a relationship between a column of a child sheet and a column of a parent sheet
+ *
+ * @param {string} name: the unique name of the relationship - also the field name that related rows are expanded into on READ
+ * @param {string} childSpreadsheetID: the id of the spreadsheet holding the child sheet
+ * @param {string} childSheetName: the name of the child sheet (e.g. "Task")
+ * @param {string} childColumn: the name of the column in the child sheet that holds the reference (e.g. "MatterID")
+ * @param {string} parentSpreadsheetID: the id of the spreadsheet holding the parent sheet
+ * @param {string} parentSheetName: the name of the parent sheet (e.g. "Matter")
+ * @param {string} onDelete: the policy applied when a parent row is deleted - "restrict", "cascade" or "setNull" (defaults to "restrict")
+ * @param {string} parentColumn: the name of the column in the parent sheet being referred to (defaults to "ID")
+ * @return {object} returns the relationship that was stored, or null if the inputs are invalid
+ */
+function registerRelationship(name, childSpreadsheetID, childSheetName, childColumn, parentSpreadsheetID, parentSheetName, onDelete, parentColumn) {
+  onDelete = onDelete || "restrict";
+  if (!name || !childSpreadsheetID || !childSheetName || !childColumn || !parentSpreadsheetID || !parentSheetName) {
+    Logger.log("Every sheet and column must be given in a call to registerRelationship");
+    return;
+  }
+  if (DELETE_POLICIES_.indexOf(onDelete) == -1) {
+    Logger.log(onDelete + " is not a valid onDelete policy. Use one of: " + DELETE_POLICIES_.join(", "));
+    return;
+  }
+  var relationship = {
+    name: name,
+    childSpreadsheetID: childSpreadsheetID,
+    childSheetName: childSheetName,
+    childColumn: childColumn,
+    parentSpreadsheetID: parentSpreadsheetID,
+    parentSheetName: parentSheetName,
+    parentColumn: parentColumn || "ID",
+    onDelete: onDelete
+  };
+  // replace any relationship with the same name and store the list
+  return withScriptLock_(function () {
+    var relationships = getRelationships_().filter(function (other) { return other.name != name; });
+    relationships.push(relationship);
+    getStorage_().getProperties().setProperty(RELATIONSHIPS_PROPERTY_, JSON.stringify(relationships));
+    return relationship;
+  });
+}
+
+/**
+ * Function to remove a relationship
+ *
+ * @param {string} name: the name of the relationship to remove
+ * @return {bool} returns true if a relationship was removed and false if none had that name
+ */
+function removeRelationship(name) {
+  return withScriptLock_(function () {
+    var relationships = getRelationships_();
+    var remaining = relationships.filter(function (relationship) { return relationship.name != name; });
+    getStorage_().getProperties().setProperty(RELATIONSHIPS_PROPERTY_, JSON.stringify(remaining));
+    return remaining.length != relationships.length;
+  });
+}
+
+/**
+ * Function to return every declared relationship
+ *
+ * @return {object} returns a list of relationship dictionaries (see registerRelationship)
+ */
+function getRelationships_() {
+  var stored = getStorage_().getProperties().getProperty(RELATIONSHIPS_PROPERTY_);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Function to return the relationships in which the given sheet is the child (parents = true) or the parent (parents = false)
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {bool} parents: true to return the relationships pointing from this sheet to its parents, false for those pointing at it
+ * @return {object} returns a list of relationship dictionaries
+ */
+function getSheetRelationships_(sheet, parents) {
+  var spreadsheetID = sheet.getParent().getId();
+  var sheetName = sheet.getName();
+  return getRelationships_().filter(function (relationship) {
+    if (parents) {
+      return relationship.childSpreadsheetID == spreadsheetID && relationship.childSheetName == sheetName;
+    }
+    return relationship.parentSpreadsheetID == spreadsheetID && relationship.parentSheetName == sheetName;
+  });
+}
+
+// -------------------------------------------- READ -----------------------------------------------------
+
+/**
+ * Function to list the sheets on the other side of the relationships that a READ or QUERY expands
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet of the sheet being read
+ * @param {string} sheetName: the name of the sheet being read
+ * @param {object} names: a list of the names of the relationships to expand
+ * @return {object} returns a list of {name, spreadsheetID, sheetName} - names that are not relationships of the sheet are left out
+ */
+function getExpandedSheets_(spreadsheetID, sheetName, names) {
+  var related = [];
+  getRelationships_().forEach(function (relationship) {
+    if (names.indexOf(relationship.name) == -1) {
+      return;
+    }
+    if (relationship.childSpreadsheetID == spreadsheetID && relationship.childSheetName == sheetName) {
+      related.push({ name: relationship.name, spreadsheetID: relationship.parentSpreadsheetID, sheetName: relationship.parentSheetName });
+    } else if (relationship.parentSpreadsheetID == spreadsheetID && relationship.parentSheetName == sheetName) {
+      related.push({ name: relationship.name, spreadsheetID: relationship.childSpreadsheetID, sheetName: relationship.childSheetName });
+    }
+  });
+  return related;
+}
+
+/**
+ * Function to add the rows related to each row of a READ result into that row, under the name of the relationship
+ *   - when the sheet is the child, the field holds the parent row dictionary (or is left out if there is no valid parent)
+ *   - when the sheet is the parent, the field holds a dictionary of the valid child rows {ID: {fieldName: data}}
+ * The related rows are limited by the access control of their own sheet (see SHEETS_ACCESS.js) - checkAccess_ has already refused the
+ * call if the user may not READ a related sheet, and with rows: "own" only the rows the user created are added.
+ *
+ * @param {object} sheet: the instance of the sheet that was read
+ * @param {object} rowDict: the dictionary of dictionaries {ID: {fieldName: data}} returned by the read, or the list of rows of a query
+ *                         with asList
+ * @param {object} names: a list of the names of the relationships to expand
+ * @return {object} returns rowDict with the related rows added, or null (INVALID_INPUT) if a name is not a relationship of this sheet
+ */
+function expandRows_(sheet, rowDict, names) {
+  if (!rowDict || !names || names.length == 0) {
+    return rowDict;
+  }
+  var childOf = getSheetRelationships_(sheet, true);
+  var parentOf = getSheetRelationships_(sheet, false);
+  var known = childOf.concat(parentOf).map(function (relationship) { return relationship.name; });
+  var unknown = names.filter(function (name) { return known.indexOf(name) == -1; });
+  if (unknown.length > 0) {
+    fail_("INVALID_INPUT", unknown[0] + " is not a relationship of " + sheet.getName());
+    return;
+  }
+  var rows = Object.keys(rowDict).map(function (id) { return rowDict[id]; });
+  for (var i = 0; i < names.length; i++) {
+    var asChild = childOf.filter(function (relationship) { return relationship.name == names[i]; })[0];
+    var asParent = parentOf.filter(function (relationship) { return relationship.name == names[i]; })[0];
+    if (asChild) {
+      // look up the parent row of every row and store it under the relationship name
+      var createdBy = getExpandCreator_(asChild.parentSpreadsheetID, asChild.parentSheetName);
+      var parents = readRelatedRows_(asChild.parentSpreadsheetID, asChild.parentSheetName, asChild.parentColumn, collectValues_(rows, asChild.childColumn), createdBy);
+      rows.forEach(function (row) {
+        var parent = parents[row[asChild.childColumn]];
+        if (parent) {
+          row[asChild.name] = parent[0];
+        }
+      });
+    } else {
+      // look up the child rows of every row and store them under the relationship name
+      var createdBy = getExpandCreator_(asParent.childSpreadsheetID, asParent.childSheetName);
+      var children = readRelatedRows_(asParent.childSpreadsheetID, asParent.childSheetName, asParent.childColumn, collectValues_(rows, asParent.parentColumn), createdBy);
+      rows.forEach(function (row) {
+        row[asParent.name] = {};
+        (children[row[asParent.parentColumn]] || []).forEach(function (child) {
+          row[asParent.name][child["ID"]] = child;
+        });
+      });
+    }
+  }
+  return rowDict;
+}
+
+/**
+ * Function to find out whether the rows added from a related sheet are limited to the ones the user created
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the related sheet
+ * @param {string} sheetName: the name of the related sheet
+ * @return {string} returns the email address of the user if only their rows may be read, and null otherwise
+ */
+function getExpandCreator_(spreadsheetID, sheetName) {
+  return checkAccess_("READ", spreadsheetID, sheetName, []).ownRowsOnly ? getUserEmail_() : null;
+}
+
+// ---------------------------------------- CREATE / UPDATE ----------------------------------------------
+
+/**
+ * Function to check that every reference in a list of new or updated rows points at an existing, valid parent row
+ *
+ * @param {object} sheet: the instance of the sheet being written to
+ * @param {object} inputData: a list of dictionaries {fieldName: data} about to be passed to create_ or update_
+ * @return {object} returns a list of field-level errors {row: index in inputData, field, message}, one per bad reference
+ *                  (empty if every reference is valid)
+ */
+function checkReferences_(sheet, inputData) {
+  var errors = [];
+  var relationships = getSheetRelationships_(sheet, true);
+  for (var i = 0; i < relationships.length; i++) {
+    var relationship = relationships[i];
+    var values = collectValues_(inputData, relationship.childColumn);
+    if (values.length == 0) {
+      continue;
+    }
+    var parents = readRelatedRows_(relationship.parentSpreadsheetID, relationship.parentSheetName, relationship.parentColumn, values);
+    inputData.forEach(function (row, index) {
+      var value = row[relationship.childColumn];
+      if (value != null && value !== "" && !parents[value]) {
+        errors.push({ row: index, field: relationship.childColumn, message: relationship.childColumn + " " + value + " does not refer to a valid row of " + relationship.parentSheetName });
+      }
+    });
+  }
+  return errors;
+}
+
+// ------------------------------------------- DELETE ----------------------------------------------------
+
+/**
+ * Function to delete rows and apply the onDelete policy of every relationship that points at them
+ * Nothing is deleted if a "restrict" relationship (at any depth of the cascade) still has valid child rows.
+ *
+ * @param {object} sheet: the instance of the sheet we wish to delete from
+ * @param {string} columnName: the name of the column that we are comparing values in for deletion
+ * @param {object} rowValues: the values that we use to compare for deletion
+ * @return {object} returns the output of delete_ for the given sheet - rows deleted by a cascade are not included
+ *                  - returns null if the delete is restricted or the inputs are invalid
+ */
+function deleteRelated_(sheet, columnName, rowValues) {
+  if (!rowValues || rowValues.length == 0) {
+    return delete_(sheet, columnName, rowValues);
+  }
+  // work out every row that will be deleted or cleared before anything is written
+  var plan = { deletes: {}, clears: [], cascades: {} };
+  var rootRows = read_(sheet, columnName, rowValues);
+  if (!rootRows) {
+    return;
+  }
+  var restriction = planDelete_(sheet, Object.keys(rootRows).map(function (id) { return rootRows[id]; }), plan);
+  if (restriction) {
+    fail_("RESTRICTED", "Could not delete from " + sheet.getName() + ": " + restriction);
+    return;
+  }
+  // record which child rows each deleted row cascades to before anything is deleted, so that undoing the delete restores exactly those rows
+  Object.keys(plan.deletes).forEach(function (key) {
+    updateCascades_(plan.deletes[key].sheet, plan.cascades[key] || {}, Array.from(plan.deletes[key].ids));
+  });
+  const dateTime = getDatetime_();
+  var rootKey = getSheetKey_(sheet);
+  var deletedRows = delete_(sheet, columnName, rowValues, dateTime);
+  Object.keys(plan.deletes).forEach(function (key) {
+    if (key != rootKey) {
+      delete_(plan.deletes[key].sheet, "ID", Array.from(plan.deletes[key].ids), dateTime);
+    }
+  });
+  plan.clears.forEach(function (clear) {
+    clearReferences_(clear.sheet, clear.column, clear.ids, dateTime);
+  });
+  return deletedRows;
+}
+
+/**
+ * Function to add the rows about to be deleted from a sheet (and, recursively, their cascaded children) to a delete plan
+ *
+ * @param {object} sheet: the instance of the sheet the rows belong to
+ * @param {object} rows: a list of the valid row dictionaries about to be deleted
+ * @param {object} plan: the plan being built - {deletes: {sheetKey: {sheet, ids}}, clears: [{sheet, column, ids}],
+ *                       cascades: {sheetKey: {ID: {childSheetKey: [child IDs]}}}}
+ * @return {string} returns a description of the restriction that stops the delete, or null if it can go ahead
+ */
+function planDelete_(sheet, rows, plan) {
+  var key = getSheetKey_(sheet);
+  plan.deletes[key] = plan.deletes[key] || { sheet: sheet, ids: new Set() };
+  // skip rows that are already part of the plan so that circular relationships terminate
+  rows = rows.filter(function (row) { return !plan.deletes[key].ids.has(row["ID"]); });
+  rows.forEach(function (row) { plan.deletes[key].ids.add(row["ID"]); });
+  if (rows.length == 0) {
+    return null;
+  }
+  var relationships = getSheetRelationships_(sheet, false);
+  for (var i = 0; i < relationships.length; i++) {
+    var relationship = relationships[i];
+    var childSheet = getTableSheet_(getStorage_().openSpreadsheet(relationship.childSpreadsheetID), relationship.childSheetName);
+    var values = collectValues_(rows, relationship.parentColumn);
+    if (!childSheet || values.length == 0) {
+      continue;
+    }
+    var children = read_(childSheet, relationship.childColumn, values) || {};
+    var childKey = getSheetKey_(childSheet);
+    var childRows = Object.keys(children).filter(function (id) {
+      return !(plan.deletes[childKey] && plan.deletes[childKey].ids.has(id));
+    }).map(function (id) { return children[id]; });
+    if (childRows.length == 0) {
+      continue;
+    }
+    if (relationship.onDelete == "restrict") {
+      return childRows.length + " row(s) of " + relationship.childSheetName + " still refer to it through " + relationship.name;
+    } else if (relationship.onDelete == "cascade") {
+      planCascade_(sheet, rows, relationship, childSheet, childRows, plan);
+      var restriction = planDelete_(childSheet, childRows, plan);
+      if (restriction) {
+        return restriction;
+      }
+    } else {
+      plan.clears.push({ sheet: childSheet, column: relationship.childColumn, ids: childRows.map(function (row) { return row["ID"]; }) });
+    }
+  }
+  return null;
+}
+
+/**
+ * Function to add the child rows that a "cascade" relationship deletes to the cascades of their parent rows in a delete plan
+ *
+ * @param {object} sheet: the instance of the parent sheet
+ * @param {object} rows: a list of the parent row dictionaries being deleted
+ * @param {object} relationship: the "cascade" relationship being followed
+ * @param {object} childSheet: the instance of the child sheet
+ * @param {object} childRows: a list of the child row dictionaries being deleted because of the parent rows
+ * @param {object} plan: the plan being built (see planDelete_)
+ */
+function planCascade_(sheet, rows, relationship, childSheet, childRows, plan) {
+  var key = getSheetKey_(sheet);
+  var childKey = getSheetKey_(childSheet);
+  plan.cascades[key] = plan.cascades[key] || {};
+  rows.forEach(function (row) {
+    var ids = childRows.filter(function (child) { return child[relationship.childColumn] == row[relationship.parentColumn]; }).map(function (child) { return child["ID"]; });
+    if (ids.length == 0) {
+      return;
+    }
+    var cascades = plan.cascades[key][row["ID"]] = plan.cascades[key][row["ID"]] || {};
+    cascades[childKey] = (cascades[childKey] || []).concat(ids);
+  });
+}
+
+/**
+ * Function to clear a reference column (in place) in the valid rows with the given IDs - used by the "setNull" policy
+ *
+ * @param {object} sheet: the instance of the child sheet
+ * @param {string} columnName: the name of the reference column to clear
+ * @param {object} ids: a list of the IDs of the rows to clear
+ * @param {object} dateTime: the date to store as DateModified
+ */
+function clearReferences_(sheet, columnName, ids, dateTime) {
+  var found = findRows_(sheet, "ID", ids);
+  var colIndex = found.header.indexOf(columnName);
+  var validIndex = found.header.indexOf("Valid");
+  var modifierIndex = found.header.indexOf("ModifiedBy");
+  var modifiedIndex = found.header.indexOf("DateModified");
+  var changedRows = found.rows.filter(function (row) { return row.values[validIndex]; });
+  changedRows.forEach(function (row) {
+    var before = getRowAsDict(found.header, row.values);
+    row.values[colIndex] = "";
+    row.values[modifierIndex] = getUserName_();
+    row.values[modifiedIndex] = dateTime;
+    recordChange_(sheet, before, getRowAsDict(found.header, row.values));
+  });
+  writeRowCells_(sheet, changedRows, [colIndex, modifierIndex, modifiedIndex]);
+  // the reference column changed in place so the indexes of the sheet have to be rebuilt
+  invalidateIndexes_(sheet);
+}
+
+// ----------------------------------------- UNDO DELETE --------------------------------------------------
+
+/**
+ * Function to undo a delete and follow the relationships of the restored rows
+ *   - rows of child sheets that were deleted by a "cascade" when a restored row was deleted are restored too
+ *   - if a restored row refers to a parent row that is no longer valid, the relationship's policy decides what happens:
+ *     "restrict" refuses to restore the row, "cascade" restores the parent as well and "setNull" clears the reference
+ *
+ * @param {object} sheet: the sheet that this operation is taking place on
+ * @param {string} columnName: the field name for the column that we are using to determine which row to revalidate
+ * @param {object} rowValues: the values that we use to compare for undoing deletion
+ * @return {object} returns the output of undoDelete_ for the given sheet, or null if the undo is restricted
+ */
+function undoDeleteRelated_(sheet, columnName, rowValues) {
+  // find the rows that are about to be restored without writing anything
+  var candidates = findLatestRows_(sheet, columnName, rowValues, false);
+  if (!candidates) {
+    return;
+  }
+  var candidateRows = candidates.filter(function (row) { return !row["Valid"]; });
+  // check that no restored row would refer to a deleted parent through a "restrict" relationship
+  var parentOf = getSheetRelationships_(sheet, true);
+  for (var i = 0; i < parentOf.length; i++) {
+    var missing = findMissingParents_(parentOf[i], candidateRows);
+    if (missing.length > 0 && parentOf[i].onDelete == "restrict") {
+      fail_("RESTRICTED", "Could not undo delete in " + sheet.getName() + ": " + parentOf[i].childColumn + " refers to deleted row(s) " + missing.join(", ") + " of " + parentOf[i].parentSheetName);
+      return;
+    }
+  }
+  var restoredRows = undoDelete_(sheet, columnName, rowValues);
+  var restoredIDs = candidateRows.map(function (row) { return row["ID"]; });
+  // restore or detach the parents of the restored rows
+  for (var i = 0; i < parentOf.length; i++) {
+    var relationship = parentOf[i];
+    var missing = findMissingParents_(relationship, candidateRows);
+    if (missing.length == 0) {
+      continue;
+    }
+    if (relationship.onDelete == "cascade") {
+      var parentSheet = getTableSheet_(getStorage_().openSpreadsheet(relationship.parentSpreadsheetID), relationship.parentSheetName);
+      undoDeleteRelated_(parentSheet, relationship.parentColumn, missing);
+    } else if (relationship.onDelete == "setNull") {
+      var missingSet = new Set(missing);
+      var detached = candidateRows.filter(function (row) { return missingSet.has(row[relationship.childColumn]); });
+      clearReferences_(sheet, relationship.childColumn, detached.map(function (row) { return row["ID"]; }), getDatetime_());
+    }
+  }
+  // restore the child rows that were cascaded when the restored rows were deleted
+  var cascades = readCascades_(sheet);
+  var childOf = getSheetRelationships_(sheet, false).filter(function (relationship) { return relationship.onDelete == "cascade"; });
+  for (var i = 0; i < childOf.length; i++) {
+    var relationship = childOf[i];
+    var childSheet = getTableSheet_(getStorage_().openSpreadsheet(relationship.childSpreadsheetID), relationship.childSheetName);
+    if (!childSheet) {
+      continue;
+    }
+    var childKey = getSheetKey_(childSheet);
+    var childIDs = [];
+    restoredIDs.forEach(function (id) { childIDs = childIDs.concat((cascades[id] || {})[childKey] || []); });
+    // only restore the cascaded children that are still deleted
+    var children = childIDs.length == 0 ? [] : (findLatestRows_(childSheet, "ID", childIDs, true) || []).filter(function (child) { return !child["Valid"]; });
+    if (children.length > 0) {
+      undoDeleteRelated_(childSheet, "ID", children.map(function (child) { return child["ID"]; }));
+    }
+  }
+  updateCascades_(sheet, {}, restoredIDs);
+  Logger.log("Restored " + restoredIDs.length + " row(s) of " + sheet.getName());
+  return restoredRows;
+}
+
+/**
+ * Function to get the child rows that the deleted rows of a sheet cascaded to when they were deleted
+ *
+ * @param {object} sheet: the instance of the parent sheet
+ * @return {object} returns a dictionary {ID: {childSheetKey: [child IDs]}} of the deleted rows whose delete cascaded
+ */
+function readCascades_(sheet) {
+  var cascades = {};
+  var cascadeSheet = getCascadeSheet_(sheet.getParent(), false);
+  if (!cascadeSheet) {
+    return cascades;
+  }
+  cascadeSheet.getDataRange().getValues().slice(1).forEach(function (row) {
+    if (row[0] == sheet.getName()) {
+      var childKey = row[2] + "/" + row[3];
+      cascades[row[1]] = cascades[row[1]] || {};
+      cascades[row[1]][childKey] = (cascades[row[1]][childKey] || []).concat([row[4]]);
+    }
+  });
+  return cascades;
+}
+
+/**
+ * Function to replace the records of the child rows that rows of a sheet cascaded to - only called while holding the write lock on the sheet
+ * The cascade sheet is shared by every sheet of the spreadsheet, so it is changed while holding the script lock.
+ *
+ * @param {object} sheet: the instance of the parent sheet
+ * @param {object} rowCascades: a dictionary {ID: {childSheetKey: [child IDs]}} of the records to add
+ * @param {object} ids: the list of the IDs whose records are removed first - null removes every record of the sheet
+ */
+function updateCascades_(sheet, rowCascades, ids) {
+  var added = [];
+  Object.keys(rowCascades).forEach(function (id) {
+    Object.keys(rowCascades[id]).forEach(function (childKey) {
+      var separator = childKey.indexOf("/");
+      rowCascades[id][childKey].forEach(function (childID) {
+        added.push([sheet.getName(), id, childKey.substring(0, separator), childKey.substring(separator + 1), childID]);
+      });
+    });
+  });
+  withScriptLock_(function () {
+    var cascadeSheet = getCascadeSheet_(sheet.getParent(), added.length > 0);
+    if (!cascadeSheet) {
+      return;
+    }
+    var idSet = ids ? new Set(ids.map(String)) : null;
+    var removed = [];
+    cascadeSheet.getDataRange().getValues().forEach(function (row, i) {
+      if (i > 0 && row[0] == sheet.getName() && (!idSet || idSet.has(String(row[1])))) {
+        removed.push(i + 1);
+      }
+    });
+    // remove the old records from the bottom up so that the row numbers above stay correct
+    groupRowNumbers_(removed).reverse().forEach(function (run) { deleteSheetRows_(cascadeSheet, run[0], run[1]); });
+    if (added.length > 0) {
+      cascadeSheet.getRange(cascadeSheet.getLastRow() + 1, 1, added.length, CASCADE_COLUMNS_.length).setValues(added);
+    }
+  });
+}
+
+/**
+ * Function to get the hidden sheet that the child rows each deleted row cascaded to are recorded in
+ *
+ * @param {object} spreadsheet: the instance of the spreadsheet holding the parent sheets
+ * @param {bool} create: true to create the sheet if it does not exist
+ * @return {object} returns the cascade sheet, or null if it does not exist and create is false
+ */
+function getCascadeSheet_(spreadsheet, create) {
+  var cascadeSheet = spreadsheet.getSheetByName(CASCADE_SHEET_NAME_);
+  if (!cascadeSheet && create) {
+    cascadeSheet = spreadsheet.insertSheet(CASCADE_SHEET_NAME_);
+    cascadeSheet.getRange(1, 1, 1, CASCADE_COLUMNS_.length).setValues([CASCADE_COLUMNS_]);
+    cascadeSheet.setFrozenRows(1);
+    cascadeSheet.hideSheet();
+  }
+  return cascadeSheet;
+}
+
+/**
+ * Function to find the most recent rows (by position in the sheet) whose value in a column is in a list of values
+ *
+ * @param {object} sheet: the instance of the sheet to search
+ * @param {string} columnName: the name of the column to compare values in
+ * @param {object} rowValues: the values to compare against
+ * @param {bool} perID: true to return the most recent row for each ID, false for each value (the rows undoDelete_ would restore)
+ * @return {object} returns a list of row dictionaries (valid or not), or null if the column does not exist
+ */
+function findLatestRows_(sheet, columnName, rowValues, perID) {
+  var found = findRows_(sheet, columnName, rowValues);
+  var colIndex = found.header.indexOf(columnName);
+  if (colIndex == -1) {
+    fail_("COLUMN_NOT_FOUND", columnName + " does not exist as a column name in " + sheet.getName());
+    return;
+  }
+  var seen = new Set();
+  var rows = [];
+  var key;
+  for (var i = found.rows.length - 1; i > -1; i--) {
+    key = perID ? found.rows[i].values[0] : found.rows[i].values[colIndex];
+    if (!seen.has(key)) {
+      seen.add(key);
+      rows.push(getRowAsDict(found.header, found.rows[i].values));
+    }
+  }
+  return rows;
+}
+
+/**
+ * Function to list the values that a set of child rows refer to which have no valid parent row
+ *
+ * @param {object} relationship: the relationship to check
+ * @param {object} rows: a list of child row dictionaries
+ * @return {object} returns a list of the referenced values that are missing from the parent sheet
+ */
+function findMissingParents_(relationship, rows) {
+  var values = collectValues_(rows, relationship.childColumn);
+  if (values.length == 0) {
+    return [];
+  }
+  var parents = readRelatedRows_(relationship.parentSpreadsheetID, relationship.parentSheetName, relationship.parentColumn, values);
+  return values.filter(function (value) { return !parents[value]; });
+}
+
+// ------------------------------------------ RELATIONSHIP HELPERS ----------------------------------------
+
+/**
+ * Function to read the valid rows of a related sheet whose value in a column is in a list of values, grouped by that value
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the related sheet
+ * @param {string} sheetName: the name of the related sheet
+ * @param {string} columnName: the name of the column to match values in
+ * @param {object} values: the list of values to match
+ * @param {string} createdBy: (optional) only return the rows created by this user
+ * @return {object} returns a dictionary {value: [row dictionaries]} - values with no valid rows are left out
+ */
+function readRelatedRows_(spreadsheetID, sheetName, columnName, values, createdBy) {
+  var grouped = {};
+  var sheet = getTableSheet_(getStorage_().openSpreadsheet(spreadsheetID), sheetName);
+  if (!sheet || values.length == 0) {
+    return grouped;
+  }
+  var rowDict = read_(sheet, columnName, values) || {};
+  Object.keys(rowDict).forEach(function (id) {
+    if (createdBy && rowDict[id]["CreatedBy"] != createdBy) {
+      return;
+    }
+    var value = rowDict[id][columnName];
+    grouped[value] = grouped[value] || [];
+    grouped[value].push(rowDict[id]);
+  });
+  return grouped;
+}
+
+/**
+ * Function to collect the distinct, non-empty values of a field across a list of row dictionaries
+ *
+ * @param {object} rows: a list of row dictionaries
+ * @param {string} fieldName: the name of the field to collect
+ * @return {object} returns a list of the distinct values
+ */
+function collectValues_(rows, fieldName) {
+  var values = new Set();
+  rows.forEach(function (row) {
+    if (row[fieldName] != null && row[fieldName] !== "") {
+      values.add(row[fieldName]);
+    }
+  });
+  return Array.from(values);
+}
+
+/**
+ * Function to build a key that identifies a sheet across spreadsheets
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @return {string} returns "<spreadsheetID>/<sheetName>"
+ */
+function getSheetKey_(sheet) {
+  return sheet.getParent().getId() + "/" + sheet.getName();
+}
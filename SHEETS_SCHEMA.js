@@ -0,0 +1,266 @@
+/**
+ * This file contains functions to declare a schema for a sheet and to enforce it whenever create_ or update_ writes rows.
+ *
+ * Schemas are stored in a hidden "_Schema" sheet in the same spreadsheet as the sheet they describe (one row per sheet, with the
+ * schema stored as JSON). A sheet without a schema behaves exactly as before. A schema is a dictionary of the following form:
+ *   {
+ *     strict: true,  // refuse fields that are not in columns instead of adding a new column to the sheet
+ *     columns: {
+ *       Email:  {type: "email", required: true, unique: true},
+ *       Status: {type: "enum", values: ["Open", "Closed"], default: "Open"},
+ *       Budget: {type: "number"},
+ *       Due:    {type: "date"}
+ *     }
+ *   }
+ * Column types can be "string", "number", "boolean", "date", "email" or "enum". Numbers, booleans and dates given as strings are converted.
+ */
+
+// Name of the hidden sheet that schemas are stored in
+const SCHEMA_SHEET_NAME_ = "_Schema";
+// List of the valid column types
+const SCHEMA_TYPES_ = ["string", "number", "boolean", "date", "email", "enum"];
+// Pattern that an email address must match
+const EMAIL_PATTERN_ = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ------------------------------------------ DECLARE SCHEMA -------------------------------------------------
+
+/**
+ * Function to store (or replace) the schema of a sheet
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet the schema describes
+ * @param {object} schema: the schema dictionary (see the top of this file) - null removes the schema
+ * @return {object} returns the schema that was stored, or null if the schema is badly formed
+ */
+function setSchema(spreadsheetID, sheetName, schema) {
+  if (schema) {
+    var schemaError = validateSchemaDefinition_(schema);
+    if (schemaError) {
+      Logger.log("The schema for " + sheetName + " is invalid: " + schemaError);
+      return;
+    }
+  }
+  var schemaSheet = getSchemaSheet_(getStorage_().openSpreadsheet(spreadsheetID), true);
+  var data = schemaSheet.getDataRange().getValues();
+  var rowIndex = getRowIndex_(data, sheetName, 0);
+  if (!schema) {
+    // remove the stored schema
+    if (rowIndex > 0) {
+      schemaSheet.deleteRow(rowIndex + 1);
+    }
+    return;
+  }
+  var newRow = [sheetName, JSON.stringify(schema), getDatetime_()];
+  if (rowIndex > 0) {
+    schemaSheet.getRange(rowIndex + 1, 1, 1, newRow.length).setValues([newRow]);
+  } else {
+    schemaSheet.getRange(data.length + 1, 1, 1, newRow.length).setValues([newRow]);
+  }
+  return schema;
+}
+
+/**
+ * Function to return the schema of a sheet
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @return {object} returns the schema dictionary, or null if the sheet has no schema
+ */
+function getSchema_(sheet) {
+  var schemaSheet = getSchemaSheet_(sheet.getParent(), false);
+  if (!schemaSheet) {
+    return null;
+  }
+  var data = schemaSheet.getDataRange().getValues();
+  var rowIndex = getRowIndex_(data, sheet.getName(), 0);
+  return rowIndex > 0 ? JSON.parse(data[rowIndex][1]) : null;
+}
+
+/**
+ * Function to get the hidden sheet that schemas are stored in
+ *
+ * @param {object} spreadsheet: the instance of the spreadsheet
+ * @param {bool} create: true to create the sheet if it does not exist
+ * @return {object} returns the schema sheet, or null if it does not exist and create is false
+ */
+function getSchemaSheet_(spreadsheet, create) {
+  var schemaSheet = spreadsheet.getSheetByName(SCHEMA_SHEET_NAME_);
+  if (!schemaSheet && create) {
+    schemaSheet = spreadsheet.insertSheet(SCHEMA_SHEET_NAME_);
+    schemaSheet.getRange(1, 1, 1, 3).setValues([["SheetName", "Schema", "DateModified"]]);
+    schemaSheet.setFrozenRows(1);
+    schemaSheet.hideSheet();
+  }
+  return schemaSheet;
+}
+
+/**
+ * Function to check that a schema dictionary is well formed
+ *
+ * @param {object} schema: the schema dictionary to check
+ * @return {string} returns a description of the first problem found, or null if the schema is valid
+ */
+function validateSchemaDefinition_(schema) {
+  if (typeof schema != "object" || Array.isArray(schema)) {
+    return "the schema must be a dictionary";
+  }
+  var columns = schema.columns || {};
+  if (typeof columns != "object" || Array.isArray(columns)) {
+    return "columns must be a dictionary of column definitions";
+  }
+  var names = Object.keys(columns);
+  for (var i = 0; i < names.length; i++) {
+    var definition = columns[names[i]];
+    if (SYSTEM_COLUMNS_.indexOf(names[i]) != -1) {
+      return names[i] + " is managed by the database and cannot be declared";
+    }
+    if (definition == null || typeof definition != "object" || Array.isArray(definition)) {
+      return "the definition of " + names[i] + " must be a dictionary such as {type: \"string\"}";
+    }
+    if (SCHEMA_TYPES_.indexOf(definition.type || "string") == -1) {
+      return definition.type + " is not a valid type for " + names[i];
+    }
+    if (definition.type == "enum" && !Array.isArray(definition.values)) {
+      return names[i] + " is an enum so it needs a list of values";
+    }
+    if (definition.default != null && checkFieldValue_(definition, definition.default).error) {
+      return "the default for " + names[i] + " does not match its type";
+    }
+  }
+  return null;
+}
+
+// ------------------------------------------ ENFORCE SCHEMA -------------------------------------------------
+
+/**
+ * Function to check a list of rows against the schema of a sheet, filling in defaults and converting values to their declared types
+ *
+ * @param {object} sheet: the instance of the sheet the rows are about to be written to
+ * @param {object} inputData: a list of dictionaries {fieldName: data} about to be written
+ * @return {object} returns a dictionary {rows, errors}
+ *                  - rows: a list of copies of the input rows with defaults filled in and values converted
+ *                  - errors: a list of field-level errors {row: index in inputData, field, message} (empty if every row is valid)
+ */
+function applySchema_(sheet, inputData) {
+  var schema = getSchema_(sheet);
+  if (!schema) {
+    return { rows: inputData, errors: [] };
+  }
+  var columns = schema.columns || {};
+  var names = Object.keys(columns);
+  var rows = [];
+  var errors = [];
+  for (var i = 0; i < inputData.length; i++) {
+    var row = Object.assign({}, inputData[i]);
+    // refuse fields that the schema does not know about (Version is kept up to date by patch_)
+    if (schema.strict) {
+      Object.keys(row).forEach(function (field) {
+        if (!columns[field] && SYSTEM_COLUMNS_.indexOf(field) == -1 && field != "Version") {
+          errors.push({ row: i, field: field, message: field + " is not a column of " + sheet.getName() });
+        }
+      });
+    }
+    for (var j = 0; j < names.length; j++) {
+      var definition = columns[names[j]];
+      // fill in missing values with the default
+      if ((row[names[j]] == null || row[names[j]] === "") && definition.default != null) {
+        row[names[j]] = definition.default;
+      }
+      if (row[names[j]] == null || row[names[j]] === "") {
+        if (definition.required) {
+          errors.push({ row: i, field: names[j], message: names[j] + " is required" });
+        }
+        continue;
+      }
+      var checked = checkFieldValue_(definition, row[names[j]]);
+      if (checked.error) {
+        errors.push({ row: i, field: names[j], message: names[j] + " " + checked.error });
+      } else {
+        row[names[j]] = checked.value;
+      }
+    }
+    rows.push(row);
+  }
+  checkUniqueFields_(sheet, columns, rows, errors);
+  return { rows: rows, errors: errors };
+}
+
+/**
+ * Function to check a single value against the declared type of its column
+ *
+ * @param {object} definition: the column definition {type, values}
+ * @param {object} value: the non-empty value to check
+ * @return {object} returns a dictionary {value: the converted value} or {error: a description of the problem}
+ */
+function checkFieldValue_(definition, value) {
+  switch (definition.type || "string") {
+    case "string":
+      return { value: String(value) };
+    case "number":
+      var number = typeof value == "number" ? value : Number(String(value).trim());
+      return isNaN(number) ? { error: "must be a number" } : { value: number };
+    case "boolean":
+      if (typeof value == "boolean") {
+        return { value: value };
+      }
+      var text = String(value).trim().toLowerCase();
+      return text == "true" || text == "false" ? { value: text == "true" } : { error: "must be true or false" };
+    case "date":
+      var date = value instanceof Date ? value : new Date(value);
+      return isNaN(date.getTime()) ? { error: "must be a date" } : { value: date };
+    case "email":
+      return EMAIL_PATTERN_.test(String(value).trim()) ? { value: String(value).trim() } : { error: "must be an email address" };
+    case "enum":
+      return definition.values.indexOf(value) != -1 ? { value: value } : { error: "must be one of: " + definition.values.join(", ") };
+  }
+  return { error: "has an unknown type" };
+}
+
+/**
+ * Function to add an error for every unique field that repeats the value of another valid row (or of another row being written)
+ * Rows being written with an ID (i.e. updates) are not compared against the existing rows with the same ID.
+ *
+ * @param {object} sheet: the instance of the sheet the rows are about to be written to
+ * @param {object} columns: the column definitions of the schema
+ * @param {object} rows: the list of rows about to be written
+ * @param {object} errors: the list of errors to add to
+ */
+function checkUniqueFields_(sheet, columns, rows, errors) {
+  var uniqueNames = Object.keys(columns).filter(function (name) { return columns[name].unique; });
+  if (uniqueNames.length == 0) {
+    return;
+  }
+  var data = sheet.getDataRange().getValues();
+  var validIndex = getColIndex_(data, "Valid");
+  var writtenIDs = new Set(rows.map(function (row) { return row["ID"]; }));
+  for (var i = 0; i < uniqueNames.length; i++) {
+    var name = uniqueNames[i];
+    var colIndex = getColIndex_(data, name);
+    // collect the values already used by other valid rows
+    var used = new Set();
+    for (var j = 1; colIndex != -1 && j < data.length; j++) {
+      if (data[j][validIndex] && !writtenIDs.has(data[j][0]) && data[j][colIndex] !== "") {
+        used.add(uniqueKey_(data[j][colIndex]));
+      }
+    }
+    for (var j = 0; j < rows.length; j++) {
+      if (rows[j][name] == null || rows[j][name] === "") {
+        continue;
+      }
+      var key = uniqueKey_(rows[j][name]);
+      if (used.has(key)) {
+        errors.push({ row: j, field: name, message: name + " " + rows[j][name] + " is already in use" });
+      }
+      used.add(key);
+    }
+  }
+}
+
+/**
+ * Function to convert a value into a key that can be compared for uniqueness (dates by time, everything else as text)
+ *
+ * @param {object} value: the value of a field
+ * @return {string} returns the comparison key
+ */
+function uniqueKey_(value) {
+  return value instanceof Date ? "date:" + value.getTime() : String(value);
+}
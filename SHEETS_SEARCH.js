@@ -0,0 +1,434 @@
+/**
+ * This file contains SEARCH, which finds the rows of a sheet that match some free text and returns them ranked by how well they match.
+ *
+ * The columns of a sheet that can be searched, and how much a match in each counts, are set with createSearchIndex and kept in the
+ * "searchIndexes" script property, e.g. createSearchIndex(clientSSID, "Client", {Name: 3, Email: 2, Notes: 1}). Text is split into
+ * tokens of letters and digits, and tokens are compared without case or accents, so "José" matches "jose" and "sam@example.com" holds
+ * the tokens "sam", "example" and "com". A row matches when every token of the search appears in one of the searched columns, either
+ * as a whole token or (for search tokens of at least 2 characters) as the start of one. Its score adds up, for every search token and
+ * searched column it appears in, the weight of the column - halved for a match on the start of a token.
+ *
+ * The search index maps each token to the rows and columns holding it. Like the indexes of SHEETS_INDEX.js it is kept in the script
+ * cache and rebuilt from one read of the sheet when it is missing, expired or out of date: the rows appended by a write are added to
+ * it, and a write that changes values in place throws it away. The rows it points to are read back and scored from their current
+ * values, and the index is rebuilt if one of them no longer holds the text it was found by (e.g. after a hand edit).
+ *
+ * searchSheets runs the same search on several sheets and ranks the rows of all of them together.
+ */
+
+// Name of the script property that the searched columns of each sheet are stored under
+const SEARCH_PROPERTY_ = "searchIndexes";
+// Characters that separate the tokens of a text
+const SEARCH_TOKEN_SEPARATOR_ = /[^\p{L}\p{N}]+/u;
+// Shortest search token that also matches the start of longer tokens
+const SEARCH_MIN_PREFIX_ = 2;
+// Part of the weight of a column counted for a match on the start of a token
+const SEARCH_PREFIX_FACTOR_ = 0.5;
+// Number of rows a search returns when it does not give a limit
+const SEARCH_DEFAULT_LIMIT_ = 20;
+
+// ---------------------------------------- CONFIGURATION ------------------------------------------------
+
+/**
+ * Function to choose the columns of a sheet that SEARCH looks in, replacing any earlier choice
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {object} weights: a dictionary {columnName: weight} of the columns to search, or a list of column names (each weighted 1)
+ * @return {object} returns the dictionary {columnName: weight} now used for the sheet, or null if a weight is not a positive number
+ */
+function createSearchIndex(spreadsheetID, sheetName, weights) {
+  weights = getSearchWeights_(weights);
+  if (!weights) {
+    fail_("INVALID_INPUT", "createSearchIndex needs a list of columns or a dictionary {columnName: weight} of positive weights");
+    return;
+  }
+  return withScriptLock_(function () {
+    var configuration = getSearchConfiguration_();
+    var key = spreadsheetID + "/" + sheetName;
+    configuration[key] = weights;
+    getStorage_().getProperties().setProperty(SEARCH_PROPERTY_, JSON.stringify(configuration));
+    removeCachedValue_(getStorage_().getCache(), getSearchCacheKey_(key));
+    return weights;
+  });
+}
+
+/**
+ * Function to stop a sheet from being searched
+ *
+ * @param {string} spreadsheetID: the id of the spreadsheet holding the sheet
+ * @param {string} sheetName: the name of the sheet
+ */
+function dropSearchIndex(spreadsheetID, sheetName) {
+  withScriptLock_(function () {
+    var configuration = getSearchConfiguration_();
+    var key = spreadsheetID + "/" + sheetName;
+    delete configuration[key];
+    getStorage_().getProperties().setProperty(SEARCH_PROPERTY_, JSON.stringify(configuration));
+    removeCachedValue_(getStorage_().getCache(), getSearchCacheKey_(key));
+  });
+}
+
+/**
+ * Function to return the searched columns of every sheet
+ *
+ * @return {object} returns a dictionary {"<spreadsheetID>/<sheetName>": {columnName: weight}}
+ */
+function getSearchConfiguration_() {
+  var stored = getStorage_().getProperties().getProperty(SEARCH_PROPERTY_);
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Function to turn the columns given to createSearchIndex or SEARCH into a dictionary of weights
+ *
+ * @param {object} weights: a dictionary {columnName: weight} or a list of column names
+ * @return {object} returns a dictionary {columnName: weight}, or null if it is empty or a weight is not a positive number
+ */
+function getSearchWeights_(weights) {
+  if (Array.isArray(weights)) {
+    var listed = {};
+    weights.forEach(function (columnName) { listed[columnName] = 1; });
+    weights = listed;
+  }
+  if (!weights || typeof weights != "object" || Object.keys(weights).length == 0) {
+    return null;
+  }
+  var valid = Object.keys(weights).every(function (columnName) { return typeof weights[columnName] == "number" && weights[columnName] > 0; });
+  return valid ? Object.assign({}, weights) : null;
+}
+
+// -------------------------------------------- SEARCH ---------------------------------------------------
+
+/**
+ * Function to find the rows of a sheet that match some free text, best match first
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} search: a dictionary {text, weights, prefix, where, includeInvalid, limit, offset} - only text is required
+ *                         - weights: the columns to search, as for createSearchIndex - defaults to every column of the search index
+ *                           (they must all be in it)
+ *                         - prefix: false to only match whole tokens (defaults to true)
+ *                         - where: a condition the rows must also meet (see SHEETS_QUERY.js)
+ *                         - includeInvalid: true to also return deleted rows and old versions of rows
+ *                         - limit and offset: the part of the ranked rows to return (defaults to the first 20)
+ * @return {object} returns a dictionary {results: [{spreadsheetID, sheetName, score, matches, row}], total}
+ *                  - matches lists the searched columns the text was found in, and total is the number of matching rows
+ *                  - returns null if the sheet has no search index or the search is badly formed
+ */
+function search_(sheet, search) {
+  Logger.log("Searching the sheet: " + sheet.getName());
+  search = search || {};
+  var indexed = getSearchConfiguration_()[getSheetKey_(sheet)];
+  if (!indexed) {
+    fail_("NOT_CONFIGURED", "There is no search index on " + sheet.getName() + " - create one with createSearchIndex");
+    return;
+  }
+  var weights = search.weights == null ? indexed : getSearchWeights_(search.weights);
+  var header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var searchError = validateSearch_(header, indexed, weights, search);
+  if (searchError) {
+    fail_("INVALID_INPUT", searchError + " in a search of " + sheet.getName());
+    return;
+  }
+  var tokens = Array.from(new Set(tokenize_(search.text)));
+  var result = { results: [], total: 0 };
+  if (tokens.length == 0) {
+    return result;
+  }
+  var matched = findSearchRows_(sheet, header, weights, tokens, search.prefix !== false, true);
+  matched = matched.filter(function (match) {
+    var row = match.row;
+    return row["ID"] && (row["Valid"] || search.includeInvalid) && matchesCondition_(row, search.where);
+  });
+  // the best matches first, and the newest rows first among equal scores
+  matched.sort(function (a, b) { return b.score - a.score || b.rowNumber - a.rowNumber; });
+  result.total = matched.length;
+  result.results = pageRows_(matched, search.offset, search.limit == null ? SEARCH_DEFAULT_LIMIT_ : search.limit).map(function (match) {
+    return { spreadsheetID: sheet.getParent().getId(), sheetName: sheet.getName(), score: match.score, matches: match.matches, row: match.row };
+  });
+  return result;
+}
+
+/**
+ * Function to run the same search on several sheets and rank the rows of all of them together
+ *
+ * @param {object} sheets: a list of {spreadsheetID, sheetName} to search
+ * @param {object} search: the search dictionary (see search_) - limit and offset apply to the combined ranking
+ * @return {object} returns a dictionary {results: [{spreadsheetID, sheetName, score, matches, row}], total, failed}
+ *                  - failed lists the sheets that could not be searched as {spreadsheetID, sheetName, code, message}
+ */
+function searchSheets(sheets, search) {
+  search = search || {};
+  var offset = search.offset || 0;
+  var limit = search.limit == null ? SEARCH_DEFAULT_LIMIT_ : search.limit;
+  // each sheet returns enough of its own best rows to fill the combined page
+  var perSheet = Object.assign({}, search, { offset: 0, limit: offset + limit });
+  var combined = { results: [], total: 0, failed: [] };
+  (sheets || []).forEach(function (target) {
+    var result = callDatabase("SEARCH", target.spreadsheetID, target.sheetName, [perSheet]);
+    if (result.ok) {
+      combined.results = combined.results.concat(result.data.results);
+      combined.total += result.data.total;
+    } else {
+      combined.failed.push({ spreadsheetID: target.spreadsheetID, sheetName: target.sheetName, code: result.error.code, message: result.error.message });
+    }
+  });
+  // Array.prototype.sort is stable, so rows with equal scores keep the order of the sheets and of each sheet's results
+  combined.results.sort(function (a, b) { return b.score - a.score; });
+  combined.results = pageRows_(combined.results, offset, limit);
+  return combined;
+}
+
+/**
+ * Function to check a search before it is run
+ *
+ * @param {object} header: the list of field names of the sheet
+ * @param {object} indexed: the dictionary {columnName: weight} of the search index of the sheet
+ * @param {object} weights: the dictionary {columnName: weight} of the columns to search (null if the given weights were invalid)
+ * @param {object} search: the search dictionary
+ * @return {string} returns a description of the first problem found, or null if the search is valid
+ */
+function validateSearch_(header, indexed, weights, search) {
+  if (search.text == null || typeof search.text != "string") {
+    return "the text to search for must be a string";
+  }
+  if (!weights) {
+    return "weights must be a list of columns or a dictionary {columnName: weight} of positive weights";
+  }
+  var unindexed = Object.keys(weights).filter(function (columnName) { return !(columnName in indexed); })[0];
+  if (unindexed != null) {
+    return unindexed + " is not in the search index";
+  }
+  var whereError = validateCondition_(new Set(header), search.where);
+  if (whereError) {
+    return whereError;
+  }
+  if ((search.limit != null && !(search.limit >= 0)) || (search.offset != null && !(search.offset >= 0))) {
+    return "limit and offset must be non-negative numbers";
+  }
+  return null;
+}
+
+/**
+ * Function to find the rows holding every search token in the searched columns and score them
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} header: the list of field names of the sheet
+ * @param {object} weights: the dictionary {columnName: weight} of the columns to search
+ * @param {object} tokens: the list of distinct search tokens
+ * @param {bool} prefix: true to also match tokens that start with a search token
+ * @param {bool} retry: true to rebuild the search index and try again once if it turns out to be stale
+ * @return {object} returns a list of {rowNumber, score, matches, row} in sheet order
+ */
+function findSearchRows_(sheet, header, weights, tokens, prefix, retry) {
+  var index = getSearchIndex_(sheet);
+  var columns = index.columns;
+  // the rows holding each search token in one of the searched columns, according to the index
+  var candidates = null;
+  tokens.forEach(function (token) {
+    var rowNumbers = new Set();
+    getMatchingTerms_(index, token, prefix).forEach(function (term) {
+      var postings = index.terms[term];
+      for (var i = 0; i < postings.length; i += 2) {
+        if (columns[postings[i + 1]] in weights) {
+          rowNumbers.add(postings[i]);
+        }
+      }
+    });
+    candidates = candidates ? new Set(Array.from(candidates).filter(function (rowNumber) { return rowNumbers.has(rowNumber); })) : rowNumbers;
+  });
+  var rowNumbers = Array.from(candidates).sort(function (a, b) { return a - b; });
+  if (rowNumbers.length == 0) {
+    return [];
+  }
+  var rows = readRowNumbers_(sheet, rowNumbers, header.length);
+  if (!rows) {
+    // the rows are spread over too many ranges, so read the whole sheet once instead
+    var data = sheet.getDataRange().getValues();
+    rows = rowNumbers.map(function (rowNumber) { return { rowNumber: rowNumber, values: data[rowNumber - 1] || [] }; });
+  }
+  // score each row from its current values, which also checks that the index is not stale
+  var matched = [];
+  for (var i = 0; i < rows.length; i++) {
+    var match = scoreSearchRow_(header, rows[i].values, weights, tokens, prefix);
+    if (!match) {
+      invalidateIndexes_(sheet);
+      return retry ? findSearchRows_(sheet, header, weights, tokens, prefix, false) : [];
+    }
+    match.rowNumber = rows[i].rowNumber;
+    match.row = getRowAsDict(header, rows[i].values);
+    matched.push(match);
+  }
+  return matched;
+}
+
+/**
+ * Function to list the tokens of a search index that a search token matches
+ *
+ * @param {object} index: the search index dictionary {lastRow, columns, terms}
+ * @param {string} token: the search token
+ * @param {bool} prefix: true to also match tokens that start with the search token
+ * @return {object} returns a list of tokens of the index
+ */
+function getMatchingTerms_(index, token, prefix) {
+  var hasTerm = Object.prototype.hasOwnProperty.call(index.terms, token);
+  if (!prefix || token.length < SEARCH_MIN_PREFIX_) {
+    return hasTerm ? [token] : [];
+  }
+  return Object.keys(index.terms).filter(function (term) { return term.indexOf(token) == 0; });
+}
+
+/**
+ * Function to score one row against a search
+ *
+ * @param {object} header: the list of field names of the sheet
+ * @param {object} values: the values of the row in the order of header
+ * @param {object} weights: the dictionary {columnName: weight} of the columns to search
+ * @param {object} tokens: the list of distinct search tokens
+ * @param {bool} prefix: true to also match tokens that start with a search token
+ * @return {object} returns a dictionary {score, matches: [columnNames]}, or null if a search token is not in any searched column
+ */
+function scoreSearchRow_(header, values, weights, tokens, prefix) {
+  var columnTokens = {};
+  Object.keys(weights).forEach(function (columnName) {
+    var colIndex = header.indexOf(columnName);
+    columnTokens[columnName] = colIndex == -1 ? new Set() : new Set(tokenize_(values[colIndex]));
+  });
+  var score = 0;
+  var matches = [];
+  for (var i = 0; i < tokens.length; i++) {
+    var found = false;
+    Object.keys(weights).forEach(function (columnName) {
+      var rowTokens = columnTokens[columnName];
+      var factor = 0;
+      if (rowTokens.has(tokens[i])) {
+        factor = 1;
+      } else if (prefix && tokens[i].length >= SEARCH_MIN_PREFIX_) {
+        rowTokens.forEach(function (rowToken) {
+          if (rowToken.indexOf(tokens[i]) == 0) {
+            factor = SEARCH_PREFIX_FACTOR_;
+          }
+        });
+      }
+      if (factor > 0) {
+        found = true;
+        score += weights[columnName] * factor;
+        if (matches.indexOf(columnName) == -1) {
+          matches.push(columnName);
+        }
+      }
+    });
+    if (!found) {
+      return null;
+    }
+  }
+  return { score: score, matches: matches };
+}
+
+/**
+ * Function to split a value into lower case tokens without accents
+ *
+ * @param {object} value: the value of a cell or the text of a search
+ * @return {object} returns the list of tokens in the order they appear
+ */
+function tokenize_(value) {
+  if (value === "" || value == null) {
+    return [];
+  }
+  var text = value instanceof Date ? value.toISOString().substring(0, 10) : String(value);
+  // split the accented letters into a letter and its accents, then drop the accents
+  text = text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  return text.split(SEARCH_TOKEN_SEPARATOR_).filter(function (token) { return token !== ""; });
+}
+
+// ------------------------------------------ MAINTENANCE ------------------------------------------------
+
+/**
+ * Function to get the search index of a sheet, building it if it is not cached or is out of date
+ *
+ * @param {object} sheet: the instance of the sheet, which must have a search index
+ * @return {object} returns a dictionary {lastRow, columns: [columnNames], terms: {token: [rowNumber, column, rowNumber, column, ...]}}
+ *                  - each column is a position in columns
+ */
+function getSearchIndex_(sheet) {
+  var cache = getStorage_().getCache();
+  var sheetKey = getSheetKey_(sheet);
+  var cacheKey = getSearchCacheKey_(sheetKey);
+  var columns = Object.keys(getSearchConfiguration_()[sheetKey] || {});
+  var lastRow = sheet.getLastRow();
+  var cached = getCachedValue_(cache, cacheKey);
+  if (cached) {
+    var index = JSON.parse(cached);
+    if (index.lastRow == lastRow && index.columns.join("\n") == columns.join("\n")) {
+      return index;
+    }
+  }
+  // build the index from a single read of the sheet
+  var data = sheet.getDataRange().getValues();
+  var index = { lastRow: lastRow, columns: columns, terms: {} };
+  addToSearchIndex_(index, data[0], data.slice(1), 2);
+  putCachedValue_(cache, cacheKey, JSON.stringify(index));
+  return index;
+}
+
+/**
+ * Function to add rows that were just appended to the bottom of a sheet to its cached search index - called by appendToIndexes_
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {integer} firstRowNumber: the (1-INDEXED) row number of the first appended row
+ * @param {object} header: the list of field names of the sheet (after any new columns were added)
+ * @param {object} newRows: the list of appended rows (arrays of values in the order of header)
+ */
+function appendToSearchIndex_(sheet, firstRowNumber, header, newRows) {
+  var cache = getStorage_().getCache();
+  var cacheKey = getSearchCacheKey_(getSheetKey_(sheet));
+  var cached = getCachedValue_(cache, cacheKey);
+  if (!cached) {
+    return;
+  }
+  var index = JSON.parse(cached);
+  // an index that did not end just above the new rows is out of date, so leave it to be rebuilt
+  if (index.lastRow != firstRowNumber - 1) {
+    removeCachedValue_(cache, cacheKey);
+    return;
+  }
+  addToSearchIndex_(index, header, newRows, firstRowNumber);
+  index.lastRow = firstRowNumber + newRows.length - 1;
+  putCachedValue_(cache, cacheKey, JSON.stringify(index));
+}
+
+/**
+ * Function to add the tokens of some rows to a search index
+ *
+ * @param {object} index: the search index dictionary {lastRow, columns, terms}
+ * @param {object} header: the list of field names of the sheet
+ * @param {object} rows: the rows to add (arrays of values in the order of header)
+ * @param {integer} firstRowNumber: the (1-INDEXED) row number of the first row
+ */
+function addToSearchIndex_(index, header, rows, firstRowNumber) {
+  var colIndexes = index.columns.map(function (columnName) { return header.indexOf(columnName); });
+  for (var i = 0; i < rows.length; i++) {
+    for (var c = 0; c < colIndexes.length; c++) {
+      if (colIndexes[c] == -1) {
+        continue;
+      }
+      new Set(tokenize_(rows[i][colIndexes[c]])).forEach(function (token) {
+        // use hasOwnProperty so that tokens such as "constructor" are indexed like any other
+        if (!Object.prototype.hasOwnProperty.call(index.terms, token)) {
+          index.terms[token] = [];
+        }
+        index.terms[token].push(firstRowNumber + i, c);
+      });
+    }
+  }
+}
+
+/**
+ * Function to build the cache key of the search index of a sheet
+ *
+ * @param {string} sheetKey: the key of the sheet from getSheetKey_
+ * @return {string} returns the cache key
+ */
+function getSearchCacheKey_(sheetKey) {
+  return "search:" + sheetKey;
+}
@@ -0,0 +1,461 @@
+/**
+ * This file contains SNAPSHOT and RESTORE, which copy a sheet to a backup spreadsheet and bring back a whole sheet or some of its rows
+ * from one of those copies.
+ *
+ * Every SNAPSHOT creates a backup spreadsheet named after the time it was taken (e.g. "Database Snapshot 2024-05-01T09:30:00.000Z")
+ * holding a copy of every row of the sheet, deleted rows included, in a sheet named after the sheet and the same time (e.g.
+ * "Task 2024-05-01T09:30:00.000Z"), which is also the id of the snapshot. snapshotDatabase takes a snapshot of every sheet registered
+ * for cleaning (see SHEETS_CLEAN.js) into one backup spreadsheet for the whole run, and can be run every day with scheduleSnapshots(hour).
+ * The snapshots are catalogued in the "Snapshots" sheet of the snapshot spreadsheet (the "snapshotSpreadsheetID" script property,
+ * created on first use), which listSnapshots reads - the catalogue is only changed while holding the script lock.
+ *
+ * RESTORE with a list of IDs deletes the current version of each row and appends the version it had in the snapshot, keeping its ID,
+ * CreatedBy and DateCreated, so the restore is recorded in the history of the rows like an UPDATE. A row that was deleted when the
+ * snapshot was taken is left as it is now. RESTORE without IDs puts the whole sheet back as it was, adding any column it no longer has and
+ * removing the rows added since - this is not written to the audit log. Neither checks the rows against the current schema or
+ * relationships of the sheet.
+ *
+ * After each snapshot the older snapshots of the same sheet are removed if they are older than retentionDays or are not among the
+ * newest keep snapshots of the sheet (the newest one is always kept). configureSnapshots({retentionDays, keep}) changes these from
+ * {retentionDays: 30, keep: 10}, and null turns a rule off. A backup spreadsheet is moved to the trash once none of its snapshots are
+ * kept, if the storage adapter can do so (see SHEETS_STORAGE.js) - otherwise only the copies are removed from it.
+ */
+
+// Name of the script property that the snapshot spreadsheet id is stored under
+const SNAPSHOT_PROPERTY_ = "snapshotSpreadsheetID";
+// Name of the script property that the options set by configureSnapshots are stored under
+const SNAPSHOT_OPTIONS_PROPERTY_ = "snapshotOptions";
+// Retention used until configureSnapshots is called
+const SNAPSHOT_DEFAULTS_ = { retentionDays: 30, keep: 10 };
+// Name of the catalogue sheet of the snapshot spreadsheet
+const SNAPSHOT_CATALOGUE_NAME_ = "Snapshots";
+// Start of the name of a backup spreadsheet, which is followed by the time it was created
+const SNAPSHOT_BACKUP_NAME_ = "Database Snapshot ";
+// Columns of the catalogue sheet
+const SNAPSHOT_COLUMNS_ = ["SnapshotID", "DateTaken", "TakenBy", "SpreadsheetID", "SheetName", "Rows", "BackupSpreadsheetID"];
+// Longest part of a sheet name used in the name of its snapshots (sheet names are limited to 100 characters)
+const SNAPSHOT_NAME_LENGTH_ = 70;
+
+// The backup spreadsheet shared by the snapshots of a snapshotDatabase run (null when each SNAPSHOT creates its own)
+var snapshotBackup_ = null;
+
+// ---------------------------------------- CONFIGURATION ------------------------------------------------
+
+/**
+ * Function to change how long snapshots are kept
+ *
+ * @param {object} options: a dictionary {retentionDays, keep} - a missing option keeps its current value and null turns it off
+ *                          - retentionDays: the number of days a snapshot is kept for
+ *                          - keep: the largest number of snapshots kept for each sheet
+ * @return {object} returns the options now in use
+ */
+function configureSnapshots(options) {
+  return withScriptLock_(function () {
+    var current = getSnapshotOptions_();
+    Object.keys(options || {}).forEach(function (name) {
+      if (!(name in SNAPSHOT_DEFAULTS_)) {
+        throw new DatabaseError("INVALID_INPUT", name + " is not a snapshot option");
+      }
+      var value = options[name];
+      if (value != null && (typeof value != "number" || value < (name == "keep" ? 1 : 0) || Math.floor(value) != value)) {
+        throw new DatabaseError("INVALID_INPUT", name + " must be a whole number of at least " + (name == "keep" ? 1 : 0) + " or null");
+      }
+      current[name] = value;
+    });
+    getStorage_().getProperties().setProperty(SNAPSHOT_OPTIONS_PROPERTY_, JSON.stringify(current));
+    return current;
+  });
+}
+
+/**
+ * Function to get the retention of snapshots
+ *
+ * @return {object} returns a dictionary {retentionDays, keep}
+ */
+function getSnapshotOptions_() {
+  var stored = getStorage_().getProperties().getProperty(SNAPSHOT_OPTIONS_PROPERTY_);
+  return Object.assign({}, SNAPSHOT_DEFAULTS_, stored ? JSON.parse(stored) : {});
+}
+
+// ------------------------------------------- SNAPSHOT --------------------------------------------------
+
+/**
+ * Function to copy every row of a sheet to a backup spreadsheet and remove the snapshots it no longer needs to keep
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @return {object} returns a dictionary {snapshotID, dateTaken, takenBy, spreadsheetID, sheetName, rows, backupSpreadsheetID, removed}
+ *                  - removed is the list of ids of the older snapshots that were removed
+ */
+function snapshot_(sheet) {
+  var spreadsheetID = sheet.getParent().getId();
+  var values = sheet.getDataRange().getValues();
+  var dateTaken = getDatetime_();
+  var takenBy = getUserName_();
+  var backup = snapshotBackup_ || getStorage_().createSpreadsheet(SNAPSHOT_BACKUP_NAME_ + dateTaken.toISOString());
+  var name = sheet.getName().slice(0, SNAPSHOT_NAME_LENGTH_) + " " + dateTaken.toISOString();
+  for (var n = 2; backup.getSheetByName(name); n++) {
+    name = name.replace(/ \(\d+\)$/, "") + " (" + n + ")";
+  }
+  var copy = backup.insertSheet(name);
+  copy.getRange(1, 1, values.length, values[0].length).setValues(values);
+  copy.setFrozenRows(1);
+  var entry = [name, dateTaken, takenBy, spreadsheetID, sheet.getName(), values.length - 1, backup.getId()];
+  // snapshots of different sheets can be taken at the same time, so the snapshot spreadsheet is created and its catalogue changed
+  // while holding the script lock
+  var removed = withScriptLock_(function () {
+    var snapshots = getSnapshotSpreadsheet_(true);
+    var catalogue = getSnapshotCatalogue_(snapshots);
+    catalogue.getRange(catalogue.getLastRow() + 1, 1, 1, SNAPSHOT_COLUMNS_.length).setValues([entry]);
+    return pruneSnapshots_(catalogue, spreadsheetID, sheet.getName(), dateTaken);
+  });
+  Logger.log("Took the snapshot " + name + " of " + values.length + " rows in " + backup.getId());
+  var result = getSnapshotEntry_(entry);
+  result.removed = removed;
+  return result;
+}
+
+/**
+ * Function to take a snapshot of every sheet registered for cleaning (see SHEETS_CLEAN.js) into one backup spreadsheet - run by the
+ * trigger of scheduleSnapshots
+ *
+ * @return {object} returns a report {backupSpreadsheetID, snapshots: [the result of each SNAPSHOT], failed: [{spreadsheetID, sheetName, message}]}
+ */
+function snapshotDatabase() {
+  var report = { backupSpreadsheetID: null, snapshots: [], failed: [] };
+  var managed = listManagedSheets_();
+  if (managed.length == 0) {
+    return report;
+  }
+  snapshotBackup_ = getStorage_().createSpreadsheet(SNAPSHOT_BACKUP_NAME_ + getDatetime_().toISOString());
+  report.backupSpreadsheetID = snapshotBackup_.getId();
+  try {
+    managed.forEach(function (entry) {
+      var result = callDatabase("SNAPSHOT", entry.spreadsheetID, entry.sheetName, []);
+      if (result.ok) {
+        report.snapshots.push(result.data);
+      } else {
+        Logger.log("Could not take a snapshot of " + entry.sheetName + " in " + entry.spreadsheetID + ": " + result.error.message);
+        report.failed.push({ spreadsheetID: entry.spreadsheetID, sheetName: entry.sheetName, message: result.error.message });
+      }
+    });
+  } finally {
+    snapshotBackup_ = null;
+  }
+  // a run that took no snapshot leaves nothing to keep
+  if (report.snapshots.length == 0) {
+    trashBackupSpreadsheet_(report.backupSpreadsheetID);
+  }
+  return report;
+}
+
+/**
+ * Function to list the snapshots that have been taken, newest first
+ *
+ * @param {string} spreadsheetID: (optional) only list the snapshots of sheets in this spreadsheet
+ * @param {string} sheetName: (optional) only list the snapshots of this sheet
+ * @return {object} returns a list of {snapshotID, dateTaken, takenBy, spreadsheetID, sheetName, rows, backupSpreadsheetID}
+ */
+function listSnapshots(spreadsheetID, sheetName) {
+  var snapshots = getSnapshotSpreadsheet_(false);
+  var catalogue = snapshots ? snapshots.getSheetByName(SNAPSHOT_CATALOGUE_NAME_) : null;
+  if (!catalogue || catalogue.getLastRow() < 2) {
+    return [];
+  }
+  return catalogue.getRange(2, 1, catalogue.getLastRow() - 1, SNAPSHOT_COLUMNS_.length).getValues()
+    .map(getSnapshotEntry_)
+    .filter(function (entry) {
+      return (!spreadsheetID || entry.spreadsheetID == spreadsheetID) && (!sheetName || entry.sheetName == sheetName);
+    })
+    .reverse();
+}
+
+/**
+ * Function to remove the snapshots of a sheet that the retention no longer keeps, trashing the backup spreadsheets left without snapshots
+ *
+ * @param {object} catalogue: the catalogue sheet of the snapshot spreadsheet
+ * @param {string} spreadsheetID: the id of the spreadsheet of the sheet
+ * @param {string} sheetName: the name of the sheet
+ * @param {object} now: the date the retention period is counted back from
+ * @return {object} returns the list of ids of the snapshots removed
+ */
+function pruneSnapshots_(catalogue, spreadsheetID, sheetName, now) {
+  var options = getSnapshotOptions_();
+  var values = catalogue.getRange(2, 1, catalogue.getLastRow() - 1, SNAPSHOT_COLUMNS_.length).getValues();
+  var cutOff = options.retentionDays == null ? null : now.getTime() - options.retentionDays * 24 * 60 * 60 * 1000;
+  var kept = 0;
+  var removed = [];
+  // go through the catalogue from the newest snapshot so that rows can be removed without moving the ones still to be checked
+  for (var i = values.length - 1; i >= 0; i--) {
+    var entry = getSnapshotEntry_(values[i]);
+    if (entry.spreadsheetID != spreadsheetID || entry.sheetName != sheetName) {
+      continue;
+    }
+    kept++;
+    var expired = cutOff != null && new Date(entry.dateTaken).getTime() < cutOff;
+    if (kept > 1 && (expired || (options.keep != null && kept > options.keep))) {
+      deleteSheetRows_(catalogue, i + 2, 1);
+      values.splice(i, 1);
+      var shared = values.some(function (other) { return getSnapshotEntry_(other).backupSpreadsheetID == entry.backupSpreadsheetID; });
+      if (shared || !trashBackupSpreadsheet_(entry.backupSpreadsheetID)) {
+        removeSnapshotCopy_(entry);
+      }
+      removed.push(entry.snapshotID);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Function to remove the copy of a snapshot from its backup spreadsheet
+ *
+ * @param {object} entry: the catalogue entry of the snapshot
+ */
+function removeSnapshotCopy_(entry) {
+  try {
+    var spreadsheet = getStorage_().openSpreadsheet(entry.backupSpreadsheetID);
+    var copy = spreadsheet.getSheetByName(entry.snapshotID);
+    // a spreadsheet has to keep at least one sheet
+    if (copy && spreadsheet.getSheets().length > 1) {
+      spreadsheet.deleteSheet(copy);
+    } else if (copy) {
+      copy.getDataRange().clearContent();
+    }
+  } catch (err) {
+    Logger.log("Could not remove the copy of the snapshot " + entry.snapshotID + ": " + err);
+  }
+}
+
+/**
+ * Function to move a backup spreadsheet to the trash, if the storage adapter can (see SHEETS_STORAGE.js)
+ *
+ * @param {string} backupSpreadsheetID: the id of the backup spreadsheet
+ * @return {bool} returns true if the spreadsheet was trashed and false otherwise
+ */
+function trashBackupSpreadsheet_(backupSpreadsheetID) {
+  var storage = getStorage_();
+  if (!storage.trashSpreadsheet) {
+    return false;
+  }
+  try {
+    storage.trashSpreadsheet(backupSpreadsheetID);
+    return true;
+  } catch (err) {
+    Logger.log("Could not move the backup spreadsheet " + backupSpreadsheetID + " to the trash: " + err);
+    return false;
+  }
+}
+
+// ------------------------------------------- RESTORE ---------------------------------------------------
+
+/**
+ * Function to restore a sheet, or some of its rows, from one of its snapshots
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {string} snapshotID: the id of the snapshot (see listSnapshots)
+ * @param {object} ids: (optional) the IDs of the rows to restore - restores the whole sheet if missing
+ * @return {object} returns a dictionary {snapshotID, rows} for a whole sheet, where rows is the number of rows it now has
+ *                  - returns {snapshotID, restored: {ID: {fieldName: data}}, deleted: [IDs], notFound: [IDs]} for a list of IDs, where
+ *                    deleted lists the rows that were deleted in the snapshot and notFound the IDs that are not in the snapshot
+ *                  - returns null if the snapshot does not exist or is of another sheet
+ */
+function restore_(sheet, snapshotID, ids) {
+  var spreadsheetID = sheet.getParent().getId();
+  var entry = listSnapshots(spreadsheetID, sheet.getName()).filter(function (snapshot) { return snapshot.snapshotID == snapshotID; })[0];
+  var copy = entry ? getSnapshotCopy_(entry) : null;
+  if (!copy) {
+    fail_("NOT_FOUND", "There is no snapshot " + snapshotID + " of " + sheet.getName() + " in " + spreadsheetID);
+    return;
+  }
+  var values = copy.getDataRange().getValues();
+  if (ids == null) {
+    return { snapshotID: snapshotID, rows: restoreSheet_(sheet, values) };
+  }
+  if (!Array.isArray(ids) || ids.length == 0) {
+    fail_("INVALID_INPUT", "Gave a null or empty list of IDs to restore from " + snapshotID);
+    return;
+  }
+  return Object.assign({ snapshotID: snapshotID }, restoreRows_(sheet, values, ids));
+}
+
+/**
+ * Function to overwrite every row of a sheet with the rows of a snapshot, matching the columns by name
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} values: the values of the snapshot sheet, header included
+ * @return {integer} returns the number of rows the sheet now has
+ */
+function restoreSheet_(sheet, values) {
+  var header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var missing = values[0].filter(function (name) { return name !== "" && header.indexOf(name) == -1; });
+  if (missing.length > 0) {
+    sheet.insertColumnsAfter(header.length, missing.length);
+    sheet.getRange(1, header.length + 1, 1, missing.length).setValues([missing]);
+    header = header.concat(missing);
+  }
+  var rows = values.slice(1).map(function (row) {
+    return header.map(function (name) {
+      var index = values[0].indexOf(name);
+      return index == -1 ? "" : row[index];
+    });
+  });
+  var current = sheet.getLastRow() - 1;
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, header.length).setValues(rows);
+  }
+  if (current > rows.length) {
+    deleteSheetRows_(sheet, rows.length + 2, current - rows.length);
+  }
+  // the rows have all moved, so the indexes are rebuilt, the ranges of a partitioned table worked out again and the cursors refused
+  invalidateIndexes_(sheet);
+  countRowRemoval_(sheet);
+  refreshPartitionRanges_(sheet);
+  Logger.log("Restored " + rows.length + " rows of " + sheet.getName());
+  return rows.length;
+}
+
+/**
+ * Function to replace the current version of some rows with the version they had in a snapshot
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} values: the values of the snapshot sheet, header included
+ * @param {object} ids: the IDs of the rows to restore
+ * @return {object} returns a dictionary {restored: {ID: {fieldName: data}}, deleted: [IDs], notFound: [IDs]}
+ */
+function restoreRows_(sheet, values, ids) {
+  var header = values[0];
+  var idIndex = header.indexOf("ID");
+  var validIndex = header.indexOf("Valid");
+  var wanted = new Set(ids.map(String));
+  var found = new Set();
+  var versions = {};
+  values.slice(1).forEach(function (row) {
+    var id = String(row[idIndex]);
+    if (wanted.has(id)) {
+      found.add(id);
+      // the valid version is the one in use when the snapshot was taken
+      if (row[validIndex] === true) {
+        versions[id] = getRowAsDict(header, row);
+      }
+    }
+  });
+  var result = { restored: {}, deleted: [], notFound: [] };
+  Array.from(wanted).forEach(function (id) {
+    if (!found.has(id)) {
+      result.notFound.push(id);
+    } else if (!versions[id]) {
+      result.deleted.push(id);
+    }
+  });
+  var restoring = Object.keys(versions);
+  if (restoring.length == 0) {
+    return result;
+  }
+  // delete the current versions of the rows being restored (the ones deleted in the snapshot are left as they are now), then write the
+  // restored ones with the ID and creation details they had
+  delete_(sheet, "ID", restoring);
+  var rows = restoring.map(function (id) {
+    var row = Object.assign({}, versions[id]);
+    delete row["ModifiedBy"];
+    delete row["DateModified"];
+    delete row["Valid"];
+    return row;
+  });
+  result.restored = appendRows_(sheet, rows, null, true).rowDict;
+  Logger.log("Restored " + rows.length + " rows of " + sheet.getName());
+  return result;
+}
+
+// ------------------------------------------- SCHEDULE --------------------------------------------------
+
+/**
+ * Function to run snapshotDatabase every day with a time-driven trigger (replacing any earlier schedule)
+ *
+ * @param {integer} hour: the hour of the day (0-23, in the script's time zone) to run at - defaults to 1
+ */
+function scheduleSnapshots(hour) {
+  unscheduleSnapshots();
+  ScriptApp.newTrigger("snapshotDatabase").timeBased().everyDays(1).atHour(hour == null ? 1 : hour).create();
+}
+
+/**
+ * Function to stop running snapshotDatabase on a schedule
+ */
+function unscheduleSnapshots() {
+  ScriptApp.getProjectTriggers().forEach(function (trigger) {
+    if (trigger.getHandlerFunction() == "snapshotDatabase") {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
+
+// -------------------------------------------- HELPERS --------------------------------------------------
+
+/**
+ * Function to open the snapshot spreadsheet, which holds the catalogue
+ *
+ * @param {boolean} create: true to create the spreadsheet if it does not exist yet - only while holding the script lock
+ * @return {object} returns the snapshot spreadsheet (null if it does not exist and create is false)
+ */
+function getSnapshotSpreadsheet_(create) {
+  var properties = getStorage_().getProperties();
+  var snapshotSSID = properties.getProperty(SNAPSHOT_PROPERTY_);
+  if (snapshotSSID) {
+    return getStorage_().openSpreadsheet(snapshotSSID);
+  }
+  if (!create) {
+    return null;
+  }
+  var snapshots = getStorage_().createSpreadsheet("Database Snapshots");
+  properties.setProperty(SNAPSHOT_PROPERTY_, snapshots.getId());
+  Logger.log("Created the snapshot spreadsheet " + snapshots.getId());
+  return snapshots;
+}
+
+/**
+ * Function to get the catalogue sheet of the snapshot spreadsheet, creating it with its header if needed
+ *
+ * @param {object} snapshots: the snapshot spreadsheet
+ * @return {object} returns the catalogue sheet
+ */
+function getSnapshotCatalogue_(snapshots) {
+  var catalogue = snapshots.getSheetByName(SNAPSHOT_CATALOGUE_NAME_);
+  if (!catalogue) {
+    catalogue = snapshots.insertSheet(SNAPSHOT_CATALOGUE_NAME_);
+    catalogue.getRange(1, 1, 1, SNAPSHOT_COLUMNS_.length).setValues([SNAPSHOT_COLUMNS_]);
+    catalogue.setFrozenRows(1);
+  }
+  return catalogue;
+}
+
+/**
+ * Function to open the sheet holding the copy of a snapshot
+ *
+ * @param {object} entry: the catalogue entry of the snapshot
+ * @return {object} returns the sheet, or null if it (or its backup spreadsheet) no longer exists
+ */
+function getSnapshotCopy_(entry) {
+  try {
+    return getStorage_().openSpreadsheet(entry.backupSpreadsheetID).getSheetByName(entry.snapshotID);
+  } catch (err) {
+    Logger.log("Could not open the backup spreadsheet " + entry.backupSpreadsheetID + ": " + err);
+    return null;
+  }
+}
+
+/**
+ * Function to turn a row of the catalogue into a dictionary
+ *
+ * @param {object} values: the values of the row, in the order of SNAPSHOT_COLUMNS_
+ * @return {object} returns a dictionary {snapshotID, dateTaken, takenBy, spreadsheetID, sheetName, rows, backupSpreadsheetID}
+ */
+function getSnapshotEntry_(values) {
+  return {
+    snapshotID: values[0],
+    dateTaken: values[1],
+    takenBy: values[2],
+    spreadsheetID: values[3],
+    sheetName: values[4],
+    rows: values[5],
+    backupSpreadsheetID: values[6]
+  };
+}
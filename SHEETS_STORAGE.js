@@ -0,0 +1,665 @@
+/**
+ * This file contains the storage adapters, which stand between the database and the services it runs on so that the same code can
+ * run against Google Sheets inside Apps Script, or against memory or a directory of CSV files under Node (see SHEETS_NODE.js).
+ *
+ * Every call the database makes to SpreadsheetApp, LockService, Session, PropertiesService and CacheService goes through the adapter
+ * returned by getStorage_(). The Google Sheets adapter is used unless another one is set with useStorage(adapter). An adapter is a
+ * dictionary:
+ *   {
+ *     name: a name for logs and reports,
+ *     openSpreadsheet(id): returns the spreadsheet with the id (throws an error if there is none),
+ *     createSpreadsheet(name): creates an empty spreadsheet and returns it,
+ *     getLock(): returns the script lock {waitLock(timeoutInMillis), releaseLock()}, held for a moment around changes to shared state
+ *                such as the leases of the lock manager (see SHEETS_LOCKS.js),
+ *     getUserEmail(): returns the email address of the current user,
+ *     getProperties(): returns the script properties {getProperty, setProperty, deleteProperty},
+ *     getCache(): returns the script cache {get, put, getAll, putAll, remove, removeAll},
+ *     trashSpreadsheet(id): (optional) moves the spreadsheet with the id to the trash - used to remove the backup spreadsheets of old
+ *                           snapshots (see SHEETS_SNAPSHOTS.js), which are otherwise only emptied
+ *   }
+ * The spreadsheets, sheets and ranges of an adapter only need the methods of their Apps Script counterparts that the database uses:
+ *   spreadsheet: getId, getName, getSheets, getSheetByName, insertSheet, deleteSheet
+ *   sheet: getName, getParent, getRange(row, column, numRows, numColumns), getDataRange, getLastRow, getLastColumn, getMaxRows,
+ *          getFrozenRows, setFrozenRows, insertColumnsAfter, deleteRow, deleteRows, deleteColumn, deleteColumns, hideSheet
+ *   range: getValues, setValues, getValue, setValue, clearContent, setFontWeight, getHeight, getWidth
+ * Cells hold strings, numbers, booleans and Dates, and an empty cell reads as "".
+ *
+ * memoryStorage(options) keeps everything in memory, so it is lost when the script ends. csvDirectoryStorage(directory, options) only
+ * runs under Node: each spreadsheet is a folder of the directory holding a spreadsheet.json file and one CSV file per sheet, and the
+ * script properties are kept in properties.json. Dates are written to the CSV files as ISO-8601 strings and read back as Dates, TRUE and
+ * FALSE as booleans and numbers as numbers (like typing them into a sheet). The lock is a .lock file in the directory, so several Node
+ * processes can share one directory, and the files are read again every time the lock is taken (delete the .lock file by hand if a
+ * process died while holding it). For both, options.userEmail is the user given to CreatedBy/ModifiedBy and the access control layer
+ * (change it later through adapter.userEmail).
+ *
+ * checkStorageConformance(adapter) (see SHEETS_CONFORMANCE.js) checks that an adapter behaves like the Google Sheets one.
+ */
+
+// List of the functions every storage adapter must have
+const STORAGE_FUNCTIONS_ = ["openSpreadsheet", "createSpreadsheet", "getLock", "getUserEmail", "getProperties", "getCache"];
+// Number of rows in a new sheet, as in Google Sheets
+const STORAGE_DEFAULT_ROWS_ = 1000;
+// Number of ms to wait between two tries of a lock file held by another process
+const STORAGE_LOCK_RETRY_ = 50;
+// Name of the file describing the sheets of a spreadsheet in a CSV directory
+const CSV_MANIFEST_FILE_ = "spreadsheet.json";
+// Pattern matching a date written to a CSV file
+const CSV_DATE_PATTERN_ = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?Z$/;
+// Pattern matching a number written to a CSV file
+const CSV_NUMBER_PATTERN_ = /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// The storage adapter in use (null until the first call, which picks the Google Sheets adapter)
+var storage_ = null;
+
+// ------------------------------------------- ADAPTERS --------------------------------------------------
+
+/**
+ * Function to set the storage adapter used by every later call
+ *
+ * @param {object} adapter: the storage adapter (see the top of this file)
+ * @return {bool} returns true if the adapter was set, and false if it is missing one of the functions of an adapter
+ */
+function useStorage(adapter) {
+  var missing = STORAGE_FUNCTIONS_.filter(function (name) { return !adapter || typeof adapter[name] != "function"; });
+  if (missing.length > 0) {
+    Logger.log("The storage adapter is missing: " + missing.join(", "));
+    return false;
+  }
+  storage_ = adapter;
+  Logger.log("Using the " + (adapter.name || "unnamed") + " storage adapter");
+  return true;
+}
+
+/**
+ * Function to return the storage adapter in use
+ *
+ * @return {object} returns the storage adapter (the Google Sheets adapter unless useStorage was called)
+ */
+function getStorage_() {
+  if (!storage_) {
+    storage_ = googleSheetsStorage();
+  }
+  return storage_;
+}
+
+/**
+ * Function to build the adapter for Google Sheets and the Apps Script services
+ *
+ * @return {object} returns the storage adapter
+ */
+function googleSheetsStorage() {
+  return {
+    name: "googleSheets",
+    openSpreadsheet: function (id) { return SpreadsheetApp.openById(id); },
+    createSpreadsheet: function (name) { return SpreadsheetApp.create(name); },
+    getLock: function () { return LockService.getScriptLock(); },
+    getUserEmail: function () { return Session.getActiveUser().getEmail(); },
+    getProperties: function () { return PropertiesService.getScriptProperties(); },
+    getCache: function () { return CacheService.getScriptCache(); },
+    trashSpreadsheet: function (id) { DriveApp.getFileById(id).setTrashed(true); }
+  };
+}
+
+/**
+ * Function to build an adapter that keeps every spreadsheet, property and cached value in memory
+ *
+ * @param {object} options: (optional) {userEmail: the email address of the current user}
+ * @return {object} returns the storage adapter
+ */
+function memoryStorage(options) {
+  options = options || {};
+  var spreadsheets = {};
+  var created = 0;
+  var lock = memoryLock_();
+  var values = {};
+  var properties = memoryProperties_(function () { return values; }, null);
+  var cache = memoryCache_();
+  var adapter = {
+    name: "memory",
+    userEmail: options.userEmail || "",
+    openSpreadsheet: function (id) {
+      if (!spreadsheets[id]) {
+        throw new Error("There is no spreadsheet with the id " + id);
+      }
+      return spreadsheets[id];
+    },
+    createSpreadsheet: function (name) {
+      var id = "memory-" + (++created);
+      spreadsheets[id] = memorySpreadsheet_(id, name, [], null);
+      return spreadsheets[id];
+    },
+    getLock: function () { return lock; },
+    getUserEmail: function () { return adapter.userEmail; },
+    getProperties: function () { return properties; },
+    getCache: function () { return cache; },
+    trashSpreadsheet: function (id) {
+      adapter.openSpreadsheet(id);
+      delete spreadsheets[id];
+    }
+  };
+  return adapter;
+}
+
+/**
+ * Function to build an adapter that keeps every spreadsheet as a folder of CSV files - only runs under Node
+ *
+ * @param {string} directory: the path of the directory to keep the spreadsheets in (created if it does not exist)
+ * @param {object} options: (optional) {userEmail: the email address of the current user}
+ * @return {object} returns the storage adapter
+ */
+function csvDirectoryStorage(directory, options) {
+  options = options || {};
+  const fs = require("fs");
+  const path = require("path");
+  fs.mkdirSync(directory, { recursive: true });
+  var lockFile = path.join(directory, ".lock");
+  var propertiesFile = path.join(directory, "properties.json");
+  var loaded = {}; // the spreadsheets read since the lock was last taken
+  var cache = memoryCache_();
+  var held = false;
+  var lock = {
+    waitLock: function (timeoutInMillis) {
+      var deadline = new Date().getTime() + timeoutInMillis;
+      while (!held) {
+        try {
+          fs.closeSync(fs.openSync(lockFile, "wx"));
+          held = true;
+        } catch (err) {
+          if (err.code != "EEXIST") {
+            throw err;
+          }
+          if (new Date().getTime() > deadline) {
+            throw new Error("Lock timeout: another process was holding the lock on " + directory + " for too long");
+          }
+          Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, STORAGE_LOCK_RETRY_);
+        }
+      }
+      // another process may have changed the files since the lock was last held
+      loaded = {};
+      cache = memoryCache_();
+    },
+    releaseLock: function () {
+      if (held) {
+        held = false;
+        fs.unlinkSync(lockFile);
+      }
+    }
+  };
+  var adapter = {
+    name: "csvDirectory",
+    userEmail: options.userEmail || "",
+    openSpreadsheet: function (id) {
+      if (!loaded[id]) {
+        var folder = path.join(directory, encodeURIComponent(id));
+        if (!fs.existsSync(path.join(folder, CSV_MANIFEST_FILE_))) {
+          throw new Error("There is no spreadsheet with the id " + id);
+        }
+        loaded[id] = readCsvSpreadsheet_(fs, path, folder);
+      }
+      return loaded[id];
+    },
+    createSpreadsheet: function (name) {
+      var id = "csv-" + new Date().getTime().toString(36) + Math.random().toString(36).substring(2, 8);
+      var folder = path.join(directory, encodeURIComponent(id));
+      fs.mkdirSync(folder, { recursive: true });
+      var save = csvSaver_(fs, path, folder);
+      loaded[id] = memorySpreadsheet_(id, name, [], save);
+      save({ id: id, name: name, sheets: [] }, null, null);
+      return loaded[id];
+    },
+    getLock: function () { return lock; },
+    getUserEmail: function () { return adapter.userEmail; },
+    getProperties: function () {
+      // the file is read again on every call, so that two property objects in use at the same time do not overwrite each other
+      var load = function () { return fs.existsSync(propertiesFile) ? JSON.parse(fs.readFileSync(propertiesFile, "utf8")) : {}; };
+      return memoryProperties_(load, function (changed) { fs.writeFileSync(propertiesFile, JSON.stringify(changed, null, 2)); });
+    },
+    getCache: function () { return cache; },
+    trashSpreadsheet: function (id) {
+      adapter.openSpreadsheet(id);
+      fs.rmSync(path.join(directory, encodeURIComponent(id)), { recursive: true, force: true });
+      delete loaded[id];
+    }
+  };
+  return adapter;
+}
+
+// ------------------------------------------ MEMORY OBJECTS -----------------------------------------------
+
+/**
+ * Function to build an in-memory spreadsheet
+ *
+ * @param {string} id: the id of the spreadsheet
+ * @param {string} name: the name of the spreadsheet
+ * @param {object} states: a list of the sheets it starts with {name, values, maxRows, frozenRows, hidden}
+ * @param {function} onChange: (optional) called as onChange({id, name, sheets: states}, changedState, removedState) after every change
+ * @return {object} returns the spreadsheet
+ */
+function memorySpreadsheet_(id, name, states, onChange) {
+  var sheets = [];
+  var changed = function (state, removed) {
+    if (onChange) {
+      onChange({ id: id, name: name, sheets: states }, state, removed);
+    }
+  };
+  var spreadsheet = {
+    getId: function () { return id; },
+    getName: function () { return name; },
+    getSheets: function () { return sheets.slice(); },
+    getSheetByName: function (sheetName) {
+      var index = states.findIndex(function (state) { return state.name == sheetName; });
+      return index == -1 ? null : sheets[index];
+    },
+    insertSheet: function (sheetName) {
+      if (spreadsheet.getSheetByName(sheetName)) {
+        throw new Error("A sheet with the name \"" + sheetName + "\" already exists");
+      }
+      var state = { name: sheetName, values: [], maxRows: STORAGE_DEFAULT_ROWS_, frozenRows: 0, hidden: false };
+      states.push(state);
+      sheets.push(memorySheet_(spreadsheet, state, changed));
+      changed(state, null);
+      return sheets[sheets.length - 1];
+    },
+    deleteSheet: function (sheet) {
+      var index = sheets.indexOf(sheet);
+      if (index != -1) {
+        var state = states.splice(index, 1)[0];
+        sheets.splice(index, 1);
+        changed(null, state);
+      }
+    }
+  };
+  states.forEach(function (state) { sheets.push(memorySheet_(spreadsheet, state, changed)); });
+  return spreadsheet;
+}
+
+/**
+ * Function to build an in-memory sheet over a sheet state
+ *
+ * @param {object} spreadsheet: the spreadsheet the sheet belongs to
+ * @param {object} state: the contents of the sheet {name, values: a list of rows, maxRows, frozenRows, hidden} - changed in place
+ * @param {function} changed: called as changed(state) after every change
+ * @return {object} returns the sheet
+ */
+function memorySheet_(spreadsheet, state, changed) {
+  var lastRow = function () {
+    for (var i = state.values.length - 1; i > -1; i--) {
+      if (state.values[i].some(function (value) { return value !== ""; })) {
+        return i + 1;
+      }
+    }
+    return 0;
+  };
+  var lastColumn = function () {
+    var width = 0;
+    state.values.forEach(function (row) {
+      for (var j = row.length - 1; j >= width; j--) {
+        if (row[j] !== "") {
+          width = j + 1;
+          break;
+        }
+      }
+    });
+    return width;
+  };
+  var sheet = {
+    getName: function () { return state.name; },
+    getParent: function () { return spreadsheet; },
+    getRange: function (row, column, numRows, numColumns) {
+      return memoryRange_(state, row, column, numRows == null ? 1 : numRows, numColumns == null ? 1 : numColumns, changed);
+    },
+    getDataRange: function () { return sheet.getRange(1, 1, Math.max(lastRow(), 1), Math.max(lastColumn(), 1)); },
+    getLastRow: lastRow,
+    getLastColumn: lastColumn,
+    getMaxRows: function () { return state.maxRows; },
+    getFrozenRows: function () { return state.frozenRows; },
+    setFrozenRows: function (rows) {
+      state.frozenRows = rows;
+      changed(state, null);
+      return sheet;
+    },
+    hideSheet: function () {
+      state.hidden = true;
+      changed(state, null);
+      return sheet;
+    },
+    insertColumnsAfter: function (columnPosition, howMany) {
+      state.values.forEach(function (row) {
+        if (row.length > columnPosition) {
+          row.splice.apply(row, [columnPosition, 0].concat(new Array(howMany).fill("")));
+        }
+      });
+      changed(state, null);
+      return sheet;
+    },
+    deleteRows: function (rowPosition, howMany) {
+      if (state.maxRows - howMany <= state.frozenRows) {
+        throw new Error("You can't delete all the rows that are not frozen.");
+      }
+      state.values.splice(rowPosition - 1, howMany);
+      state.maxRows -= howMany;
+      changed(state, null);
+    },
+    deleteRow: function (rowPosition) { sheet.deleteRows(rowPosition, 1); },
+    deleteColumns: function (columnPosition, howMany) {
+      state.values.forEach(function (row) { row.splice(columnPosition - 1, howMany); });
+      changed(state, null);
+    },
+    deleteColumn: function (columnPosition) { sheet.deleteColumns(columnPosition, 1); }
+  };
+  return sheet;
+}
+
+/**
+ * Function to build an in-memory range
+ *
+ * @param {object} state: the state of the sheet the range belongs to
+ * @param {integer} row: the (1-INDEXED) first row of the range
+ * @param {integer} column: the (1-INDEXED) first column of the range
+ * @param {integer} numRows: the number of rows in the range
+ * @param {integer} numColumns: the number of columns in the range
+ * @param {function} changed: called as changed(state) after every change
+ * @return {object} returns the range
+ */
+function memoryRange_(state, row, column, numRows, numColumns, changed) {
+  if (!(row >= 1 && column >= 1 && numRows >= 1 && numColumns >= 1)) {
+    throw new Error("The coordinates or dimensions of the range are invalid.");
+  }
+  var write = function (valueOf) {
+    while (state.values.length < row + numRows - 1) {
+      state.values.push([]);
+    }
+    state.maxRows = Math.max(state.maxRows, row + numRows - 1);
+    for (var i = 0; i < numRows; i++) {
+      var cells = state.values[row - 1 + i];
+      while (cells.length < column + numColumns - 1) {
+        cells.push("");
+      }
+      for (var j = 0; j < numColumns; j++) {
+        cells[column - 1 + j] = copyStorageValue_(valueOf(i, j));
+      }
+    }
+    changed(state, null);
+  };
+  var range = {
+    getValues: function () {
+      var values = [];
+      for (var i = 0; i < numRows; i++) {
+        var cells = state.values[row - 1 + i] || [];
+        var rowValues = [];
+        for (var j = 0; j < numColumns; j++) {
+          rowValues.push(copyStorageValue_(cells[column - 1 + j]));
+        }
+        values.push(rowValues);
+      }
+      return values;
+    },
+    setValues: function (values) {
+      if (values.length != numRows || values.some(function (rowValues) { return rowValues.length != numColumns; })) {
+        throw new Error("The data has " + values.length + " rows but the range has " + numRows + " (and " + numColumns + " columns).");
+      }
+      write(function (i, j) { return values[i][j]; });
+      return range;
+    },
+    getValue: function () { return range.getValues()[0][0]; },
+    setValue: function (value) {
+      write(function () { return value; });
+      return range;
+    },
+    clearContent: function () {
+      write(function () { return ""; });
+      return range;
+    },
+    setFontWeight: function () { return range; },
+    getHeight: function () { return numRows; },
+    getWidth: function () { return numColumns; }
+  };
+  return range;
+}
+
+/**
+ * Function to copy a cell value so that a caller cannot change a stored value (e.g. a Date) in place
+ *
+ * @param {object} value: the value of the cell
+ * @return {object} returns the copy - "" for an empty cell
+ */
+function copyStorageValue_(value) {
+  if (value == null) {
+    return "";
+  }
+  return value instanceof Date ? new Date(value.getTime()) : value;
+}
+
+/**
+ * Function to build an in-memory lock - it can only be held once, since nothing else can run while a call waits for it
+ *
+ * @return {object} returns the lock {waitLock, releaseLock}
+ */
+function memoryLock_() {
+  var held = false;
+  return {
+    waitLock: function () {
+      if (held) {
+        throw new Error("Lock timeout: the lock is already held");
+      }
+      held = true;
+    },
+    releaseLock: function () {
+      held = false;
+    }
+  };
+}
+
+/**
+ * Function to build in-memory script properties
+ *
+ * @param {function} load: called before every read or change, returns the current dictionary {key: value} - changed in place
+ * @param {function} save: (optional) called as save(values) with the changed dictionary after every change
+ * @return {object} returns the properties {getProperty, setProperty, deleteProperty, getProperties}
+ */
+function memoryProperties_(load, save) {
+  var properties = {
+    getProperty: function (key) {
+      var values = load();
+      return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null;
+    },
+    setProperty: function (key, value) {
+      var values = load();
+      values[key] = String(value);
+      if (save) {
+        save(values);
+      }
+      return properties;
+    },
+    deleteProperty: function (key) {
+      var values = load();
+      delete values[key];
+      if (save) {
+        save(values);
+      }
+      return properties;
+    },
+    getProperties: function () { return Object.assign({}, load()); }
+  };
+  return properties;
+}
+
+/**
+ * Function to build an in-memory script cache - values are kept until the script ends rather than until they expire
+ *
+ * @return {object} returns the cache {get, put, getAll, putAll, remove, removeAll}
+ */
+function memoryCache_() {
+  var values = {};
+  return {
+    get: function (key) { return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null; },
+    put: function (key, value) { values[key] = String(value); },
+    getAll: function (keys) {
+      var found = {};
+      keys.forEach(function (key) {
+        if (Object.prototype.hasOwnProperty.call(values, key)) {
+          found[key] = values[key];
+        }
+      });
+      return found;
+    },
+    putAll: function (entries) {
+      Object.keys(entries).forEach(function (key) { values[key] = String(entries[key]); });
+    },
+    remove: function (key) { delete values[key]; },
+    removeAll: function (keys) {
+      keys.forEach(function (key) { delete values[key]; });
+    }
+  };
+}
+
+// -------------------------------------------- CSV FILES ------------------------------------------------
+
+/**
+ * Function to read a spreadsheet from its folder of CSV files
+ *
+ * @param {object} fs: the Node fs module
+ * @param {object} path: the Node path module
+ * @param {string} folder: the path of the folder of the spreadsheet
+ * @return {object} returns the in-memory spreadsheet, which writes every change back to the folder
+ */
+function readCsvSpreadsheet_(fs, path, folder) {
+  var manifest = JSON.parse(fs.readFileSync(path.join(folder, CSV_MANIFEST_FILE_), "utf8"));
+  var states = manifest.sheets.map(function (entry) {
+    var file = path.join(folder, encodeURIComponent(entry.name) + ".csv");
+    var values = fs.existsSync(file) ? parseCsvText_(fs.readFileSync(file, "utf8")) : [];
+    return {
+      name: entry.name,
+      values: values.map(function (row) { return row.map(parseCsvValue_); }),
+      maxRows: Math.max(entry.maxRows || STORAGE_DEFAULT_ROWS_, values.length),
+      frozenRows: entry.frozenRows || 0,
+      hidden: entry.hidden == true
+    };
+  });
+  return memorySpreadsheet_(manifest.id, manifest.name, states, csvSaver_(fs, path, folder));
+}
+
+/**
+ * Function to build the onChange callback that writes a spreadsheet back to its folder of CSV files
+ *
+ * @param {object} fs: the Node fs module
+ * @param {object} path: the Node path module
+ * @param {string} folder: the path of the folder of the spreadsheet
+ * @return {function} returns the callback for memorySpreadsheet_
+ */
+function csvSaver_(fs, path, folder) {
+  return function (spreadsheet, changedState, removedState) {
+    if (changedState) {
+      var width = 0;
+      changedState.values.forEach(function (row) { width = Math.max(width, row.length); });
+      var rows = changedState.values.map(function (row) {
+        var cells = [];
+        for (var j = 0; j < width; j++) {
+          cells.push(formatCsvValue_(row[j]));
+        }
+        return cells;
+      });
+      // leave out the empty rows at the bottom, like the data range of a sheet
+      while (rows.length > 0 && rows[rows.length - 1].every(function (cell) { return cell === ""; })) {
+        rows.pop();
+      }
+      fs.writeFileSync(path.join(folder, encodeURIComponent(changedState.name) + ".csv"), toCsv_(rows));
+    }
+    if (removedState) {
+      fs.rmSync(path.join(folder, encodeURIComponent(removedState.name) + ".csv"), { force: true });
+    }
+    var manifest = {
+      id: spreadsheet.id,
+      name: spreadsheet.name,
+      sheets: spreadsheet.sheets.map(function (state) {
+        return { name: state.name, maxRows: state.maxRows, frozenRows: state.frozenRows, hidden: state.hidden };
+      })
+    };
+    fs.writeFileSync(path.join(folder, CSV_MANIFEST_FILE_), JSON.stringify(manifest, null, 2));
+  };
+}
+
+/**
+ * Function to turn a cell value into the text written to a CSV file
+ *
+ * @param {object} value: the value of the cell
+ * @return {string} returns the text of the cell
+ */
+function formatCsvValue_(value) {
+  if (value == null) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value == "boolean") {
+    return value ? "TRUE" : "FALSE";
+  }
+  return String(value);
+}
+
+/**
+ * Function to turn the text of a CSV cell back into a value, the way a sheet reads what is typed into it
+ *
+ * @param {string} text: the text of the cell
+ * @return {object} returns a Date, boolean, number or string ("" for an empty cell)
+ */
+function parseCsvValue_(text) {
+  if (text == "TRUE" || text == "FALSE") {
+    return text == "TRUE";
+  }
+  if (CSV_DATE_PATTERN_.test(text)) {
+    return new Date(text);
+  }
+  if (CSV_NUMBER_PATTERN_.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+/**
+ * Function to split CSV text into rows of cells (quoted cells may hold commas, quotes and line breaks)
+ *
+ * @param {string} text: the CSV text
+ * @return {object} returns a 2D array of the text of each cell
+ */
+function parseCsvText_(text) {
+  var rows = [];
+  var row = [];
+  var cell = "";
+  var quoted = false;
+  for (var i = 0; i < text.length; i++) {
+    var character = text[i];
+    if (quoted) {
+      if (character == "\"" && text[i + 1] == "\"") {
+        cell += "\"";
+        i++;
+      } else if (character == "\"") {
+        quoted = false;
+      } else {
+        cell += character;
+      }
+    } else if (character == "\"") {
+      quoted = true;
+    } else if (character == ",") {
+      row.push(cell);
+      cell = "";
+    } else if (character == "\n" || character == "\r") {
+      // a \r\n line break ends the row once
+      if (character == "\r" && text[i + 1] == "\n") {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += character;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
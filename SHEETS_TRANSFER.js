@@ -0,0 +1,355 @@
+/**
+ * This file contains the EXPORT and IMPORT operations, which move the rows of a sheet to and from CSV or JSON files in Drive.
+ *
+ * EXPORT writes the rows of a sheet to a new Drive file:
+ *   accessDatabase("EXPORT", spreadsheetID, "Task", [{format: "csv", columns: {ID: "id", Title: "title"}, includeDeleted: false}])
+ * columns is either a list of the columns to export or a dictionary {sheetColumn: fileColumn} that also renames them. where and
+ * orderBy work as in a query (see SHEETS_QUERY.js). Dates are written as ISO-8601 strings.
+ *
+ * IMPORT reads a CSV (with a header line) or JSON (a list of objects) file and writes its rows to a sheet:
+ *   accessDatabase("IMPORT", spreadsheetID, "Task", [{fileID: id, mode: "upsertByKey", key: ["Reference"], mapping: {ref: "Reference"}}])
+ * Every line is mapped and checked before anything is written, and the result is a report of the lines that were rejected and why.
+ *   - mapping {fileColumn: sheetColumn} renames the columns of the file (null leaves a column out)
+ *   - types {sheetColumn: type} converts values to "string", "number", "boolean", "date", "email" or "enum" on top of the sheet's schema
+ *   - mode "insert" (default) creates a row for every line, "upsertById" changes the valid row with the same ID (or creates one) and
+ *     "upsertByKey" changes the valid row whose key columns hold the same values (or creates one) - the key values are converted to
+ *     the types of the sheet's schema before they are compared
+ *   - dryRun: true only returns the report, and skipInvalid: true writes the valid lines even if some are rejected (otherwise
+ *     nothing is written while any line is rejected)
+ * Empty cells are treated as not given, so an upsert leaves the matching field alone. The database columns (CreatedBy, DateModified, ...)
+ * of the file are ignored, except ID. A changed row keeps its place in the sheet, like PATCH, and its Version goes up by one.
+ */
+
+// List of the file formats that can be exported and imported
+const TRANSFER_FORMATS_ = ["csv", "json"];
+// List of the import modes
+const IMPORT_MODES_ = ["insert", "upsertById", "upsertByKey"];
+
+// ------------------------------------------- EXPORT ----------------------------------------------------
+
+/**
+ * Function to write the rows of a sheet to a new CSV or JSON file in Drive
+ *
+ * @param {object} sheet: the instance of the sheet to export
+ * @param {object} options: a dictionary {format, fileName, folderID, columns, includeDeleted, where, orderBy} - every key is optional
+ * @return {object} returns a dictionary {fileID, fileName, rows: the number of rows written}, or null if the options are invalid
+ */
+function exportSheet_(sheet, options) {
+  options = options || {};
+  var format = String(options.format || "csv").toLowerCase();
+  if (TRANSFER_FORMATS_.indexOf(format) == -1) {
+    fail_("INVALID_INPUT", format + " is not a format that can be exported. Use one of: " + TRANSFER_FORMATS_.join(", "));
+    return;
+  }
+  // columns is either a list of sheet columns or a dictionary {sheetColumn: fileColumn}
+  var mapping = null;
+  if (Array.isArray(options.columns)) {
+    mapping = {};
+    options.columns.forEach(function (column) { mapping[column] = column; });
+  } else if (options.columns) {
+    mapping = options.columns;
+  }
+  var data = sheet.getDataRange().getValues();
+  var query = { where: options.where, orderBy: options.orderBy, includeInvalid: options.includeDeleted == true, columns: mapping ? Object.keys(mapping) : null };
+  var queryError = validateQuery_(data[0], query);
+  if (queryError) {
+    fail_("INVALID_INPUT", queryError + " in an export of " + sheet.getName());
+    return;
+  }
+  // every version of a row is exported when deleted rows are included, so the rows are kept as a list rather than by ID
+  var header = mapping ? Object.keys(mapping) : data[0].filter(String);
+  var records = matchRows_(data, query).map(function (row) {
+    var record = {};
+    header.forEach(function (column) {
+      var value = row[column];
+      record[mapping ? mapping[column] : column] = value instanceof Date ? value.toISOString() : (value == null ? "" : value);
+    });
+    return record;
+  });
+  var fileHeader = header.map(function (column) { return mapping ? mapping[column] : column; });
+  var fileName = options.fileName || sheet.getName() + " " + getDatetime_().toISOString() + "." + format;
+  var content = format == "json" ? JSON.stringify(records, null, 2) : toCsv_([fileHeader].concat(records.map(function (record) {
+    return fileHeader.map(function (column) { return record[column]; });
+  })));
+  var folder = options.folderID ? DriveApp.getFolderById(options.folderID) : DriveApp.getRootFolder();
+  var file = folder.createFile(fileName, content, format == "json" ? MimeType.JSON : MimeType.CSV);
+  Logger.log("Exported " + records.length + " rows of " + sheet.getName() + " to " + fileName);
+  return { fileID: file.getId(), fileName: fileName, rows: records.length };
+}
+
+/**
+ * Function to turn a 2D array of values into CSV text
+ *
+ * @param {object} values: the 2D array of values (the first row is the header)
+ * @return {string} returns the CSV text, with fields quoted where needed
+ */
+function toCsv_(values) {
+  return values.map(function (row) {
+    return row.map(function (value) {
+      var text = String(value);
+      return /[",\r\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+    }).join(",");
+  }).join("\r\n");
+}
+
+// ------------------------------------------- IMPORT ----------------------------------------------------
+
+/**
+ * Function to write the rows of a CSV or JSON file in Drive to a sheet, after checking every line
+ *
+ * @param {object} sheet: the instance of the sheet to import into
+ * @param {object} options: a dictionary {fileID, format, mapping, types, mode, key, dryRun, skipInvalid} (see the top of this file)
+ * @return {object} returns a report {dryRun, committed, lines, inserted, updated, rejected: [{line, errors: [{field, message}]}], ids: {inserted, updated}}
+ *                  - line is the line of the file (counting the header of a CSV) or the position in the JSON list, starting at 1
+ *                  - returns null if the options are invalid or the file cannot be read
+ */
+function importSheet_(sheet, options) {
+  options = options || {};
+  var mode = options.mode || "insert";
+  if (IMPORT_MODES_.indexOf(mode) == -1) {
+    fail_("INVALID_INPUT", mode + " is not an import mode. Use one of: " + IMPORT_MODES_.join(", "));
+    return;
+  }
+  var key = mode == "upsertById" ? ["ID"] : (mode == "upsertByKey" ? options.key || [] : []);
+  if (mode == "upsertByKey" && key.length == 0) {
+    fail_("INVALID_INPUT", "upsertByKey needs the list of key columns");
+    return;
+  }
+  var records = readImportFile_(options.fileID, options.format);
+  if (!records) {
+    return;
+  }
+  var report = { dryRun: options.dryRun == true, committed: false, lines: records.rows.length, inserted: 0, updated: 0, rejected: [], ids: { inserted: [], updated: [] } };
+  var errorsByLine = records.rows.map(function () { return []; });
+  // map, convert and match every line
+  var data = sheet.getDataRange().getValues();
+  var existing = mapExistingRows_(data, key);
+  var schemaColumns = (getSchema_(sheet) || {}).columns || {};
+  var seenKeys = {};
+  var lines = [];
+  records.rows.forEach(function (record, i) {
+    var row = mapImportRecord_(record, options.mapping, options.types, errorsByLine[i]);
+    var target = null;
+    if (key.length > 0) {
+      // convert the key values to the types of the schema first, so that e.g. "42" in a CSV file matches 42 in the sheet (a value
+      // that does not convert is left as it is and rejected with the rest of the line below)
+      key.forEach(function (column) {
+        var converted = row[column] != null && schemaColumns[column] ? checkFieldValue_(schemaColumns[column], row[column]) : null;
+        if (converted && !converted.error) {
+          row[column] = converted.value;
+        }
+      });
+      var rowKey = key.map(function (column) { return uniqueKey_(row[column] == null ? "" : row[column]); }).join("\u0000");
+      if (key.some(function (column) { return row[column] == null; })) {
+        if (mode == "upsertByKey") {
+          errorsByLine[i].push({ field: key.join(", "), message: "the key columns must all have a value" });
+        }
+      } else if (seenKeys[rowKey] != null) {
+        errorsByLine[i].push({ field: key.join(", "), message: "repeats the key of line " + records.lineNumbers[seenKeys[rowKey]] });
+      } else {
+        seenKeys[rowKey] = i;
+        var matches = existing.byKey[rowKey] || [];
+        if (matches.length > 1) {
+          errorsByLine[i].push({ field: key.join(", "), message: "matches more than one row of " + sheet.getName() });
+        }
+        target = matches.length == 1 ? matches[0] : null;
+      }
+    }
+    // a new row cannot reuse the ID of a valid row, and a changed row cannot take a different ID
+    if (!target && row["ID"] && existing.byID[row["ID"]]) {
+      errorsByLine[i].push({ field: "ID", message: "a row with the ID " + row["ID"] + " already exists" });
+    } else if (target && row["ID"] && row["ID"] != target.values[existing.idIndex]) {
+      errorsByLine[i].push({ field: "ID", message: "the ID " + row["ID"] + " does not match the ID of the row with the same key" });
+    }
+    if (target) {
+      // merge the line into the row it changes
+      var merged = getRowAsDict(data[0], target.values);
+      Object.keys(row).forEach(function (field) { merged[field] = row[field]; });
+      lines.push({ index: i, target: target, before: getRowAsDict(data[0], target.values), row: merged });
+    } else {
+      lines.push({ index: i, target: null, row: row });
+    }
+  });
+  // check the lines against the schema and the relationships of the sheet
+  var checked = applySchema_(sheet, lines.map(function (line) { return line.row; }));
+  checked.errors.concat(checkReferences_(sheet, checked.rows)).forEach(function (error) {
+    errorsByLine[lines[error.row].index].push({ field: error.field, message: error.message });
+  });
+  lines.forEach(function (line, i) { line.row = checked.rows[i]; });
+  errorsByLine.forEach(function (errors, i) {
+    if (errors.length > 0) {
+      report.rejected.push({ line: records.lineNumbers[i], errors: errors });
+    }
+  });
+  var accepted = lines.filter(function (line) { return errorsByLine[line.index].length == 0; });
+  report.inserted = accepted.filter(function (line) { return !line.target; }).length;
+  report.updated = accepted.length - report.inserted;
+  if (report.dryRun || (report.rejected.length > 0 && !options.skipInvalid)) {
+    Logger.log("Nothing was imported into " + sheet.getName() + ": " + report.rejected.length + " of " + report.lines + " lines were rejected" + (report.dryRun ? " (dry run)" : ""));
+    return report;
+  }
+  // write the new rows, then the changed rows
+  var inserts = accepted.filter(function (line) { return !line.target; }).map(function (line) { return line.row; });
+  if (inserts.length > 0) {
+    report.ids.inserted = Object.keys(appendRows_(sheet, inserts, null).rowDict);
+  }
+  report.ids.updated = writeImportUpdates_(sheet, accepted.filter(function (line) { return line.target; }));
+  report.committed = true;
+  Logger.log("Imported " + report.inserted + " new and " + report.updated + " changed rows into " + sheet.getName());
+  return report;
+}
+
+// ------------------------------------------ IMPORT HELPERS -----------------------------------------------
+
+/**
+ * Function to read the records of a CSV or JSON file in Drive
+ *
+ * @param {string} fileID: the id of the Drive file
+ * @param {string} format: (optional) "csv" or "json" - defaults to the extension of the file name
+ * @return {object} returns a dictionary {rows: a list of dictionaries {fileColumn: value}, lineNumbers: the line of the file each came from},
+ *                  or null if the file cannot be read
+ */
+function readImportFile_(fileID, format) {
+  var file;
+  try {
+    file = DriveApp.getFileById(fileID);
+  } catch (err) {
+    fail_("INVALID_INPUT", "The file " + fileID + " could not be opened: " + err);
+    return;
+  }
+  format = String(format || file.getName().split(".").pop()).toLowerCase();
+  if (TRANSFER_FORMATS_.indexOf(format) == -1) {
+    fail_("INVALID_INPUT", format + " is not a format that can be imported. Use one of: " + TRANSFER_FORMATS_.join(", "));
+    return;
+  }
+  var content = file.getBlob().getDataAsString();
+  if (format == "json") {
+    var list;
+    try {
+      list = JSON.parse(content);
+    } catch (err) {
+      fail_("INVALID_INPUT", "The file " + file.getName() + " is not valid JSON: " + err);
+      return;
+    }
+    if (!Array.isArray(list)) {
+      fail_("INVALID_INPUT", "The file " + file.getName() + " must hold a JSON list of objects");
+      return;
+    }
+    return { rows: list.map(function (record) { return record != null && typeof record == "object" ? record : {}; }), lineNumbers: list.map(function (record, i) { return i + 1; }) };
+  }
+  var values = Utilities.parseCsv(content);
+  var header = values[0] || [];
+  var rows = [];
+  var lineNumbers = [];
+  for (var i = 1; i < values.length; i++) {
+    // skip blank lines
+    if (values[i].every(function (value) { return value === ""; })) {
+      continue;
+    }
+    rows.push(getRowAsDict(header, values[i]));
+    lineNumbers.push(i + 1);
+  }
+  return { rows: rows, lineNumbers: lineNumbers };
+}
+
+/**
+ * Function to turn a record of the file into a row dictionary, renaming and converting its fields
+ *
+ * @param {object} record: the dictionary {fileColumn: value} read from the file
+ * @param {object} mapping: (optional) a dictionary {fileColumn: sheetColumn} - null leaves a column out
+ * @param {object} types: (optional) a dictionary {sheetColumn: type} of conversions to apply
+ * @param {object} errors: the list of errors {field, message} of the line to add to
+ * @return {object} returns the row dictionary {sheetColumn: value}
+ */
+function mapImportRecord_(record, mapping, types, errors) {
+  var row = {};
+  Object.keys(record).forEach(function (column) {
+    var field = mapping && Object.prototype.hasOwnProperty.call(mapping, column) ? mapping[column] : column;
+    var value = record[column];
+    // empty values and the columns kept up to date by the database are left out
+    if (!field || value == null || value === "" || (SYSTEM_COLUMNS_.indexOf(field) != -1 && field != "ID") || field == "Version") {
+      return;
+    }
+    if (types && types[field]) {
+      var checked = checkFieldValue_({ type: types[field] }, value);
+      if (checked.error) {
+        errors.push({ field: field, message: field + " " + checked.error });
+        return;
+      }
+      value = checked.value;
+    }
+    row[field] = value;
+  });
+  return row;
+}
+
+/**
+ * Function to find the latest valid row for each ID and for each value of a key
+ *
+ * @param {object} data: the 2D array of values of the sheet
+ * @param {object} key: the list of key columns (empty for none)
+ * @return {object} returns a dictionary {idIndex: the 0-INDEXED ID column, byID: {ID: {rowNumber, values}}, byKey: {key: [{rowNumber, values}]}}
+ */
+function mapExistingRows_(data, key) {
+  var idIndex = getColIndex_(data, "ID");
+  var validIndex = getColIndex_(data, "Valid");
+  var keyIndexes = key.map(function (column) { return getColIndex_(data, column); });
+  var existing = { idIndex: idIndex, byID: {}, byKey: {} };
+  for (var i = 1; i < data.length; i++) {
+    if (data[i][validIndex] !== true) {
+      continue;
+    }
+    var row = { rowNumber: i + 1, values: data[i] };
+    existing.byID[data[i][idIndex]] = row;
+    if (key.length > 0 && keyIndexes.indexOf(-1) == -1) {
+      var rowKey = keyIndexes.map(function (index) { return uniqueKey_(data[i][index]); }).join("\u0000");
+      existing.byKey[rowKey] = (existing.byKey[rowKey] || []).concat([row]);
+    }
+  }
+  return existing;
+}
+
+/**
+ * Function to write the rows changed by an import back over the rows they replace
+ *
+ * @param {object} sheet: the instance of the sheet
+ * @param {object} lines: a list of {target: {rowNumber, values}, before, row} - row is the merged and checked row dictionary
+ * @return {object} returns the list of IDs that were changed
+ */
+function writeImportUpdates_(sheet, lines) {
+  if (lines.length == 0) {
+    return [];
+  }
+  const dateTime = getDatetime_();
+  const modifier = getUserName_();
+  lines.forEach(function (line) {
+    line.row["ModifiedBy"] = modifier;
+    line.row["DateModified"] = dateTime;
+    line.row["Version"] = Number(line.row["Version"] || 0) + 1;
+  });
+  // add any fields that are not yet columns of the sheet
+  var header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var newFields = [];
+  lines.forEach(function (line) {
+    Object.keys(line.row).forEach(function (field) {
+      if (header.indexOf(field) == -1 && newFields.indexOf(field) == -1) {
+        newFields.push(field);
+      }
+    });
+  });
+  if (newFields.length > 0) {
+    sheet.insertColumnsAfter(header.length, newFields.length);
+    sheet.getRange(1, header.length + 1, 1, newFields.length).setValues([newFields]);
+    header = header.concat(newFields);
+  }
+  var rows = lines.map(function (line) {
+    return { rowNumber: line.target.rowNumber, values: header.map(function (field) { return line.row[field] == null ? "" : line.row[field]; }) };
+  }).sort(function (a, b) { return a.rowNumber - b.rowNumber; });
+  writeRowCells_(sheet, rows, header.map(function (field, i) { return i; }));
+  // the rows changed in place so the indexes of the sheet have to be rebuilt
+  invalidateIndexes_(sheet);
+  lines.forEach(function (line) {
+    recordChange_(sheet, line.before, getRowAsDict(header, header.map(function (field) { return line.row[field] == null ? "" : line.row[field]; })));
+  });
+  return lines.map(function (line) { return line.row["ID"]; });
+}